@@ -1,31 +1,107 @@
-import React, { useState, useRef, useEffect, useCallback } from 'react';
-import { Play, Pause, SkipBack, SkipForward, Volume2, Download, Bookmark } from 'lucide-react';
-import { logger, networkLog, audioLog, perfLog, LOG_CATEGORIES } from './utils/config';
+import React, { useState, useEffect, useCallback, forwardRef, useImperativeHandle } from 'react';
+import { Play, Pause, SkipBack, SkipForward, StepBack, StepForward, Volume2, VolumeX, Download, Bookmark, HardDriveDownload, CheckCircle2, Cloud, CloudOff, RefreshCw, Moon, AudioLines, ScrollText, ChevronsLeft, ChevronsRight, ListOrdered } from 'lucide-react';
+import { config, logger, LOG_CATEGORIES } from './utils/config';
 import { sessionLogger } from './utils/logger';
+import BookmarksPanel from './components/BookmarksPanel';
+import SleepTimerMenu from './components/SleepTimerMenu';
+import AudioEffectsMenu from './components/AudioEffectsMenu';
+import WaveformProgressBar from './components/WaveformProgressBar';
+import TranscriptPanel from './components/TranscriptPanel';
+import SectionsPanel from './components/SectionsPanel';
+import { PlayerProvider, usePlayer } from './contexts/PlayerContext';
+import { loadBookmarks, createBookmark, updateBookmark, deleteBookmark } from './utils/bookmarks';
+import { useAudioPlayer, PLAYBACK_RATES } from './hooks/useAudioPlayer';
+import { SYNC_STATUS } from './utils/progressQueue';
+import { getShortcutAction } from './utils/keyboardShortcuts';
+import { FADE_OUT_SECONDS, formatSleepRemaining } from './utils/sleepTimer';
+import { formatTimeSaved } from './utils/silenceTrimmer';
+import { MAX_VOLUME } from './utils/audioGraph';
+import { isFlatEqualizer } from './utils/equalizer';
 
 /**
- * NextJS Audio Player Component
- * Supports streaming from /audioStreaming/bookintro/{bookId}/audio endpoint
- * Supports chapter streaming from /audioStreaming/chapters/{chapterId}/audio endpoint
- * Compatible with iOS AVPlayer, Android MediaPlayer, and React Native
+ * Audio Player view
+ * The built-in layout over useAudioPlayer, plus bookmarks, keyboard
+ * shortcuts, the sleep timer and the audio effects menu. Playback itself happens in the shared
+ * PlayerProvider; while another item is loaded there this view waits until
+ * it is played.
  */
-const AudioPlayer = ({
+const AudioPlayerView = forwardRef(({
   bookId = 1, // Default to book 1, but now configurable
   chapterId = null, // NEW: Support for chapter streaming (can be ID or chapter object)
-  chapter = null, // NEW: Support for full chapter object
-  apiBaseUrl = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:10000',
+  chapter: chapterProp = null, // Chapter object, normalised with utils/chapters
+  apiBaseUrl = config.apiBaseUrl,
   authToken,
   onProgressUpdate = null,
   autoPlay = false,
+  smartRewind = true, // Rewind 2-30s on play, depending on how long playback was paused
   showDownload = true,
   showBookmark = true,
+  showSleepTimer = true,
+  showSaveOffline = true,
+  showAudioEffects = true, // Trim silence, voice boost, loudness and EQ menu (needs Web Audio)
+  showWaveform = true, // Waveform on the progress bar, from a peaks file or the decoded offline copy
+  showTranscript = true, // Transcript button, shown when the chapter has a transcript
+  showSections = true, // Sections within the file (embedded chapter markers or a sidecar): list, bar segments, skip buttons
+  showMetadata = true, // Cover, title and author/narrator, from the file's ID3 tag or the fields below
+  bookTitle = null, // Stored with offline downloads for the library screen
+  author = null, // Shown on lock screen / OS media controls
+  artwork = null, // Cover image URL (or MediaImage array), shown and sent to OS media controls when the file has none
+  onPreviousChapter = null, // Enables the previous-track media key
+  onNextChapter = null, // Enables the next-track media key
+  onEnded = null, // Called with { stoppedBySleepTimer } when playback reaches the end
+  onPlay = null, // ({ position })
+  onPause = null, // ({ position })
+  onSeek = null, // ({ from, to })
+  onError = null, // ({ message })
+  onTimeUpdate = null, // ({ currentTime, duration })
+  onLoaded = null, // ({ duration }) once the audio's metadata is in
+  onBookmark = null, // Called with the new bookmark
   className = '',
   streamUrl = null, // NEW: allow passing a custom stream URL
-  progressUrl = null // NEW: allow passing a custom progress URL
-}) => {
+  progressUrl = null, // NEW: allow passing a custom progress URL
+  peaksUrl = null, // Waveform peaks JSON (defaults to .../peaks next to the stream)
+  transcriptUrl = null, // WebVTT or JSON transcript (defaults to the chapter's, or .../transcript next to the stream)
+  sectionsUrl = null, // Sections JSON sidecar (defaults to .../sections next to the stream)
+  bookmarksUrl = null // Custom bookmarks endpoint (defaults to .../bookmarks next to progress)
+}, ref) => {
+  const player = usePlayer();
+  // Loading, resume, progress sync, downloads and offline saving
+  const audioPlayer = useAudioPlayer({
+    bookId,
+    chapterId,
+    chapter: chapterProp,
+    apiBaseUrl,
+    authToken,
+    streamUrl,
+    progressUrl,
+    bookTitle,
+    author,
+    artwork,
+    autoPlay,
+    smartRewind,
+    showWaveform,
+    peaksUrl,
+    showTranscript,
+    transcriptUrl,
+    showSections,
+    sectionsUrl,
+    showMetadata,
+    onProgressUpdate,
+    onEnded,
+    onPreviousChapter,
+    onNextChapter,
+    onPlay,
+    onPause,
+    onSeek,
+    onError,
+    onTimeUpdate,
+    onLoaded
+  });
+  const { chapter } = audioPlayer;
   const BOOK_ID = bookId;
-  // Support both chapterId (direct ID) and chapter (object with id property)
-  const CHAPTER_ID = chapter?.id || chapterId;  // Component initialization logging
+  const CHAPTER_ID = audioPlayer.item.chapterId;
+
+  // Component initialization logging
   useEffect(() => {
     logger.info(LOG_CATEGORIES.INIT, '=== AUDIO PLAYER COMPONENT INITIALIZED ===');
     
@@ -83,596 +159,221 @@ const AudioPlayer = ({
       }
     };
   }, []);
-  
-  // Player state
-  const [isPlaying, setIsPlaying] = useState(false);
-  const [isLoading, setIsLoading] = useState(false);
-  const [duration, setDuration] = useState(0);
-  const [currentTime, setCurrentTime] = useState(0);
-  const [volume, setVolume] = useState(1);
-  const [playbackRate, setPlaybackRate] = useState(1);
-  const [error, setError] = useState(null);
-  const [audioMetadata, setAudioMetadata] = useState(null);
-  const [resumeAvailable, setResumeAvailable] = useState(false);
-  const [resumePosition, setResumePosition] = useState(null);
-  const [showStartOver, setShowStartOver] = useState(false);
-  // Add state for completion percentage
-  const [completionPercentage, setCompletionPercentage] = useState(0);
-
-  // Refs
-  const audioRef = useRef(null);
-  const progressIntervalRef = useRef(null);
-  // API endpoints - using new audioStreaming endpoints
-  const getStreamingUrl = useCallback(() => {
-    // Use streamUrl if provided (for custom streaming), otherwise determine based on chapterId or bookId
-    if (streamUrl) return streamUrl;
-    
-    if (CHAPTER_ID) {
-      return `${apiBaseUrl}/audioStreaming/chapters/${CHAPTER_ID}/audio`;
-    }
-    
-    return `${apiBaseUrl}/audioStreaming/bookintro/${BOOK_ID}/audio`;
-  }, [apiBaseUrl, BOOK_ID, CHAPTER_ID, streamUrl]);
 
-  const getProgressUrl = useCallback(() => {
-    // Use progressUrl if provided (for custom progress tracking), otherwise determine based on chapterId or bookId
-    if (progressUrl) return progressUrl;
-    
-    if (CHAPTER_ID) {
-      return `${apiBaseUrl}/audioStreaming/chapters/${CHAPTER_ID}/progress`;
-    }
-    
-    return `${apiBaseUrl}/audioStreaming/bookintro/${BOOK_ID}/progress`;
-  }, [apiBaseUrl, BOOK_ID, CHAPTER_ID, progressUrl]);  // Initialize audio source
-  useEffect(() => {
-    const streamingUrl = getStreamingUrl();
-    if (streamingUrl && audioRef.current) {
-      const initTimer = perfLog.start('Audio streaming initialization');
-      setIsLoading(true);
-      setError(null);
-      logger.info(LOG_CATEGORIES.INIT, '=== AUDIO STREAMING INITIALIZATION ===');
-      logger.info(LOG_CATEGORIES.NETWORK, 'Setting up audio stream', {
-        url: streamingUrl,
-        hasAuth: !!authToken,
-        audioElementReady: !!audioRef.current
-      });
-      // Set up audio element with authentication headers
-      if (authToken) {
-        // If token, fetch the audio as a blob and set srcObject
-        fetch(streamingUrl, {
-          headers: {
-            'Authorization': `Bearer ${authToken}`
-          }
-        })
-          .then(response => {
-            if (!response.ok) throw new Error('Failed to fetch audio');
-            return response.blob();
-          })
-          .then(blob => {
-            const url = URL.createObjectURL(blob);
-            audioRef.current.src = url;
-            setIsLoading(false);
-            initTimer.end();
-          })
-          .catch(err => {
-            setError('Failed to load audio. Please check your connection.');
-            setIsLoading(false);
-            initTimer.end();
-          });
-      } else {
-        // No token, set src directly
-        audioRef.current.src = streamingUrl;
-        setIsLoading(false);
-        initTimer.end();
-      }
-    }
-  }, [getStreamingUrl, authToken]);
-  // Progress tracking
-  const updateProgress = useCallback(async (position, status = 'playing') => {
-    const progressUrl = getProgressUrl();
-    if (!progressUrl || !authToken) {
-      logger.warn(LOG_CATEGORIES.PROGRESS, 'Progress update skipped', {
-        hasUrl: !!progressUrl,
-        hasToken: !!authToken,
-        url: progressUrl
-      });
-      return;
-    }
-
-    const requestBody = {
-      position: Math.floor(position),
-      duration: Math.floor(duration), // Include duration as per new API spec
-      playback_speed: playbackRate
-    };
-
-    logger.debug(LOG_CATEGORIES.PROGRESS, 'Updating progress', requestBody);
-
-    try {
-      const startTime = performance.now();
-      networkLog.request('POST', progressUrl, { 'Content-Type': 'application/json', 'Authorization': 'Bearer ***' });
-        const response = await fetch(progressUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${authToken}`,
-          'User-Agent': `NextJS-AudioPlayer/1.0 ${typeof window !== 'undefined' ? navigator.userAgent : 'SSR'}`
-        },
-        body: JSON.stringify(requestBody)
-      });
+  const {
+    isPlaying,
+    isLoading,
+    duration,
+    currentTime,
+    volume,
+    isMuted,
+    playbackRate,
+    error,
+    isPlayingOffline,
+    resumeAvailable,
+    resumePosition,
+    completionPercentage,
+    isFinished: showStartOver,
+    syncStatus,
+    canSaveOffline,
+    offlineItem,
+    offlineSaveProgress,
+    sections,
+    currentSectionIndex,
+    metadata
+  } = audioPlayer;
+  const { sleepTimer, audioEffects, timeSaved } = player;
+  // The Web Audio gain stage can boost past 100%
+  const maxVolume = player.audioEffectsSupported ? MAX_VOLUME : 1;
+
+  // Bookmarks state
+  const [bookmarks, setBookmarks] = useState([]);
+  const [showBookmarks, setShowBookmarks] = useState(false);
+  const [editingBookmarkId, setEditingBookmarkId] = useState(null);
+  const [bookmarkError, setBookmarkError] = useState(null);
+  const [sleepTimerMenuOpen, setSleepTimerMenuOpen] = useState(false);
+  const [audioEffectsMenuOpen, setAudioEffectsMenuOpen] = useState(false);
+  const [transcriptOpen, setTranscriptOpen] = useState(false);
+  const [sectionsOpen, setSectionsOpen] = useState(false);
+  const hasSections = showSections && !!sections;
+  const currentSection = hasSections ? sections[currentSectionIndex] : null;
+  const coverSrc = Array.isArray(metadata.artwork) ? metadata.artwork[0]?.src : metadata.artwork;
+  // Message read out by screen readers through the aria-live region
+  const [announcement, setAnnouncement] = useState('');
+
+  const announce = useCallback((message) => {
+    setAnnouncement(message);
+  }, []);
 
-      const responseTime = Math.round(performance.now() - startTime);
-      networkLog.response('POST', progressUrl, response.status, responseTime);
+  const getBookmarksUrl = useCallback(() => {
+    if (bookmarksUrl) return bookmarksUrl;
 
-      if (response.ok) {
-        const result = await response.json();
-        logger.info(LOG_CATEGORIES.PROGRESS, 'Progress updated successfully', result);
-        if (onProgressUpdate) {
-          onProgressUpdate(position, status, playbackRate);
-        }
-      } else {
-        const errorText = await response.text();
-        logger.error(LOG_CATEGORIES.PROGRESS, 'Progress update failed', {
-          status: response.status,
-          statusText: response.statusText,
-          errorResponse: errorText
-        });
-      }
-    } catch (err) {
-      logger.error(LOG_CATEGORIES.PROGRESS, 'Progress update error', {
-        error: {
-          name: err.name,
-          message: err.message,
-          stack: err.stack
-        },
-        requestBody
-      });
-    }
-  }, [getProgressUrl, authToken, playbackRate, onProgressUpdate]);
-  // Audio event handlers
-  const handleLoadedMetadata = () => {
-    if (audioRef.current) {
-      const loadTimer = perfLog.start('Audio metadata loading');
-      const duration = audioRef.current.duration;
-      const metadata = {
-        duration: duration,
-        readyState: audioRef.current.readyState,
-        networkState: audioRef.current.networkState,
-        src: audioRef.current.src
-      };
-      
-      audioLog.event('loadedmetadata', metadata);
-      sessionLogger.trackAudioLoad(performance.now() - (window.audioLoadStartTime || 0), metadata);
-      
-      logger.info(LOG_CATEGORIES.PLAYBACK, 'Audio metadata loaded', {
-        ...metadata,
-        formattedDuration: formatTime(duration)
-      });
-      
-      setDuration(duration);
-      setIsLoading(false);
-      loadTimer.end();
-      
-      if (autoPlay) {
-        logger.info(LOG_CATEGORIES.PLAYBACK, 'Auto-play enabled, starting playback');
-        handlePlay();
-      }
+    if (CHAPTER_ID) {
+      return `${apiBaseUrl}/audioStreaming/chapters/${CHAPTER_ID}/bookmarks`;
     }
-  };
 
-  const handleTimeUpdate = () => {
-    if (audioRef.current) {
-      const currentTime = audioRef.current.currentTime;
-      setCurrentTime(currentTime);
-      
-      // Log position every 30 seconds to avoid spam but provide regular updates
-      if (Math.floor(currentTime) % 30 === 0 && Math.floor(currentTime) > 0) {
-        const percentage = duration > 0 ? Math.round((currentTime / duration) * 100) : 0;
-        audioLog.position(Math.round(currentTime), Math.round(duration), percentage);
-      }
+    return `${apiBaseUrl}/audioStreaming/bookintro/${BOOK_ID}/bookmarks`;
+  }, [apiBaseUrl, BOOK_ID, CHAPTER_ID, bookmarksUrl]);
+
+  // Player controls
+  const handlePlay = () => audioPlayer.play();
+  const handlePause = () => audioPlayer.pause();
+  const handleSeek = (newTime) => audioPlayer.seek(newTime);
+  const handleSkipForward = () => audioPlayer.skipForward();
+  const handleSkipBackward = () => audioPlayer.skipBackward();
+  const handleVolumeChange = (newVolume) => audioPlayer.setVolume(newVolume);
+  const handleToggleMute = () => audioPlayer.toggleMute();
+  const handlePlaybackRateChange = (newRate) => audioPlayer.setPlaybackRate(newRate);
+  const handleResume = () => audioPlayer.resume();
+  const handleStartOver = () => audioPlayer.startOver();
+
+  // Imperative API for host apps: playerRef.current.seek(90)
+  useImperativeHandle(ref, () => ({
+    play: audioPlayer.play,
+    pause: audioPlayer.pause,
+    seek: audioPlayer.seek,
+    skip: audioPlayer.skip,
+    setRate: audioPlayer.setPlaybackRate,
+    getState: audioPlayer.getState
+  }));
+
+  const handleKeyDown = (e) => {
+    const shortcut = getShortcutAction(e);
+    if (!shortcut) return;
+
+    logger.debug(LOG_CATEGORIES.UI, 'Keyboard shortcut', { key: e.key, action: shortcut.action });
+
+    switch (shortcut.action) {
+      case 'togglePlay':
+        if (isLoading || error) return;
+        if (isPlaying) {
+          handlePause();
+        } else {
+          handlePlay();
+        }
+        break;
+      case 'skipBackward':
+        handleSkipBackward();
+        break;
+      case 'skipForward':
+        handleSkipForward();
+        break;
+      case 'faster':
+        audioPlayer.stepPlaybackRate(1);
+        break;
+      case 'slower':
+        audioPlayer.stepPlaybackRate(-1);
+        break;
+      case 'toggleMute':
+        handleToggleMute();
+        break;
+      case 'jumpToFraction':
+        if (duration > 0) handleSeek(shortcut.value * duration);
+        break;
+      case 'jumpToStart':
+        handleSeek(0);
+        break;
+      case 'jumpToEnd':
+        if (duration > 0) handleSeek(duration);
+        break;
+      default:
+        return;
     }
-  };
-  const handleLoadStart = () => {
-    window.audioLoadStartTime = performance.now(); // Track load start time
-    audioLog.event('loadstart', { src: audioRef.current?.src });
-    logger.info(LOG_CATEGORIES.PLAYBACK, 'Audio load started');
-    setIsLoading(true);
-  };
-
-  const handleCanPlay = () => {
-    const bufferedInfo = audioRef.current?.buffered.length > 0 ? {
-      bufferedRanges: audioRef.current.buffered.length,
-      firstRange: {
-        start: audioRef.current.buffered.start(0),
-        end: audioRef.current.buffered.end(0)
-      }
-    } : { bufferedRanges: 0 };
-    
-    audioLog.event('canplay', bufferedInfo);
-    logger.info(LOG_CATEGORIES.PLAYBACK, 'Audio ready to play', bufferedInfo);
-    setIsLoading(false);
-  };
-  const handleError = (e) => {
-    const errorDetails = {
-      errorCode: audioRef.current?.error?.code,
-      errorMessage: audioRef.current?.error?.message,
-      networkState: audioRef.current?.networkState,
-      readyState: audioRef.current?.readyState,
-      src: audioRef.current?.src,
-      event: e.type
-    };
-    
-    const errorMessages = {
-      1: 'MEDIA_ERR_ABORTED - The fetching process was aborted',
-      2: 'MEDIA_ERR_NETWORK - A network error occurred',
-      3: 'MEDIA_ERR_DECODE - An error occurred while decoding',
-      4: 'MEDIA_ERR_SRC_NOT_SUPPORTED - The audio format is not supported'
-    };
-    
-    const detailedError = errorMessages[errorDetails.errorCode] || 'Unknown audio error';
-    errorDetails.detailedError = detailedError;
-    
-    audioLog.error(detailedError, errorDetails);
-    logger.error(LOG_CATEGORIES.PLAYBACK, 'Audio playback error', errorDetails);
-    
-    // Track error in session logger
-    const error = new Error(detailedError);
-    error.audioErrorCode = errorDetails.errorCode;
-    sessionLogger.trackError(error, {
-      category: 'audio_playback',
-      audioState: errorDetails
-    });
-    
-    setError('Failed to load audio. Please check your connection.');
-    setIsLoading(false);
+    e.preventDefault();
   };
 
-  const handleEnded = () => {
-    audioLog.event('ended', { 
-      finalPosition: formatTime(duration),
-      duration: duration 
-    });
-    logger.info(LOG_CATEGORIES.PLAYBACK, 'Audio playback completed');
-    setIsPlaying(false);
-    updateProgress(duration, 'completed');
-  };  // Player controls
-  const handlePlay = async () => {
-    if (audioRef.current) {
-      const playTimer = perfLog.start('Audio playback start');
-      
-      const currentState = {
-        readyState: audioRef.current.readyState,
-        networkState: audioRef.current.networkState,
-        currentTime: audioRef.current.currentTime,
-        duration: audioRef.current.duration,
-        paused: audioRef.current.paused
-      };
-      
-      logger.info(LOG_CATEGORIES.PLAYBACK, 'Attempting playback', currentState);
-      
-      try {
-        await audioRef.current.play();
-        
-        audioLog.state('playing', {
-          position: formatTime(audioRef.current.currentTime),
-          duration: formatTime(audioRef.current.duration)
-        });
-        logger.info(LOG_CATEGORIES.PLAYBACK, 'Playback started successfully');
-        
-        setIsPlaying(true);
-        setError(null);
-        
-        // Start progress tracking
-        progressIntervalRef.current = setInterval(() => {
-          if (audioRef.current && !audioRef.current.paused) {
-            updateProgress(audioRef.current.currentTime, 'playing');
-          }
-        }, 30000); // Update every 30 seconds as per mobile best practices
-        
-        playTimer.end();
-        
-      } catch (err) {
-        const errorDetails = {
-          name: err.name,
-          message: err.message,
-          audioState: currentState
-        };
-        
-        audioLog.error(`Playback failed: ${err.message}`, errorDetails);
-        logger.error(LOG_CATEGORIES.PLAYBACK, 'Playback error', errorDetails);
-        
-        const userFriendlyError = err.name === 'NotAllowedError' 
-          ? 'Playback blocked by browser. Please click play again.'
-          : err.name === 'NotSupportedError'
-          ? 'Audio format not supported by this browser.'
-          : 'Failed to play audio. Please try again.';
-          
-        setError(userFriendlyError);
-        playTimer.end();
-      }
-    }
+  // Shown in the bookmarks panel, which opens so the message is seen
+  const reportBookmarkError = (message, err) => {
+    logger.error(LOG_CATEGORIES.UI, message, { error: err.message });
+    setBookmarkError(`${message}. Please try again.`);
+    setShowBookmarks(true);
+    announce(message);
   };
 
-  const handlePause = () => {
-    if (audioRef.current) {
-      const pausePosition = audioRef.current.currentTime;
-      
-      logger.info(LOG_CATEGORIES.PLAYBACK, 'Pausing playback', {
-        position: formatTime(pausePosition),
-        duration: formatTime(duration)
+  const handleBookmark = async () => {
+    const audio = player.audioRef.current;
+    const position = audioPlayer.isCurrent && audio ? audio.currentTime : currentTime;
+    let bookmark;
+    try {
+      bookmark = await createBookmark(getBookmarksUrl(), authToken, {
+        position,
+        title: `Bookmark at ${formatTime(position)}`
       });
-      
-      audioRef.current.pause();
-      audioLog.state('paused', { position: formatTime(pausePosition) });
-      setIsPlaying(false);
-      
-      // Clear progress interval
-      if (progressIntervalRef.current) {
-        clearInterval(progressIntervalRef.current);
-        logger.debug(LOG_CATEGORIES.PROGRESS, 'Progress tracking stopped');
-      }
-      
-      // Update progress on pause
-      updateProgress(pausePosition, 'paused');
+    } catch (err) {
+      reportBookmarkError('Could not add the bookmark', err);
+      return;
     }
-  };  const handleSeek = (newTime) => {
-    if (audioRef.current) {
-      const seekStartTime = performance.now();
-      const oldTime = currentTime;
-      
-      const seekInfo = {
-        from: formatTime(currentTime),
-        to: formatTime(newTime),
-        duration: formatTime(duration),
-        percentageFrom: Math.round((currentTime / duration) * 100),
-        percentageTo: Math.round((newTime / duration) * 100)
-      };
-      
-      logger.info(LOG_CATEGORIES.PLAYBACK, 'Seek operation', seekInfo);
-      
-      audioRef.current.currentTime = newTime;
-      setCurrentTime(newTime);
-      updateProgress(newTime, isPlaying ? 'playing' : 'paused');
-      
-      // Track seek performance
-      const seekDuration = performance.now() - seekStartTime;
-      sessionLogger.trackSeek(oldTime, newTime, seekDuration);
-      
-      audioLog.event('seek', seekInfo);
+
+    // Open the new bookmark for editing so a title/note can be added right away
+    setBookmarkError(null);
+    setBookmarks(prev => [...prev, bookmark].sort((a, b) => a.position - b.position));
+    setShowBookmarks(true);
+    setEditingBookmarkId(bookmark.id);
+    announce(`Bookmark added at ${formatTime(bookmark.position)}`);
+    if (onBookmark) {
+      onBookmark(bookmark);
     }
   };
 
-  const handleSkipForward = () => {
-    const newTime = Math.min(currentTime + 30, duration);
-    logger.info(LOG_CATEGORIES.UI, 'Skip forward', {
-      amount: '+30s',
-      from: formatTime(currentTime),
-      to: formatTime(newTime)
-    });
-    handleSeek(newTime);
+  const handleBookmarkJump = (bookmark) => {
+    logger.info(LOG_CATEGORIES.UI, 'Jump to bookmark', { id: bookmark.id, position: formatTime(bookmark.position) });
+    handleSeek(bookmark.position);
+    announce(`Jumped to ${bookmark.title || 'bookmark'} at ${formatTime(bookmark.position)}`);
   };
 
-  const handleSkipBackward = () => {
-    const newTime = Math.max(currentTime - 30, 0);
-    logger.info(LOG_CATEGORIES.UI, 'Skip backward', {
-      amount: '-30s',
-      from: formatTime(currentTime),
-      to: formatTime(newTime)
-    });
-    handleSeek(newTime);
-  };  const handleVolumeChange = (newVolume) => {
-    if (audioRef.current) {
-      logger.debug(LOG_CATEGORIES.UI, 'Volume changed', {
-        from: volume,
-        to: newVolume,
-        percentage: Math.round(newVolume * 100) + '%'
-      });
-      audioRef.current.volume = newVolume;
-      setVolume(newVolume);
+  // Rejects when the change failed, so the panel keeps the edit form open
+  const handleBookmarkUpdate = async (id, changes) => {
+    let updated;
+    try {
+      updated = await updateBookmark(getBookmarksUrl(), authToken, id, changes);
+    } catch (err) {
+      reportBookmarkError('Could not save the bookmark', err);
+      throw err;
     }
+    setBookmarkError(null);
+    setBookmarks(prev => prev.map(bookmark => bookmark.id === id ? updated : bookmark));
   };
 
-  const handlePlaybackRateChange = (newRate) => {
-    if (audioRef.current) {
-      logger.info(LOG_CATEGORIES.UI, 'Playback rate changed', {
-        from: playbackRate + 'x',
-        to: newRate + 'x'
-      });
-      audioRef.current.playbackRate = newRate;
-      setPlaybackRate(newRate);
+  const handleBookmarkDelete = async (id) => {
+    try {
+      await deleteBookmark(getBookmarksUrl(), authToken, id);
+    } catch (err) {
+      reportBookmarkError('Could not delete the bookmark', err);
+      return;
     }
-  };  const handleDownload = () => {
-    const streamingUrl = getStreamingUrl();
-    if (streamingUrl) {
-      const downloadTimer = perfLog.start('Audio download');
-      
-      const chapterTitle = chapter?.title || chapter?.number || CHAPTER_ID;
-      const filename = CHAPTER_ID 
-        ? `chapter_${chapterTitle ? `${chapterTitle}_` : ''}${CHAPTER_ID}_audio.mp3`
-        : `book_${BOOK_ID}_audio.mp3`;
-      
-      logger.info(LOG_CATEGORIES.NETWORK, 'Download initiated', {
-        url: streamingUrl,
-        hasAuth: !!authToken,
-        filename: filename
-      });
-      
-      // Create download link with authentication
-      const link = document.createElement('a');
-      link.href = streamingUrl;
-      link.download = filename;
-      
-      // For authenticated downloads, we need to handle this differently
-      if (authToken) {
-        logger.debug(LOG_CATEGORIES.AUTH, 'Starting authenticated download');
-        const startTime = performance.now();
-        networkLog.request('GET', streamingUrl, { 'Authorization': 'Bearer ***' });
-        
-        fetch(streamingUrl, {
-          headers: {
-            'Authorization': `Bearer ${authToken}`
-          }
-        })        .then(response => {
-          const responseTime = Math.round(performance.now() - startTime);
-          const contentLength = response.headers.get('Content-Length');
-          const contentType = response.headers.get('Content-Type');
-          
-          networkLog.response('GET', streamingUrl, response.status, responseTime, contentLength);
-          sessionLogger.trackNetworkRequest('GET', streamingUrl, response.status, responseTime, contentLength);
-          
-          logger.info(LOG_CATEGORIES.NETWORK, 'Download response received', {
-            status: response.status,
-            statusText: response.statusText,
-            contentType,
-            contentLength: contentLength ? Math.round(contentLength / 1024) + 'KB' : 'unknown',
-            responseTime: responseTime + 'ms'
-          });
-          
-          if (!response.ok) {
-            throw new Error(`Download failed: ${response.status} ${response.statusText}`);
-          }
-          
-          return response.blob();
-        })
-        .then(blob => {
-          logger.info(LOG_CATEGORIES.NETWORK, 'Download completed', {
-            blobSize: Math.round(blob.size / 1024) + 'KB',
-            blobType: blob.type
-          });
-          
-          const url = window.URL.createObjectURL(blob);
-          link.href = url;
-          document.body.appendChild(link);
-          link.click();
-          document.body.removeChild(link);
-          window.URL.revokeObjectURL(url);
-          
-          downloadTimer.end();
-        })        .catch(err => {
-          const responseTime = Math.round(performance.now() - startTime);
-          networkLog.error('GET', streamingUrl, err, responseTime);
-          sessionLogger.trackError(err, {
-            operation: 'download',
-            url: streamingUrl,
-            responseTime
-          });
-          
-          logger.error(LOG_CATEGORIES.NETWORK, 'Download failed', {
-            error: {
-              name: err.name,
-              message: err.message
-            },
-            responseTime: responseTime + 'ms'
-          });
-          
-          setError('Download failed. Please try again.');
-          downloadTimer.end();
-        });
-      } else {
-        logger.info(LOG_CATEGORIES.NETWORK, 'Starting unauthenticated download');
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        downloadTimer.end();
-      }
-    } else {
-      logger.error(LOG_CATEGORIES.NETWORK, 'Download failed - no streaming URL available');
+    setBookmarkError(null);
+    setBookmarks(prev => prev.filter(bookmark => bookmark.id !== id));
+    if (editingBookmarkId === id) {
+      setEditingBookmarkId(null);
     }
-  };  const handleBookmark = () => {
-    const bookmarkData = {
-      position: currentTime,
-      formattedPosition: formatTime(currentTime),
-      status: isPlaying ? 'playing' : 'paused',
-      timestamp: new Date().toISOString()
-    };
-    
-    logger.info(LOG_CATEGORIES.UI, 'Bookmark created', bookmarkData);
-    
-    // Create bookmark at current position
-    updateProgress(currentTime, 'bookmarked');
-    alert(`Bookmarked at ${formatTime(currentTime)}`);
+    announce('Bookmark deleted');
   };
 
-  // On mount, check progress for resume
+  // Load bookmarks for this book/chapter, and again when the connection
+  // returns so changes made offline are sent
   useEffect(() => {
-    const checkResume = async () => {
-      const progressUrl = getProgressUrl();
-      if (!progressUrl || !authToken) return;
-      try {
-        const response = await fetch(progressUrl, {
-          headers: {
-            'Authorization': `Bearer ${authToken}`
-          }
-        });
-        if (response.ok) {
-          const data = await response.json();
-          if (data && data.progress) {
-            setCompletionPercentage(parseFloat(data.progress.completion_percentage) || 0);
-            if (
-              typeof data.progress.position === 'number' &&
-              data.progress.position > 0 &&
-              parseFloat(data.progress.completion_percentage) < 100
-            ) {
-              setResumeAvailable(true);
-              setResumePosition(data.progress.position);
-            } else {
-              setResumeAvailable(false);
-            }
-            // Check is_finished (can be 1 or true)
-            if (data.progress.is_finished === 1 || data.progress.is_finished === true) {
-              setShowStartOver(true);
-            } else {
-              setShowStartOver(false);
-            }
-          }
-        }
-      } catch (e) {
-        setResumeAvailable(false);
-        setShowStartOver(false);
-        setCompletionPercentage(0);
-      }
+    if (!showBookmark) return;
+    let active = true;
+    const reload = () => loadBookmarks(getBookmarksUrl(), authToken).then(list => {
+      if (active) setBookmarks(list);
+    });
+    reload();
+    window.addEventListener('online', reload);
+    return () => {
+      active = false;
+      window.removeEventListener('online', reload);
     };
-    checkResume();
-  }, [getProgressUrl, authToken]);
-
-  const handleResume = async () => {
-    const streamingUrl = getStreamingUrl();
-    setIsLoading(true);
-    setError(null);
-    if (authToken) {
-      try {
-        const response = await fetch(streamingUrl, {
-          headers: { 'Authorization': `Bearer ${authToken}` }
-        });
-        if (!response.ok) throw new Error('Failed to fetch audio');
-        const blob = await response.blob();
-        const url = URL.createObjectURL(blob);
-        audioRef.current.src = url;
-        setIsLoading(false);
-        setIsPlaying(true);
-        // Set currentTime to resumePosition after metadata loads
-        audioRef.current.onloadedmetadata = () => {
-          if (resumePosition) {
-            audioRef.current.currentTime = resumePosition;
-          }
-          audioRef.current.play().catch(() => {});
-        };
-      } catch (err) {
-        setError('Failed to resume audio.');
-        setIsLoading(false);
-      }
-    } else {
-      audioRef.current.src = streamingUrl;
-      setIsLoading(false);
-      setIsPlaying(true);
-      audioRef.current.onloadedmetadata = () => {
-        if (resumePosition) {
-          audioRef.current.currentTime = resumePosition;
-        }
-        audioRef.current.play().catch(() => {});
-      };
-    }
+  }, [getBookmarksUrl, authToken, showBookmark]);
+
+  // Sleep timer - runs in the shared player so it outlives this view
+  const handleSleepTimerStart = (mode, minutes) => {
+    player.startSleepTimer(mode, minutes);
+    setSleepTimerMenuOpen(false);
   };
 
+  const isSleepTimerActive = sleepTimer !== null;
+  const isSleepTimerFading = isSleepTimerActive && sleepTimer.remaining <= FADE_OUT_SECONDS;
+
   // Utility functions
   const formatTime = (time) => {
     const minutes = Math.floor(time / 60);
@@ -680,92 +381,180 @@ const AudioPlayer = ({
     return `${minutes}:${seconds.toString().padStart(2, '0')}`;
   };
 
-  const getProgressPercentage = () => {
-    return duration > 0 ? (currentTime / duration) * 100 : 0;
-  };  // Cleanup
-  useEffect(() => {
-    return () => {
-      if (progressIntervalRef.current) {
-        logger.debug(LOG_CATEGORIES.INIT, 'Cleaning up progress interval');
-        clearInterval(progressIntervalRef.current);
-      }
-      logger.info(LOG_CATEGORIES.INIT, '=== AUDIO PLAYER CLEANUP COMPLETED ===');
-    };
-  }, []);
-
   return (
-    <div className={`audio-player bg-white rounded-lg shadow-lg p-6 max-w-md mx-auto ${className}`}>
-      {/* Hidden audio element */}
-      <audio
-        ref={audioRef}
-        onLoadedMetadata={handleLoadedMetadata}
-        onTimeUpdate={handleTimeUpdate}
-        onLoadStart={handleLoadStart}
-        onCanPlay={handleCanPlay}
-        onError={handleError}
-        onEnded={handleEnded}
-        preload="metadata"
-        crossOrigin="anonymous"
-      />
+    <div
+      className={`audio-player bg-white rounded-lg shadow-lg p-6 max-w-md mx-auto focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500 ${className}`}
+      role="region"
+      aria-label={`Audio player${chapter?.title ? `: ${chapter.title}` : bookTitle ? `: ${bookTitle}` : ''}`}
+      aria-keyshortcuts="Space K J L ArrowLeft ArrowRight Shift+ArrowUp Shift+ArrowDown M Home End"
+      tabIndex={0}
+      onKeyDown={handleKeyDown}
+    >
+      {/* Screen reader announcements (bookmarks, offline saving) */}
+      <div className="sr-only" aria-live="polite" aria-atomic="true">
+        {announcement}
+      </div>
 
       {/* Error Display */}
       {error && (
-        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4" role="alert">
           {error}
         </div>
       )}
 
+      {isPlayingOffline && (
+        <div className="text-xs text-green-700 text-center mb-2">
+          Playing from offline storage
+        </div>
+      )}
+
       {/* Audio Metadata */}
-      {audioMetadata && (
-        <div className="text-center mb-4">
-          <h3 className="text-lg font-semibold">{audioMetadata.title}</h3>
-          <p className="text-gray-600">{audioMetadata.author}</p>
+      {showMetadata && (
+        <div className="flex items-center space-x-4 mb-4">
+          {coverSrc && (
+            // Embedded covers are blob: URLs, which next/image cannot optimise
+            // eslint-disable-next-line @next/next/no-img-element
+            <img
+              src={coverSrc}
+              alt={`Cover of ${metadata.album || metadata.title}`}
+              className="w-16 h-16 rounded object-cover shadow flex-shrink-0"
+            />
+          )}
+          <div className="min-w-0">
+            <h3 className="text-lg font-semibold truncate">{metadata.title}</h3>
+            {metadata.artist && <p className="text-gray-600 truncate">{metadata.artist}</p>}
+            {metadata.album && metadata.album !== metadata.title && (
+              <p className="text-sm text-gray-500 truncate">{metadata.album}</p>
+            )}
+          </div>
         </div>
       )}
 
       {/* Progress Bar */}
       <div className="mb-4">
-        <div className="flex justify-between text-sm text-gray-600 mb-2">
-          <span>{formatTime(currentTime)}</span>
-          <span>{formatTime(duration)}</span>
+        <div className="flex justify-between items-center text-sm text-gray-600 mb-2">
+          <span aria-hidden="true">{formatTime(currentTime)}</span>
+          {authToken && (
+            <button
+              type="button"
+              onClick={() => syncStatus === SYNC_STATUS.FAILED && audioPlayer.retrySync()}
+              className={`flex items-center space-x-1 text-xs ${
+                syncStatus === SYNC_STATUS.FAILED ? 'text-red-600 cursor-pointer' :
+                syncStatus === SYNC_STATUS.PENDING ? 'text-yellow-600 cursor-default' : 'text-gray-400 cursor-default'
+              }`}
+              title={
+                syncStatus === SYNC_STATUS.FAILED ? 'Progress could not be saved - click to retry' :
+                syncStatus === SYNC_STATUS.PENDING ? 'Progress will sync when back online' : 'Progress synced'
+              }
+              aria-label={
+                syncStatus === SYNC_STATUS.FAILED ? 'Progress could not be saved, retry' :
+                syncStatus === SYNC_STATUS.PENDING ? 'Progress will sync when back online' : 'Progress synced'
+              }
+            >
+              {syncStatus === SYNC_STATUS.FAILED ? <CloudOff className="w-3 h-3" /> :
+               syncStatus === SYNC_STATUS.PENDING ? <RefreshCw className="w-3 h-3" /> : <Cloud className="w-3 h-3" />}
+              <span>{syncStatus}</span>
+            </button>
+          )}
+          <span aria-hidden="true">{formatTime(duration)}</span>
         </div>
-        <div 
-          className="w-full bg-gray-200 rounded-full h-2 cursor-pointer"
-          onClick={(e) => {
-            const rect = e.currentTarget.getBoundingClientRect();
-            const clickX = e.clientX - rect.left;
-            const newTime = (clickX / rect.width) * duration;
-            handleSeek(newTime);
+        <WaveformProgressBar
+          currentTime={currentTime}
+          duration={duration}
+          waveform={audioPlayer.waveform}
+          buffered={audioPlayer.buffered}
+          sections={hasSections ? sections : null}
+          formatTime={formatTime}
+          onSeek={handleSeek}
+          onKeyDown={(e) => {
+            // Left/Right/Home/End are handled by the player shortcuts
+            if (e.shiftKey) return;
+            if (e.key === 'ArrowUp' || e.key === 'PageUp') {
+              e.preventDefault();
+              handleSkipForward();
+            } else if (e.key === 'ArrowDown' || e.key === 'PageDown') {
+              e.preventDefault();
+              handleSkipBackward();
+            }
           }}
         >
-          <div 
-            className="bg-blue-600 h-2 rounded-full transition-all duration-200"
-            style={{ width: `${getProgressPercentage()}%` }}
-          />
-        </div>
+          {/* Bookmark markers */}
+          {showBookmark && duration > 0 && bookmarks.map(bookmark => (
+            <button
+              key={bookmark.id}
+              type="button"
+              onClick={(e) => {
+                e.stopPropagation();
+                handleBookmarkJump(bookmark);
+              }}
+              className="absolute top-1/2 w-1 h-4 -mt-2 -ml-0.5 bg-yellow-500 rounded-sm hover:bg-yellow-600"
+              style={{ left: `${Math.min(100, (bookmark.position / duration) * 100)}%` }}
+              title={`${bookmark.title || 'Bookmark'} (${formatTime(bookmark.position)})`}
+              aria-label={`Jump to ${bookmark.title || 'bookmark'} at ${formatTime(bookmark.position)}`}
+            />
+          ))}
+        </WaveformProgressBar>
+        {hasSections && (
+          <button
+            onClick={() => setSectionsOpen(!sectionsOpen)}
+            className="mt-2 w-full flex items-center justify-center space-x-1 text-xs text-gray-600 hover:text-gray-900"
+            aria-label={`${sectionsOpen ? 'Hide' : 'Show'} sections${currentSection ? `, playing ${currentSection.title}` : ''}`}
+            aria-expanded={sectionsOpen}
+          >
+            <ListOrdered className="w-3 h-3" aria-hidden="true" />
+            <span className="truncate">
+              {currentSection
+                ? `${currentSectionIndex + 1}/${sections.length} · ${currentSection.title}`
+                : `${sections.length} sections`}
+            </span>
+          </button>
+        )}
       </div>
 
       {/* Main Controls */}
       <div className="flex items-center justify-center space-x-4 mb-4">
+        {onPreviousChapter && (
+          <button
+            onClick={onPreviousChapter}
+            className="p-2 rounded-full bg-gray-100 hover:bg-gray-200 transition-colors"
+            aria-label="Previous chapter"
+          >
+            <StepBack className="w-5 h-5" aria-hidden="true" />
+          </button>
+        )}
+
+        {hasSections && (
+          <button
+            onClick={audioPlayer.previousSection}
+            className="p-2 rounded-full bg-gray-100 hover:bg-gray-200 transition-colors"
+            disabled={isLoading}
+            aria-label="Previous section"
+          >
+            <ChevronsLeft className="w-5 h-5" aria-hidden="true" />
+          </button>
+        )}
+
         <button
           onClick={handleSkipBackward}
           className="p-2 rounded-full bg-gray-100 hover:bg-gray-200 transition-colors"
           disabled={isLoading}
+          aria-label="Skip back 30 seconds"
         >
-          <SkipBack className="w-5 h-5" />
+          <SkipBack className="w-5 h-5" aria-hidden="true" />
         </button>
 
         <button
           onClick={isPlaying ? handlePause : handlePlay}
           className="p-3 rounded-full bg-blue-600 hover:bg-blue-700 text-white transition-colors disabled:opacity-50"
           disabled={isLoading || error}
+          aria-label={isLoading ? 'Loading' : isPlaying ? 'Pause' : 'Play'}
         >
           {isLoading ? (
             <div className="w-6 h-6 border-2 border-white border-t-transparent rounded-full animate-spin" />
           ) : isPlaying ? (
-            <Pause className="w-6 h-6" />
+            <Pause className="w-6 h-6" aria-hidden="true" />
           ) : (
-            <Play className="w-6 h-6" />
+            <Play className="w-6 h-6" aria-hidden="true" />
           )}
         </button>
 
@@ -773,25 +562,61 @@ const AudioPlayer = ({
           onClick={handleSkipForward}
           className="p-2 rounded-full bg-gray-100 hover:bg-gray-200 transition-colors"
           disabled={isLoading}
+          aria-label="Skip forward 30 seconds"
         >
-          <SkipForward className="w-5 h-5" />
+          <SkipForward className="w-5 h-5" aria-hidden="true" />
         </button>
+
+        {hasSections && (
+          <button
+            onClick={audioPlayer.nextSection}
+            className="p-2 rounded-full bg-gray-100 hover:bg-gray-200 transition-colors"
+            disabled={isLoading || currentSectionIndex + 1 >= sections.length}
+            aria-label="Next section"
+          >
+            <ChevronsRight className="w-5 h-5" aria-hidden="true" />
+          </button>
+        )}
+
+        {onNextChapter && (
+          <button
+            onClick={onNextChapter}
+            className="p-2 rounded-full bg-gray-100 hover:bg-gray-200 transition-colors"
+            aria-label="Next chapter"
+          >
+            <StepForward className="w-5 h-5" aria-hidden="true" />
+          </button>
+        )}
       </div>
 
       {/* Secondary Controls */}
       <div className="flex items-center justify-between">
         {/* Volume Control */}
         <div className="flex items-center space-x-2">
-          <Volume2 className="w-4 h-4 text-gray-600" />
+          <button
+            onClick={handleToggleMute}
+            className="text-gray-600 hover:text-gray-900"
+            aria-label={isMuted ? 'Unmute' : 'Mute'}
+            aria-pressed={isMuted}
+          >
+            {isMuted || volume === 0
+              ? <VolumeX className="w-4 h-4" aria-hidden="true" />
+              : <Volume2 className="w-4 h-4" aria-hidden="true" />}
+          </button>
           <input
             type="range"
             min="0"
-            max="1"
-            step="0.1"
+            max={maxVolume}
+            step="0.05"
             value={volume}
             onChange={(e) => handleVolumeChange(parseFloat(e.target.value))}
-            className="w-16"
+            className={maxVolume > 1 ? 'w-24' : 'w-16'}
+            aria-label="Volume"
+            aria-valuetext={`${Math.round(volume * 100)}%`}
           />
+          {volume > 1 && (
+            <span className="text-xs text-purple-700" aria-hidden="true">{Math.round(volume * 100)}%</span>
+          )}
         </div>
 
         {/* Playback Speed */}
@@ -799,13 +624,11 @@ const AudioPlayer = ({
           value={playbackRate}
           onChange={(e) => handlePlaybackRateChange(parseFloat(e.target.value))}
           className="text-sm border rounded px-2 py-1"
+          aria-label="Playback speed"
         >
-          <option value={0.5}>0.5x</option>
-          <option value={0.75}>0.75x</option>
-          <option value={1}>1x</option>
-          <option value={1.25}>1.25x</option>
-          <option value={1.5}>1.5x</option>
-          <option value={2}>2x</option>
+          {PLAYBACK_RATES.map(rate => (
+            <option key={rate} value={rate}>{rate}x</option>
+          ))}
         </select>
 
         {/* Action Buttons */}
@@ -814,24 +637,171 @@ const AudioPlayer = ({
             <button
               onClick={handleBookmark}
               className="p-2 rounded bg-gray-100 hover:bg-gray-200 transition-colors"
-              disabled={isLoading || !isPlaying}
+              disabled={isLoading || duration === 0}
+              aria-label="Add bookmark"
             >
-              <Bookmark className="w-4 h-4" />
+              <Bookmark className="w-4 h-4" aria-hidden="true" />
+            </button>
+          )}
+
+          {showBookmark && bookmarks.length > 0 && (
+            <button
+              onClick={() => setShowBookmarks(!showBookmarks)}
+              className="px-2 py-1 rounded bg-gray-100 hover:bg-gray-200 transition-colors text-xs"
+              aria-label={`${showBookmarks ? 'Hide' : 'Show'} bookmarks (${bookmarks.length})`}
+              aria-expanded={showBookmarks}
+            >
+              {bookmarks.length}
             </button>
           )}
           
           {showDownload && (
             <button
-              onClick={handleDownload}
+              onClick={audioPlayer.download}
               className="p-2 rounded bg-gray-100 hover:bg-gray-200 transition-colors"
               disabled={isLoading}
+              aria-label="Download audio"
+            >
+              <Download className="w-4 h-4" aria-hidden="true" />
+            </button>
+          )}
+
+          {showSleepTimer && (
+            <button
+              onClick={() => setSleepTimerMenuOpen(!sleepTimerMenuOpen)}
+              className={`p-2 rounded transition-colors flex items-center space-x-1 ${
+                isSleepTimerActive ? 'bg-indigo-100 text-indigo-700 hover:bg-indigo-200' : 'bg-gray-100 hover:bg-gray-200'
+              }`}
+              aria-label={isSleepTimerActive && Number.isFinite(sleepTimer.remaining)
+                ? `Sleep timer, ${formatSleepRemaining(sleepTimer.remaining)} left`
+                : isSleepTimerActive ? 'Sleep timer, end of chapter' : 'Sleep timer'}
+              aria-expanded={sleepTimerMenuOpen}
+            >
+              <Moon className="w-4 h-4" aria-hidden="true" />
+              {isSleepTimerActive && Number.isFinite(sleepTimer.remaining) && (
+                <span className="text-xs font-mono" aria-hidden="true">{formatSleepRemaining(sleepTimer.remaining)}</span>
+              )}
+            </button>
+          )}
+
+          {showAudioEffects && player.audioEffectsSupported && (
+            <button
+              onClick={() => setAudioEffectsMenuOpen(!audioEffectsMenuOpen)}
+              className={`p-2 rounded transition-colors ${
+                audioEffects.trimSilence || audioEffects.voiceBoost || audioEffects.normalizeLoudness || !isFlatEqualizer(audioEffects.equalizer)
+                  ? 'bg-purple-100 text-purple-700 hover:bg-purple-200'
+                  : 'bg-gray-100 hover:bg-gray-200'
+              }`}
+              aria-label="Audio effects"
+              aria-expanded={audioEffectsMenuOpen}
             >
-              <Download className="w-4 h-4" />
+              <AudioLines className="w-4 h-4" aria-hidden="true" />
+            </button>
+          )}
+
+          {showTranscript && audioPlayer.transcript && (
+            <button
+              onClick={() => setTranscriptOpen(!transcriptOpen)}
+              className={`p-2 rounded transition-colors ${
+                transcriptOpen ? 'bg-blue-100 text-blue-700 hover:bg-blue-200' : 'bg-gray-100 hover:bg-gray-200'
+              }`}
+              aria-label={`${transcriptOpen ? 'Hide' : 'Show'} transcript`}
+              aria-expanded={transcriptOpen}
+            >
+              <ScrollText className="w-4 h-4" aria-hidden="true" />
+            </button>
+          )}
+
+          {showSaveOffline && canSaveOffline && (
+            <button
+              onClick={audioPlayer.toggleOffline}
+              className={`p-2 rounded transition-colors flex items-center space-x-1 ${
+                offlineItem ? 'bg-green-100 text-green-700 hover:bg-green-200' : 'bg-gray-100 hover:bg-gray-200'
+              }`}
+              disabled={isLoading || offlineSaveProgress !== null}
+              title={offlineItem ? 'Saved for offline - click to remove' : 'Save for offline'}
+              aria-label={offlineItem ? 'Remove offline copy' : 'Save for offline'}
+            >
+              {offlineItem ? <CheckCircle2 className="w-4 h-4" aria-hidden="true" /> : <HardDriveDownload className="w-4 h-4" aria-hidden="true" />}
+              {offlineSaveProgress !== null && (
+                <span className="text-xs">{offlineSaveProgress}%</span>
+              )}
             </button>
           )}
         </div>
       </div>
 
+      {isSleepTimerFading && (
+        <div className="mt-4 text-sm text-center text-indigo-700">
+          Sleep timer ending - tap or shake to keep listening
+        </div>
+      )}
+
+      {showSleepTimer && sleepTimerMenuOpen && (
+        <SleepTimerMenu
+          activeTimer={sleepTimer}
+          onStart={handleSleepTimerStart}
+          onCancel={player.cancelSleepTimer}
+          onClose={() => setSleepTimerMenuOpen(false)}
+        />
+      )}
+
+      {showAudioEffects && audioEffects.trimSilence && timeSaved >= 1 && !audioEffectsMenuOpen && (
+        <div className="mt-2 text-xs text-center text-purple-700">
+          Trim silence has saved {formatTimeSaved(timeSaved)}
+        </div>
+      )}
+
+      {showAudioEffects && audioEffectsMenuOpen && (
+        <AudioEffectsMenu
+          effects={audioEffects}
+          timeSaved={timeSaved}
+          loudnessCorrection={player.loudnessCorrection}
+          onChange={player.setAudioEffects}
+          onResetTimeSaved={player.resetTimeSaved}
+          onClose={() => setAudioEffectsMenuOpen(false)}
+        />
+      )}
+
+      {hasSections && sectionsOpen && (
+        <SectionsPanel
+          sections={sections}
+          currentIndex={currentSectionIndex}
+          duration={duration}
+          formatTime={formatTime}
+          onSeek={handleSeek}
+          onClose={() => setSectionsOpen(false)}
+        />
+      )}
+
+      {showTranscript && transcriptOpen && audioPlayer.transcript && (
+        <TranscriptPanel
+          cues={audioPlayer.transcript}
+          currentTime={currentTime}
+          formatTime={formatTime}
+          onSeek={handleSeek}
+          onClose={() => setTranscriptOpen(false)}
+        />
+      )}
+
+      {showBookmark && showBookmarks && (
+        <BookmarksPanel
+          bookmarks={bookmarks}
+          formatTime={formatTime}
+          onJump={handleBookmarkJump}
+          onUpdate={handleBookmarkUpdate}
+          onDelete={handleBookmarkDelete}
+          onClose={() => {
+            setShowBookmarks(false);
+            setEditingBookmarkId(null);
+            setBookmarkError(null);
+          }}
+          error={bookmarkError}
+          editingId={editingBookmarkId}
+          onEditingChange={setEditingBookmarkId}
+        />
+      )}
+
       {/* Resume Button - Shown if resume position is available */}
       {!isPlaying && resumeAvailable && completionPercentage < 100 && !showStartOver && (
         <button
@@ -845,13 +815,7 @@ const AudioPlayer = ({
 
       {resumeAvailable && resumePosition !== null && duration > 0 && resumePosition >= duration && (
         <button
-          onClick={() => {
-            if (audioRef.current) {
-              audioRef.current.currentTime = 0;
-              audioRef.current.play().catch(() => {});
-              setIsPlaying(true);
-            }
-          }}
+          onClick={handleStartOver}
           className="p-2 rounded bg-green-100 hover:bg-green-200 transition-colors mr-2"
           disabled={isLoading}
         >
@@ -861,13 +825,7 @@ const AudioPlayer = ({
 
       {!isPlaying && showStartOver && (
         <button
-          onClick={() => {
-            if (audioRef.current) {
-              audioRef.current.currentTime = 0;
-              audioRef.current.play().catch(() => {});
-              setIsPlaying(true);
-            }
-          }}
+          onClick={handleStartOver}
           className="p-2 rounded bg-green-100 hover:bg-green-200 transition-colors mr-2"
           disabled={isLoading}
         >
@@ -885,6 +843,18 @@ const AudioPlayer = ({
           -ms-user-select: none;
           user-select: none;
         }
+
+        .sr-only {
+          position: absolute;
+          width: 1px;
+          height: 1px;
+          padding: 0;
+          margin: -1px;
+          overflow: hidden;
+          clip: rect(0, 0, 0, 0);
+          white-space: nowrap;
+          border: 0;
+        }
         
         @media (max-width: 768px) {
           .audio-player {
@@ -894,6 +864,32 @@ const AudioPlayer = ({
       `}</style>
     </div>
   );
-};
+});
+
+AudioPlayerView.displayName = 'AudioPlayerView';
+
+/**
+ * NextJS Audio Player Component
+ * Supports streaming from /audioStreaming/bookintro/{bookId}/audio endpoint
+ * Supports chapter streaming from /audioStreaming/chapters/{chapterId}/audio endpoint
+ * Compatible with iOS AVPlayer, Android MediaPlayer, and React Native
+ *
+ * Plays through the app's PlayerProvider (pages/_app.js) so playback keeps
+ * going across pages; used anywhere else it brings a provider of its own.
+ */
+const AudioPlayer = forwardRef((props, ref) => {
+  const player = usePlayer();
+  if (player) {
+    return <AudioPlayerView {...props} ref={ref} />;
+  }
+
+  return (
+    <PlayerProvider>
+      <AudioPlayerView {...props} ref={ref} />
+    </PlayerProvider>
+  );
+});
+
+AudioPlayer.displayName = 'AudioPlayer';
 
 export default AudioPlayer;
@@ -0,0 +1,53 @@
+/**
+ * BFF route wrapper
+ * Dispatches by HTTP method, rejects cross-site state-changing requests
+ * (the session cookie is sent automatically, so they would otherwise be a
+ * CSRF risk) and maps an unreachable backend to 502.
+ */
+
+import { BackendUnavailableError } from './session';
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Browsers send Origin on cross-site and on same-origin non-GET requests
+const isSameOrigin = (req) => {
+  const origin = req.headers.origin;
+  if (!origin) return true;
+  try {
+    return new URL(origin).host === req.headers.host;
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * handlers maps HTTP methods to (req, res) => void | Promise
+ */
+export const bffRoute = (handlers) => async (req, res) => {
+  const handler = handlers[req.method] || (req.method === 'HEAD' ? handlers.GET : null);
+  if (!handler) {
+    res.setHeader('Allow', Object.keys(handlers).join(', '));
+    res.status(405).json({ message: `Method ${req.method} not allowed` });
+    return;
+  }
+
+  if (!SAFE_METHODS.includes(req.method) && !isSameOrigin(req)) {
+    res.status(403).json({ message: 'Cross-origin request rejected' });
+    return;
+  }
+
+  try {
+    await handler(req, res);
+  } catch (err) {
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+    if (err instanceof BackendUnavailableError) {
+      res.status(502).json({ message: 'The server is unreachable. Please try again.' });
+      return;
+    }
+    console.error(`BFF ${req.method} ${req.url} failed:`, err);
+    res.status(500).json({ message: 'Internal error' });
+  }
+};
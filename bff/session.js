@@ -0,0 +1,187 @@
+/**
+ * BFF session handling (server side only)
+ * The backend's access and refresh tokens live in httpOnly cookies scoped to
+ * /api, so page scripts never see them. The proxy and session routes read
+ * them here, call the backend with the Bearer token and renew the access
+ * token with the refresh token when it has expired.
+ */
+
+import { config } from '../utils/config';
+
+const ACCESS_COOKIE = 'ap_session';
+const REFRESH_COOKIE = 'ap_refresh';
+const COOKIE_PATH = '/api';
+const DEFAULT_REFRESH_MAX_AGE = 30 * 24 * 60 * 60; // seconds, for tokens without an exp claim
+const EXPIRY_MARGIN = 30000; // ms - renew a token this close to exp rather than send it
+
+// Error thrown when the backend cannot be reached at all
+export class BackendUnavailableError extends Error {
+  constructor(cause) {
+    super(`Backend unreachable: ${cause.message}`);
+    this.name = 'BackendUnavailableError';
+  }
+}
+
+/**
+ * Backend base URL. The mock API is served by this same Next.js server.
+ */
+export const getBackendUrl = (req) => (config.useMockApi
+  ? `http://127.0.0.1:${req.socket.localPort}/api`
+  : config.backendUrl.replace(/\/$/, ''));
+
+// exp claim of a JWT in ms, or null
+const getTokenExpiry = (token) => {
+  try {
+    const { exp } = JSON.parse(Buffer.from(token.split('.')[1], 'base64').toString('utf8'));
+    return typeof exp === 'number' ? exp * 1000 : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+const serializeCookie = (name, value, maxAge) => [
+  `${name}=${encodeURIComponent(value)}`,
+  `Path=${COOKIE_PATH}`,
+  `Max-Age=${Math.max(0, Math.floor(maxAge))}`,
+  'HttpOnly',
+  'SameSite=Lax',
+  ...(config.isProduction ? ['Secure'] : [])
+].join('; ');
+
+const appendSetCookie = (res, cookies) => {
+  const existing = res.getHeader('Set-Cookie') || [];
+  res.setHeader('Set-Cookie', [...(Array.isArray(existing) ? existing : [existing]), ...cookies]);
+};
+
+/**
+ * Tokens from the request cookies, plus any renewed during this request
+ */
+export const readSession = (req) => {
+  if (!req.session) {
+    const accessToken = req.cookies[ACCESS_COOKIE] || null;
+    req.session = {
+      accessToken,
+      refreshToken: req.cookies[REFRESH_COOKIE] || null,
+      expiresAt: accessToken ? getTokenExpiry(accessToken) : null
+    };
+  }
+  return req.session;
+};
+
+/**
+ * Store a login or refresh response ({ token, refresh_token, expires_in })
+ * in the cookies and on the request. Returns the access token's expiry (ms).
+ */
+export const writeSession = (req, res, data) => {
+  const session = readSession(req);
+  const expiresAt = getTokenExpiry(data.token) || (data.expires_in ? Date.now() + data.expires_in * 1000 : null);
+  const refreshToken = data.refresh_token || data.refreshToken || session.refreshToken;
+  const refreshExpiresAt = refreshToken ? getTokenExpiry(refreshToken) : null;
+
+  // Both cookies last as long as the session can be renewed; an expired
+  // access token in the cookie is renewed on its next use
+  const lifetimeEnd = refreshToken ? refreshExpiresAt : expiresAt;
+  const maxAge = lifetimeEnd ? (lifetimeEnd - Date.now()) / 1000 : DEFAULT_REFRESH_MAX_AGE;
+  const cookies = [serializeCookie(ACCESS_COOKIE, data.token, maxAge)];
+  if (refreshToken) cookies.push(serializeCookie(REFRESH_COOKIE, refreshToken, maxAge));
+  appendSetCookie(res, cookies);
+
+  req.session = { accessToken: data.token, refreshToken, expiresAt };
+  return expiresAt;
+};
+
+export const clearSession = (req, res) => {
+  appendSetCookie(res, [serializeCookie(ACCESS_COOKIE, '', 0), serializeCookie(REFRESH_COOKIE, '', 0)]);
+  req.session = { accessToken: null, refreshToken: null, expiresAt: null };
+};
+
+/**
+ * fetch against the backend. Network failures become BackendUnavailableError.
+ */
+export const backendFetch = async (req, path, init = {}) => {
+  try {
+    return await fetch(`${getBackendUrl(req)}${path}`, { ...init, redirect: 'manual' });
+  } catch (err) {
+    if (err.name === 'AbortError') throw err;
+    throw new BackendUnavailableError(err);
+  }
+};
+
+// Refreshes in flight by refresh token, so parallel requests with an expired
+// token renew it once (rotating refresh tokens only work once)
+const pendingRefreshes = new Map();
+
+/**
+ * Renew the access token with the refresh cookie. Resolves true when the
+ * session was renewed, false when the refresh token was missing or rejected
+ * (the cookies are cleared then). Throws BackendUnavailableError when the
+ * backend is down, leaving the session as it was.
+ */
+export const refreshSession = async (req, res) => {
+  const { refreshToken } = readSession(req);
+  if (!refreshToken) return false;
+
+  if (!pendingRefreshes.has(refreshToken)) {
+    const refresh = backendFetch(req, '/user/refresh', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+      body: JSON.stringify({ refresh_token: refreshToken })
+    })
+      .then(async (response) => {
+        if (response.ok) return response.json();
+        // A failing backend is an outage, not a rejected refresh token
+        if (response.status >= 500) throw new BackendUnavailableError(new Error(`HTTP ${response.status}`));
+        return null;
+      })
+      .finally(() => {
+        setTimeout(() => pendingRefreshes.delete(refreshToken), 5000);
+      });
+    pendingRefreshes.set(refreshToken, refresh);
+  }
+
+  const data = await pendingRefreshes.get(refreshToken);
+  if (!data?.token) {
+    clearSession(req, res);
+    return false;
+  }
+  writeSession(req, res, data);
+  return true;
+};
+
+/**
+ * Access token for a backend call, renewed first when it has expired.
+ * Resolves null when there is no usable session.
+ */
+export const getAccessToken = async (req, res) => {
+  const session = readSession(req);
+  const expiring = session.expiresAt !== null && session.expiresAt - EXPIRY_MARGIN <= Date.now();
+  if (session.accessToken && (!expiring || !session.refreshToken)) {
+    return session.expiresAt === null || session.expiresAt > Date.now() ? session.accessToken : null;
+  }
+  return (await refreshSession(req, res)) ? readSession(req).accessToken : null;
+};
+
+/**
+ * Call the backend as the signed-in user. A 401 renews the token and the
+ * request is sent once more. Resolves null when there is no session.
+ * init.body must be replayable (a string or Buffer).
+ */
+export const authorizedFetch = async (req, res, path, init = {}) => {
+  const send = (token) => backendFetch(req, path, {
+    ...init,
+    headers: { ...init.headers, 'Authorization': `Bearer ${token}` }
+  });
+
+  const token = await getAccessToken(req, res);
+  if (!token) return null;
+
+  const response = await send(token);
+  if (response.status !== 401 || !(await refreshSession(req, res))) return response;
+  response.body?.cancel();
+  return send(readSession(req).accessToken);
+};
+
+/**
+ * Expiry the browser uses to schedule its next renewal, if known
+ */
+export const getSessionExpiry = (req) => readSession(req).expiresAt;
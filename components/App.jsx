@@ -1,11 +1,15 @@
 import React, { useState, useEffect } from 'react';
+import Link from 'next/link';
 import { AuthProvider, useAuth } from '../contexts/AuthContext';
 import Login from './Login';
 import AudioPlayer from '../AudioPlayer';
 import ChapterPlayer from './ChapterPlayer';
-import { LogOut, User, Volume2, BookOpen, List } from 'lucide-react';
+import { fetchBookChapters } from '../utils/chapters';
+import { api, isAbortError } from '../utils/apiClient';
+import { config } from '../utils/config';
+import { LogOut, User, Volume2, BookOpen, List, HardDrive } from 'lucide-react';
 
-const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:10000';
+const API_BASE_URL = config.apiBaseUrl;
 
 const AppContent = () => {
   const { authToken, user, isLoading, login, logout, isAuthenticated } = useAuth();
@@ -31,39 +35,36 @@ const AppContent = () => {
   const [chapterProgressError, setChapterProgressError] = useState(null);
 
   useEffect(() => {
-    if (isAuthenticated && authToken) {
-      fetchBooks();
-    }
+    if (!isAuthenticated || !authToken) return;
+    const controller = new AbortController();
+    fetchBooks(controller.signal);
+    return () => controller.abort();
     // eslint-disable-next-line
   }, [isAuthenticated, authToken]);
 
   // Load chapters when a book is selected
   useEffect(() => {
-    if (selectedBook && authToken && viewMode === 'chapter') {
-      fetchChapters(selectedBook);
-    }
+    if (!selectedBook || !authToken || viewMode !== 'chapter') return;
+    const controller = new AbortController();
+    fetchChapters(selectedBook, controller.signal);
+    return () => controller.abort();
+    // eslint-disable-next-line
   }, [selectedBook, authToken, viewMode]);
 
-  const fetchBooks = async () => {
+  const fetchBooks = async (signal) => {
     setLoadingBooks(true);
     setBooksError(null);
     try {
-      const response = await fetch(`${API_BASE_URL}/booksManagement/books`, {
-        headers: {
-          'Authorization': `Bearer ${authToken}`,
-          'Content-Type': 'application/json',
-        },
-      });
-      if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      const booksData = await response.json();
+      const booksData = await api.get('/booksManagement/books', { authToken, signal });
       // Normalize books: add id property for UI compatibility
-      const booksArr = Array.isArray(booksData.books) ? booksData.books.map(book => ({ ...book, id: book.book_id })) : [];
+      const booksArr = Array.isArray(booksData?.books) ? booksData.books.map(book => ({ ...book, id: book.book_id })) : [];
       setBooks(booksArr);
     } catch (error) {
+      if (isAbortError(error)) return;
       setBooksError(error.message);
       setBooks([]); // Defensive: set to empty array on error
     } finally {
-      setLoadingBooks(false);
+      if (!signal?.aborted) setLoadingBooks(false);
     }
   };
 
@@ -82,14 +83,7 @@ const AppContent = () => {
     setLoadingIntro(true);
     setIntroError(null);
     try {
-      const response = await fetch(`${API_BASE_URL}/audioStreaming/bookintro/${book.id}/progress`, {
-        headers: {
-          'Authorization': `Bearer ${authToken}`,
-          'Content-Type': 'application/json',
-        },
-      });
-      if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      const progressData = await response.json();
+      const progressData = await api.get(`/audioStreaming/bookintro/${book.id}/progress`, { authToken });
       setIntroProgress(progressData);
     } catch (error) {
       setIntroError(error.message);
@@ -103,14 +97,7 @@ const AppContent = () => {
   const updateIntroProgress = async (book, position) => {
     if (!book) return;
     try {
-      await fetch(`${API_BASE_URL}/audioStreaming/bookintro/${book.id}/progress`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${authToken}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ position }),
-      });
+      await api.post(`/audioStreaming/bookintro/${book.id}/progress`, { position }, { authToken });
     } catch (error) {
       // Optionally handle error
     }
@@ -122,14 +109,7 @@ const AppContent = () => {
     setLoadingChapterProgress(true);
     setChapterProgressError(null);
     try {
-      const response = await fetch(`${API_BASE_URL}${chapter.api_endpoints.get_progress}`, {
-        headers: {
-          'Authorization': `Bearer ${authToken}`,
-          'Content-Type': 'application/json',
-        },
-      });
-      if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      const progressData = await response.json();
+      const progressData = await api.get(chapter.api_endpoints.get_progress, { authToken });
       setChapterProgress(progressData);
     } catch (error) {
       setChapterProgressError(error.message);
@@ -143,38 +123,27 @@ const AppContent = () => {
   const updateChapterProgress = async (chapter, position) => {
     if (!chapter || !chapter.api_endpoints?.update_progress) return;
     try {
-      await fetch(`${API_BASE_URL}${chapter.api_endpoints.update_progress}`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${authToken}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ position }),
-      });
+      await api.post(chapter.api_endpoints.update_progress, { position }, { authToken });
     } catch (error) {
       // Optionally handle error
     }
   };
 
-  // Fetch chapters for the selected book
-  const fetchChapters = async (book) => {
+  // Fetch chapters for the selected book (from the books payload, or the
+  // paginated /booksManagement/books/{bookId}/chapters endpoint)
+  const fetchChapters = async (book, signal) => {
     setLoadingChapters(true);
     setChaptersError(null);
+    setChapters([]);
     try {
-      // In a real app, you might have an endpoint like /booksManagement/books/{bookId}/chapters
-      // For now, we'll create sample chapters based on the book
-      const sampleChapters = [
-        { id: 1, number: 1, title: `${book.title} - Chapter 1`, description: "Introduction", duration: 1200 },
-        { id: 2, number: 2, title: `${book.title} - Chapter 2`, description: "Development", duration: 1500 },
-        { id: 3, number: 3, title: `${book.title} - Chapter 3`, description: "Climax", duration: 1800 },
-        { id: 4, number: 4, title: `${book.title} - Chapter 4`, description: "Resolution", duration: 1350 },
-      ];
-      setChapters(sampleChapters);
+      const bookChapters = await fetchBookChapters(book, { apiBaseUrl: API_BASE_URL, authToken, signal });
+      setChapters(bookChapters);
     } catch (error) {
+      if (error.name === 'AbortError') return;
       setChaptersError(error.message);
       setChapters([]);
     } finally {
-      setLoadingChapters(false);
+      if (!signal?.aborted) setLoadingChapters(false);
     }
   };
 
@@ -213,13 +182,22 @@ const AppContent = () => {
               )}
             </div>
           </div>
-          <button
-            onClick={logout}
-            className="flex items-center space-x-1 text-gray-600 hover:text-red-600 transition-colors px-2 py-1 rounded hover:bg-red-50"
-          >
-            <LogOut className="w-4 h-4" />
-            <span className="text-sm">Logout</span>
-          </button>
+          <div className="flex items-center space-x-2">
+            <Link
+              href="/library"
+              className="flex items-center space-x-1 text-gray-600 hover:text-blue-600 transition-colors px-2 py-1 rounded hover:bg-blue-50"
+            >
+              <HardDrive className="w-4 h-4" />
+              <span className="text-sm">Offline</span>
+            </Link>
+            <button
+              onClick={logout}
+              className="flex items-center space-x-1 text-gray-600 hover:text-red-600 transition-colors px-2 py-1 rounded hover:bg-red-50"
+            >
+              <LogOut className="w-4 h-4" />
+              <span className="text-sm">Logout</span>
+            </button>
+          </div>
         </div>
       </div>
 
@@ -259,9 +237,6 @@ const AppContent = () => {
                 setIntroProgress(null);
                 if (book) {
                   fetchIntroProgress(book);
-                  if (viewMode === 'chapter') {
-                    fetchChapters(book);
-                  }
                 }
               }}
             >
@@ -292,10 +267,7 @@ const AppContent = () => {
                     Book Introduction
                   </button>
                   <button
-                    onClick={() => {
-                      setViewMode('chapter');
-                      if (selectedBook) fetchChapters(selectedBook);
-                    }}
+                    onClick={() => setViewMode('chapter')}
                     className={`px-4 py-2 rounded-md text-sm font-medium transition-colors ${
                       viewMode === 'chapter'
                         ? 'bg-blue-600 text-white'
@@ -343,6 +315,8 @@ const AppContent = () => {
               
               <AudioPlayer
                 bookId={selectedBook.id}
+                bookTitle={selectedBook.title}
+                author={selectedBook.author}
                 authToken={authToken}
                 autoPlay={false}
                 showDownload={true}
@@ -385,8 +359,10 @@ const AppContent = () => {
           
           {chapters.length > 0 && (
             <ChapterPlayer
+              key={selectedBook.id}
               authToken={authToken}
               bookId={selectedBook.id}
+              bookTitle={selectedBook.title}
               chapters={chapters}
               onProgressUpdate={(position, status, playbackRate, chapter) => {
                 console.log('Chapter progress update:', {
@@ -0,0 +1,154 @@
+import React, { useId } from 'react';
+import { AudioLines, Gauge, Mic, Scissors, SlidersHorizontal, X } from 'lucide-react';
+import { formatTimeSaved } from '../utils/silenceTrimmer';
+import { formatCorrection } from '../utils/loudness';
+import { EQ_BANDS, EQ_PRESETS, EQ_MIN_GAIN, EQ_MAX_GAIN, CUSTOM_PRESET } from '../utils/equalizer';
+
+const formatFrequency = (frequency) => (frequency >= 1000 ? `${frequency / 1000}k` : String(frequency));
+
+/**
+ * Audio Effects Menu Component
+ * Silence trimming, voice boost, loudness normalisation and equalizer
+ * settings, plus the time trimming has saved
+ */
+const AudioEffectsMenu = ({
+  effects, // { trimSilence, voiceBoost, normalizeLoudness, equalizer: { preset, gains } }
+  timeSaved = 0, // seconds
+  loudnessCorrection = 0, // dB applied to the current book
+  onChange, // (changes) => void
+  onResetTimeSaved,
+  onClose
+}) => {
+  const presetSelectId = useId();
+  const { equalizer } = effects;
+
+  const setBandGain = (index, gain) => {
+    const gains = equalizer.gains.map((value, i) => (i === index ? gain : value));
+    const preset = Object.keys(EQ_PRESETS).find(name => EQ_PRESETS[name].gains.every((value, i) => value === gains[i]));
+    onChange({ equalizer: { preset: preset || CUSTOM_PRESET, gains } });
+  };
+
+  return (
+    <div className="audio-effects-menu mt-4 border border-gray-200 rounded-lg bg-gray-50">
+      <div className="flex items-center justify-between px-3 py-2 border-b border-gray-200">
+        <h4 className="text-sm font-medium text-gray-900 flex items-center space-x-1">
+          <AudioLines className="w-4 h-4" aria-hidden="true" />
+          <span>Audio effects</span>
+        </h4>
+        <button
+          onClick={onClose}
+          className="p-1 rounded text-gray-500 hover:bg-gray-200"
+          aria-label="Close audio effects"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="p-3 space-y-3">
+        <label className="flex items-start space-x-2 text-sm text-gray-700 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={effects.trimSilence}
+            onChange={(e) => onChange({ trimSilence: e.target.checked })}
+            className="mt-0.5 rounded"
+          />
+          <span>
+            <span className="flex items-center space-x-1 font-medium">
+              <Scissors className="w-3 h-3" aria-hidden="true" />
+              <span>Trim silence</span>
+            </span>
+            <span className="block text-xs text-gray-500">Speeds through long pauses in the narration</span>
+          </span>
+        </label>
+
+        <label className="flex items-start space-x-2 text-sm text-gray-700 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={effects.voiceBoost}
+            onChange={(e) => onChange({ voiceBoost: e.target.checked })}
+            className="mt-0.5 rounded"
+          />
+          <span>
+            <span className="flex items-center space-x-1 font-medium">
+              <Mic className="w-3 h-3" aria-hidden="true" />
+              <span>Voice boost</span>
+            </span>
+            <span className="block text-xs text-gray-500">Clearer, more even speech for noisy places</span>
+          </span>
+        </label>
+
+        <label className="flex items-start space-x-2 text-sm text-gray-700 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={effects.normalizeLoudness}
+            onChange={(e) => onChange({ normalizeLoudness: e.target.checked })}
+            className="mt-0.5 rounded"
+          />
+          <span>
+            <span className="flex items-center space-x-1 font-medium">
+              <Gauge className="w-3 h-3" aria-hidden="true" />
+              <span>Normalise loudness</span>
+            </span>
+            <span className="block text-xs text-gray-500">
+              {effects.normalizeLoudness && loudnessCorrection !== 0
+                ? `This book: ${formatCorrection(loudnessCorrection)}`
+                : 'Evens out volume between narrators, learned per book as you listen'}
+            </span>
+          </span>
+        </label>
+
+        <div className="space-y-2">
+          <div className="flex items-center justify-between">
+            <label htmlFor={presetSelectId} className="flex items-center space-x-1 text-sm font-medium text-gray-700">
+              <SlidersHorizontal className="w-3 h-3" aria-hidden="true" />
+              <span>Equalizer</span>
+            </label>
+            <select
+              id={presetSelectId}
+              value={equalizer.preset}
+              onChange={(e) => onChange({ equalizer: { preset: e.target.value, gains: EQ_PRESETS[e.target.value].gains } })}
+              className="text-sm border rounded px-2 py-1"
+            >
+              {Object.entries(EQ_PRESETS).map(([name, preset]) => (
+                <option key={name} value={name}>{preset.label}</option>
+              ))}
+              {equalizer.preset === CUSTOM_PRESET && <option value={CUSTOM_PRESET} disabled>Custom</option>}
+            </select>
+          </div>
+          <div className="grid grid-cols-5 gap-2">
+            {EQ_BANDS.map((band, index) => (
+              <div key={band.frequency} className="flex flex-col items-center text-xs text-gray-600">
+                <input
+                  type="range"
+                  min={EQ_MIN_GAIN}
+                  max={EQ_MAX_GAIN}
+                  step="1"
+                  value={equalizer.gains[index]}
+                  onChange={(e) => setBandGain(index, parseFloat(e.target.value))}
+                  className="w-full"
+                  aria-label={`${band.label} (${formatFrequency(band.frequency)}Hz)`}
+                  aria-valuetext={`${equalizer.gains[index]} dB`}
+                />
+                <span>{formatFrequency(band.frequency)}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="flex items-center justify-between text-xs text-gray-600">
+          <span>Time saved by trimming: {formatTimeSaved(timeSaved)}</span>
+          {timeSaved >= 1 && (
+            <button
+              onClick={onResetTimeSaved}
+              className="px-2 py-1 rounded bg-gray-100 hover:bg-gray-200"
+            >
+              Reset
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AudioEffectsMenu;
@@ -0,0 +1,145 @@
+import React, { useState, useEffect } from 'react';
+import { Bookmark, Pencil, Trash2, Check, X } from 'lucide-react';
+
+/**
+ * Bookmarks Panel Component
+ * Lists bookmarks with jump-to, inline title/note editing and delete
+ */
+const BookmarksPanel = ({
+  bookmarks = [],
+  formatTime,
+  onJump,
+  onUpdate,
+  onDelete,
+  onClose,
+  error = null,
+  editingId = null,
+  onEditingChange
+}) => {
+  const [draft, setDraft] = useState({ title: '', note: '' });
+
+  // Fill the form whenever a bookmark enters edit mode (including a freshly
+  // created one) or the bookmark being edited is reloaded
+  const editingBookmark = bookmarks.find(item => item.id === editingId);
+  const hasEditingBookmark = !!editingBookmark;
+  const editingTitle = editingBookmark?.title || '';
+  const editingNote = editingBookmark?.note || '';
+  useEffect(() => {
+    if (hasEditingBookmark) {
+      setDraft({ title: editingTitle, note: editingNote });
+    }
+  }, [editingId, hasEditingBookmark, editingTitle, editingNote]);
+
+  const saveEditing = async (bookmark) => {
+    try {
+      await onUpdate(bookmark.id, { title: draft.title.trim(), note: draft.note.trim() });
+    } catch (err) {
+      // The player reports the error; the form stays open with what was typed
+      return;
+    }
+    onEditingChange(null);
+  };
+
+  return (
+    <div className="bookmarks-panel mt-4 border border-gray-200 rounded-lg bg-gray-50">
+      <div className="flex items-center justify-between px-3 py-2 border-b border-gray-200">
+        <h4 className="text-sm font-medium text-gray-900 flex items-center space-x-1">
+          <Bookmark className="w-4 h-4" />
+          <span>Bookmarks ({bookmarks.length})</span>
+        </h4>
+        <button
+          onClick={onClose}
+          className="p-1 rounded text-gray-500 hover:bg-gray-200"
+          aria-label="Close bookmarks"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      {error && (
+        <p className="px-3 py-2 text-sm text-red-700 bg-red-50 border-b border-red-200" role="alert">
+          {error}
+        </p>
+      )}
+
+      {bookmarks.length === 0 && (
+        <p className="px-3 py-4 text-sm text-gray-500 text-center">
+          No bookmarks yet. Use the bookmark button to mark the current position.
+        </p>
+      )}
+
+      <ul className="max-h-64 overflow-y-auto divide-y divide-gray-100">
+        {bookmarks.map(bookmark => (
+          <li key={bookmark.id} className="px-3 py-2">
+            {editingId === bookmark.id ? (
+              <div className="space-y-2">
+                <input
+                  type="text"
+                  value={draft.title}
+                  onChange={(e) => setDraft(prev => ({ ...prev, title: e.target.value }))}
+                  placeholder="Title"
+                  className="w-full text-sm border rounded px-2 py-1"
+                  autoFocus
+                />
+                <textarea
+                  value={draft.note}
+                  onChange={(e) => setDraft(prev => ({ ...prev, note: e.target.value }))}
+                  placeholder="Note (optional)"
+                  rows={2}
+                  className="w-full text-sm border rounded px-2 py-1"
+                />
+                <div className="flex justify-end space-x-2">
+                  <button
+                    onClick={() => onEditingChange(null)}
+                    className="px-2 py-1 text-xs rounded bg-gray-100 hover:bg-gray-200"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={() => saveEditing(bookmark)}
+                    className="px-2 py-1 text-xs rounded bg-blue-600 text-white hover:bg-blue-700 flex items-center"
+                  >
+                    <Check className="w-3 h-3 mr-1" />
+                    Save
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <div className="flex items-start justify-between">
+                <button
+                  onClick={() => onJump(bookmark)}
+                  className="flex-1 text-left"
+                  title="Jump to bookmark"
+                >
+                  <span className="text-xs font-mono text-blue-600 mr-2">{formatTime(bookmark.position)}</span>
+                  <span className="text-sm text-gray-900">{bookmark.title || 'Untitled bookmark'}</span>
+                  {bookmark.note && (
+                    <span className="block text-xs text-gray-600 mt-1">{bookmark.note}</span>
+                  )}
+                </button>
+                <div className="flex space-x-1 ml-2">
+                  <button
+                    onClick={() => onEditingChange(bookmark.id)}
+                    className="p-1 rounded text-gray-500 hover:bg-gray-200"
+                    aria-label="Edit bookmark"
+                  >
+                    <Pencil className="w-3 h-3" />
+                  </button>
+                  <button
+                    onClick={() => onDelete(bookmark.id)}
+                    className="p-1 rounded text-gray-500 hover:bg-red-100 hover:text-red-700"
+                    aria-label="Delete bookmark"
+                  >
+                    <Trash2 className="w-3 h-3" />
+                  </button>
+                </div>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default BookmarksPanel;
@@ -1,86 +1,145 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import AudioPlayer from '../AudioPlayer';
-import { ChevronDown, ChevronUp, BookOpen, Play, Pause } from 'lucide-react';
+import { ChevronDown, ChevronUp, BookOpen, Play, Pause, HardDrive } from 'lucide-react';
+import { PlayerProvider, usePlayer } from '../contexts/PlayerContext';
+import { getOfflineKey, listOfflineItems } from '../utils/offlineStorage';
+import { getChapterId, normalizeChapters } from '../utils/chapters';
+import { createPlayerItem } from '../utils/playerItem';
+import { api, isAbortError } from '../utils/apiClient';
+import { config } from '../utils/config';
 
-const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:10000';
+const API_BASE_URL = config.apiBaseUrl;
+
+const isProgressFinished = (progress) =>
+  progress?.is_finished === true || progress?.is_finished === 1 || parseFloat(progress?.completion_percentage) >= 100;
+
+// Start where the listener left off: the first chapter not yet finished
+const pickStartChapter = (chapters, progressMap) =>
+  chapters.find(chapter => !isProgressFinished(progressMap[getChapterId(chapter)])) || chapters[0];
+
+const getChapterLabel = (chapter) =>
+  chapter.title ? `Chapter ${chapter.number}: ${chapter.title}` : `Chapter ${chapter.number}`;
 
 /**
  * Chapter Player Component
- * Provides chapter selection and uses chapter-specific streaming endpoints
+ * Provides chapter selection and uses chapter-specific streaming endpoints.
+ * The chapters become the shared player's queue once one of them plays, so
+ * auto-advance carries on after the listener leaves the page.
  */
-const ChapterPlayer = ({ 
+const ChapterPlayerView = ({ 
   authToken, 
   bookId, 
-  chapters = [], 
+  bookTitle = null,
+  chapters: chapterList = [], // Any chapter shape - normalised with utils/chapters
   onProgressUpdate = null,
   className = '',
-  autoPlay = false 
+  autoPlay = false,
+  chapterGapSeconds = 3, // Pause between chapters when auto-advancing
+  showTranscript = true, // Each chapter's transcript (chapter.transcriptUrl or .../transcript next to its stream)
+  announceChapters = false // Speak the next chapter's title during the gap
 }) => {
   const [selectedChapter, setSelectedChapter] = useState(null);
   const [isChapterListOpen, setIsChapterListOpen] = useState(false);
   const [chapterProgress, setChapterProgress] = useState({});
   const [loadingProgress, setLoadingProgress] = useState(false);
+  const [offlineKeys, setOfflineKeys] = useState(new Set());
+  const player = usePlayer();
+
+  const chapters = useMemo(() => normalizeChapters(chapterList, API_BASE_URL), [chapterList]);
+  // Same items AudioPlayer builds, so the keys line up with the shared player's
+  const chapterItems = useMemo(() => chapters.map(chapter => createPlayerItem({
+    bookId,
+    chapter,
+    apiBaseUrl: API_BASE_URL,
+    authToken,
+    bookTitle
+  })), [chapters, bookId, authToken, bookTitle]);
+  const findChapterByKey = (key) => {
+    const index = chapterItems.findIndex(item => item.key === key);
+    return index === -1 ? null : chapters[index];
+  };
+
+  const selectedChapterId = getChapterId(selectedChapter);
+  const selectedIndex = chapters.findIndex(chapter => getChapterId(chapter) === selectedChapterId);
+  const previousChapter = selectedIndex > 0 ? chapters[selectedIndex - 1] : null;
+  const nextChapter = selectedIndex !== -1 && selectedIndex < chapters.length - 1 ? chapters[selectedIndex + 1] : null;
+  const playingKey = player.currentItem?.key;
+  const isPlayingThisBook = chapterItems.some(item => item.key === playingKey);
+  const pendingChapter = player.pendingAdvance ? findChapterByKey(player.pendingAdvance.item.key) : null;
 
-  // Auto-select chapter with hardcoded ID 4
+  // While one of these chapters is loaded they are the player's queue
+  const { setQueue, subscribe } = player;
   useEffect(() => {
-    if (chapters.length > 0 && !selectedChapter) {
-      // Use first chapter but with hardcoded chapter_id of 4
-      const firstChapter = chapters[0];
-      if (firstChapter) {
-        const hardcodedChapter = {
-          ...firstChapter,
-          chapter_id: 4 // Hardcode to chapter 4
-        };
-        setSelectedChapter(hardcodedChapter);
-        console.log('Selected hardcoded chapter 4:', hardcodedChapter);
-      }
-    }
-  }, [chapters, selectedChapter]);
+    if (!isPlayingThisBook) return;
+    setQueue(chapterItems, { gapSeconds: chapterGapSeconds, announce: announceChapters });
+  }, [isPlayingThisBook, chapterItems, chapterGapSeconds, announceChapters, setQueue]);
 
-  // Load progress for all chapters when component mounts
+  // Follow the player when it moves on to another chapter (auto-advance, media keys)
   useEffect(() => {
-    if (authToken && chapters.length > 0) {
-      loadAllChapterProgress();
+    const index = chapterItems.findIndex(item => item.key === playingKey);
+    if (index !== -1) {
+      setSelectedChapter(chapters[index]);
     }
+  }, [playingKey, chapterItems, chapters]);
+
+  // Load progress for every chapter, then select the first unfinished one
+  // (a chapter the listener already picked is kept if it is still listed)
+  useEffect(() => {
+    if (chapters.length === 0) return;
+    const controller = new AbortController();
+
+    const selectStartChapter = async () => {
+      const progressMap = authToken ? await loadAllChapterProgress(controller.signal) : {};
+      if (controller.signal.aborted) return;
+      setSelectedChapter(current =>
+        current && chapters.some(chapter => getChapterId(chapter) === getChapterId(current))
+          ? current
+          : pickStartChapter(chapters, progressMap)
+      );
+    };
+
+    selectStartChapter();
+    return () => controller.abort();
   }, [authToken, chapters]);
 
-  const loadAllChapterProgress = async () => {
+  // Refresh which chapters are saved for offline playback whenever the list opens
+  useEffect(() => {
+    if (!isChapterListOpen) return;
+    listOfflineItems()
+      .then(items => setOfflineKeys(new Set(items.map(item => item.key))))
+      .catch(error => console.warn('Failed to load offline chapters:', error));
+  }, [isChapterListOpen]);
+
+  const loadAllChapterProgress = async (signal) => {
     setLoadingProgress(true);
     const progressMap = {};
     
     try {
-      // Only load progress for hardcoded chapter 4
-      const chapterId = 4;
-      try {
-        const response = await fetch(
-          `${API_BASE_URL}/audioStreaming/chapters/${chapterId}/progress`,
-          {
-            headers: {
-              'Authorization': `Bearer ${authToken}`,
-              'Content-Type': 'application/json',
-            },
-          }
-        );
-        
-        if (response.ok) {
-          const progressData = await response.json();
-          progressMap[chapterId] = progressData.progress || {};
+      await Promise.all(chapters.map(async (chapter) => {
+        const chapterId = getChapterId(chapter);
+        if (chapterId === null) return;
+
+        try {
+          const progressData = await api.get(chapter.progressUrl, { authToken, signal });
+          progressMap[chapterId] = progressData?.progress || {};
+        } catch (error) {
+          if (isAbortError(error)) return;
+          console.warn(`Failed to load progress for chapter ${chapterId}:`, error);
+          progressMap[chapterId] = {};
         }
-      } catch (error) {
-        console.warn(`Failed to load progress for chapter ${chapterId}:`, error);
-        progressMap[chapterId] = {};
-      }
+      }));
 
-      setChapterProgress(progressMap);
+      if (!signal?.aborted) setChapterProgress(progressMap);
     } catch (error) {
       console.error('Failed to load chapter progress:', error);
     } finally {
-      setLoadingProgress(false);
+      if (!signal?.aborted) setLoadingProgress(false);
     }
+    return progressMap;
   };
 
   const handleChapterSelect = (chapter) => {
-    if (!chapter || !chapter.chapter_id) {
+    if (!chapter || getChapterId(chapter) === null) {
       console.error('Invalid chapter selected:', chapter);
       return;
     }
@@ -88,39 +147,41 @@ const ChapterPlayer = ({
     setIsChapterListOpen(false);
   };
 
-  const handleProgressUpdate = async (position, status, playbackRate) => {
-    // Update local progress state
-    if (selectedChapter) {
-      setChapterProgress(prev => ({
-        ...prev,
-        [selectedChapter.chapter_id]: {
-          ...prev[selectedChapter.chapter_id],
-          position,
-          status,
-          playback_speed: playbackRate
-        }
-      }));
-    }
-
-    // Call parent progress handler if provided
-    if (onProgressUpdate) {
-      onProgressUpdate(position, status, playbackRate, selectedChapter);
-    }
+  // Previous/next buttons and media keys keep playing in the new chapter
+  const goToChapter = (chapter) => {
+    if (!chapter) return;
+    const index = chapters.indexOf(chapter);
+    player.loadItem(chapterItems[index], { autoPlay: true });
+    setSelectedChapter(chapter);
   };
 
-  const getChapterStreamUrl = (chapterId) => {
-    // Always use hardcoded chapter ID 4
-    const hardcodedId = 4;
-    console.log('Getting stream URL for hardcoded chapter:', hardcodedId);
-    return `${API_BASE_URL}/audioStreaming/chapters/${hardcodedId}/audio`;
-  };
+  // Progress for any of these chapters - including ones the player moved on
+  // to by itself - updates the list and reaches the parent
+  const progressCallbackRef = useRef(onProgressUpdate);
+  progressCallbackRef.current = onProgressUpdate;
+  useEffect(() => subscribe((event) => {
+    if (event.type !== 'progress') return;
+    const index = chapterItems.findIndex(item => item.key === event.item.key);
+    if (index === -1) return;
 
-  const getChapterProgressUrl = (chapterId) => {
-    // Always use hardcoded chapter ID 4
-    const hardcodedId = 4;
-    console.log('Getting progress URL for hardcoded chapter:', hardcodedId);
-    return `${API_BASE_URL}/audioStreaming/chapters/${hardcodedId}/progress`;
-  };
+    const chapter = chapters[index];
+    const { position, status, playbackRate } = event;
+    setChapterProgress(prev => ({
+      ...prev,
+      [chapter.id]: {
+        ...prev[chapter.id],
+        position,
+        status,
+        playback_speed: playbackRate,
+        ...(status === 'completed' ? { completion_percentage: 100, is_finished: true } : {})
+      }
+    }));
+
+    // Call parent progress handler if provided
+    if (progressCallbackRef.current) {
+      progressCallbackRef.current(position, status, playbackRate, chapter);
+    }
+  }), [subscribe, chapterItems, chapters]);
 
   const formatDuration = (seconds) => {
     if (!seconds) return '0:00';
@@ -131,17 +192,14 @@ const ChapterPlayer = ({
 
   const getProgressPercentage = (chapterId) => {
     const progress = chapterProgress[chapterId];
-    return progress?.completion_percentage || 0;
+    return parseFloat(progress?.completion_percentage) || 0;
   };
 
-  const isChapterCompleted = (chapterId) => {
-    const progress = chapterProgress[chapterId];
-    return progress?.is_finished === true || progress?.is_finished === 1 || progress?.completion_percentage === 100;
-  };
+  const isChapterCompleted = (chapterId) => isProgressFinished(chapterProgress[chapterId]);
 
   const hasChapterProgress = (chapterId) => {
     const progress = chapterProgress[chapterId];
-    return progress?.position > 0 && progress?.completion_percentage < 100;
+    return progress?.position > 0 && !isProgressFinished(progress);
   };
 
   return (
@@ -155,7 +213,7 @@ const ChapterPlayer = ({
               <h2 className="text-lg font-semibold">Chapter Player</h2>
               {selectedChapter && (
                 <p className="text-blue-100 text-sm">
-                  Playing: {selectedChapter.title || `Chapter ${selectedChapter.number || selectedChapter.chapter_id}`}
+                  Playing: {selectedChapter.title || `Chapter ${selectedChapter.number || selectedChapterId}`}
                 </p>
               )}
             </div>
@@ -175,19 +233,19 @@ const ChapterPlayer = ({
       {isChapterListOpen && (
         <div className="border-b border-gray-200 bg-gray-50">
           <div className="max-h-64 overflow-y-auto">
-            {chapters.slice(0, 1).map((chapter, index) => {
-              // Use hardcoded chapter ID 4 for display
-              const hardcodedChapterId = 4;
-              const progressPercentage = getProgressPercentage(hardcodedChapterId);
-              const isCompleted = isChapterCompleted(hardcodedChapterId);
-              const hasProgress = hasChapterProgress(hardcodedChapterId);
+            {chapters.map((chapter) => {
+              const chapterId = getChapterId(chapter);
+              const chapterNumber = chapter.number;
+              const progressPercentage = getProgressPercentage(chapterId);
+              const isCompleted = isChapterCompleted(chapterId);
+              const hasProgress = hasChapterProgress(chapterId);
               
               return (
                 <div
-                  key={`chapter-${index}`}
-                  onClick={() => handleChapterSelect({...chapter, chapter_id: hardcodedChapterId})}
+                  key={chapterId}
+                  onClick={() => handleChapterSelect(chapter)}
                   className={`flex items-center justify-between p-4 hover:bg-white cursor-pointer transition-colors border-b border-gray-100 last:border-b-0 ${
-                    selectedChapter?.chapter_id === hardcodedChapterId ? 'bg-blue-50 border-l-4 border-l-blue-600' : ''
+                    selectedChapterId === chapterId ? 'bg-blue-50 border-l-4 border-l-blue-600' : ''
                   }`}
                 >
                   <div className="flex-1">
@@ -199,12 +257,12 @@ const ChapterPlayer = ({
                             ? 'bg-blue-100 text-blue-700'
                             : 'bg-gray-100 text-gray-600'
                       }`}>
-                        {isCompleted ? '✓' : hardcodedChapterId}
+                        {isCompleted ? '✓' : chapterNumber}
                       </div>
                       
                       <div className="flex-1">
                         <h3 className="font-medium text-gray-900">
-                          {chapter.title || `Chapter ${hardcodedChapterId}`}
+                          {chapter.title || `Chapter ${chapterNumber}`}
                         </h3>
                         {chapter.description && (
                           <p className="text-sm text-gray-600 mt-1">{chapter.description}</p>
@@ -234,6 +292,12 @@ const ChapterPlayer = ({
                   </div>
                   
                   <div className="flex items-center space-x-2 ml-4">
+                    {offlineKeys.has(getOfflineKey({ bookId, chapterId })) && (
+                      <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-700">
+                        <HardDrive className="w-3 h-3 mr-1" />
+                        Offline
+                      </span>
+                    )}
                     {hasProgress && !isCompleted && (
                       <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
                         <Play className="w-3 h-3 mr-1" />
@@ -254,29 +318,58 @@ const ChapterPlayer = ({
       )}
 
       {/* Audio Player */}
-      {selectedChapter && selectedChapter.chapter_id && authToken && (
+      {selectedChapter && selectedChapterId !== null && authToken && (
         <div className="p-4">
           <AudioPlayer
+            key={selectedChapterId}
             chapter={selectedChapter}
+            chapterId={selectedChapterId}
+            bookId={bookId}
+            bookTitle={bookTitle}
             authToken={authToken}
             apiBaseUrl={API_BASE_URL}
-            streamUrl={getChapterStreamUrl(selectedChapter.chapter_id)}
-            progressUrl={getChapterProgressUrl(selectedChapter.chapter_id)}
             autoPlay={autoPlay}
             showDownload={true}
             showBookmark={true}
-            onProgressUpdate={handleProgressUpdate}
+            showTranscript={showTranscript}
+            onPreviousChapter={previousChapter ? () => goToChapter(previousChapter) : null}
+            onNextChapter={nextChapter ? () => goToChapter(nextChapter) : null}
             className="bg-gray-50 rounded-lg"
           />
         </div>
       )}
 
+      {/* Up next - gap before the next chapter starts */}
+      {pendingChapter && (
+        <div className="px-4 pb-4">
+          <div className="flex items-center justify-between bg-blue-50 border border-blue-200 rounded-lg p-3" role="status">
+            <span className="text-sm text-blue-900">
+              Up next: {getChapterLabel(pendingChapter)} in {player.pendingAdvance.secondsLeft}s
+            </span>
+            <div className="flex space-x-2">
+              <button
+                onClick={() => goToChapter(pendingChapter)}
+                className="px-2 py-1 text-xs rounded bg-blue-600 text-white hover:bg-blue-700"
+              >
+                Play now
+              </button>
+              <button
+                onClick={player.cancelPendingAdvance}
+                className="px-2 py-1 text-xs rounded bg-gray-100 hover:bg-gray-200"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Chapter Info */}
       {selectedChapter && (
         <div className="px-4 pb-4">
           <div className="bg-gray-50 rounded-lg p-3">
             <h4 className="font-medium text-gray-900 mb-2">
-              {selectedChapter.title || `Chapter ${selectedChapter.number || selectedChapter.chapter_id}`}
+              {selectedChapter.title || `Chapter ${selectedChapter.number || selectedChapterId}`}
             </h4>
             {selectedChapter.description && (
               <p className="text-sm text-gray-600 mb-2">{selectedChapter.description}</p>
@@ -285,12 +378,23 @@ const ChapterPlayer = ({
               <span>
                 Duration: {selectedChapter.duration ? formatDuration(selectedChapter.duration) : 'Unknown'}
               </span>
-              {chapterProgress[selectedChapter.chapter_id] && (
+              {chapterProgress[selectedChapterId] && (
                 <span>
-                  Progress: {Math.round(getProgressPercentage(selectedChapter.chapter_id))}%
+                  Progress: {Math.round(getProgressPercentage(selectedChapterId))}%
                 </span>
               )}
             </div>
+            {chapters.length > 1 && (
+              <label className="flex items-center space-x-2 mt-3 text-sm text-gray-700 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={player.autoAdvance}
+                  onChange={(e) => player.setAutoAdvance(e.target.checked)}
+                  className="rounded"
+                />
+                <span>Play the next chapter automatically</span>
+              </label>
+            )}
           </div>
         </div>
       )}
@@ -317,4 +421,18 @@ const ChapterPlayer = ({
   );
 };
 
+// Outside the app's PlayerProvider (pages/_app.js) bring one of our own
+const ChapterPlayer = (props) => {
+  const player = usePlayer();
+  if (player) {
+    return <ChapterPlayerView {...props} />;
+  }
+
+  return (
+    <PlayerProvider>
+      <ChapterPlayerView {...props} />
+    </PlayerProvider>
+  );
+};
+
 export default ChapterPlayer;
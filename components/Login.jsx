@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { Eye, EyeOff, LogIn, User } from 'lucide-react';
 import { config, debugLog } from '../utils/config';
+import { api } from '../utils/apiClient';
 
 const Login = ({ onLoginSuccess }) => {
   const [credentials, setCredentials] = useState({
@@ -54,34 +55,14 @@ const Login = ({ onLoginSuccess }) => {
     debugLog('Attempting login with:', { email: credentials.email });
 
     try {
-      const response = await fetch(`${config.apiBaseUrl}/user/login`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(credentials)
-      });
-
-      const data = await response.json();
-
-      if (!response.ok) {
-        throw new Error(data.message || `Login failed: ${response.status} ${response.statusText}`);
-      }
-
-      // Extract token from response
-      const token = data.token;
-      
-      if (!token) {
-        throw new Error('No token received from server');
-      }
+      // The server keeps the tokens in httpOnly cookies and returns
+      // only the user and when the session needs renewing
+      const session = await api.post('/api/session/login', credentials, { authToken: null });
 
-      debugLog('Login successful, token received');
+      debugLog('Login successful, session started');
 
-      // Store token in localStorage for persistence
-      localStorage.setItem(config.auth.tokenKey, token);
-      
-      // Call success callback with token and user data
-      onLoginSuccess(token, data);
+      // Call success callback with the session ({ user, expires_at })
+      onLoginSuccess(session);
 
     } catch (err) {
       debugLog('Login error:', err);
@@ -194,7 +175,7 @@ const Login = ({ onLoginSuccess }) => {
       {/* API Connection Status */}
       <div className="mt-4 text-center">
         <p className="text-xs text-gray-500">
-          Connecting to: {config.apiBaseUrl}
+          Connecting to: {config.useMockApi ? 'mock API' : config.backendUrl}
         </p>
         {config.isDevelopment && (
           <p className="text-xs text-blue-500 mt-1">
@@ -0,0 +1,101 @@
+import React from 'react';
+import Link from 'next/link';
+import { Play, Pause, SkipBack, SkipForward, X } from 'lucide-react';
+import { usePlayer } from '../contexts/PlayerContext';
+
+const formatTime = (time) => {
+  const minutes = Math.floor(time / 60);
+  const seconds = Math.floor(time % 60);
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+};
+
+/**
+ * Mini Player Component
+ * Bar pinned to the bottom of every page while something is loaded in the
+ * shared player. The title links back to the page playback started from.
+ */
+const MiniPlayer = () => {
+  const player = usePlayer();
+  if (!player || !player.currentItem) return null;
+
+  const { currentItem, isPlaying, isLoading, currentTime, duration, error, pendingAdvance } = player;
+  const progress = duration > 0 ? Math.min(100, (currentTime / duration) * 100) : 0;
+  const subtitle = pendingAdvance
+    ? `Up next in ${pendingAdvance.secondsLeft}s: ${pendingAdvance.item.title}`
+    : currentItem.chapterId ? currentItem.bookTitle : currentItem.author;
+
+  return (
+    <>
+      {/* Keeps page content clear of the fixed bar */}
+      <div className="h-16" aria-hidden="true" />
+
+      <div
+        className="mini-player fixed bottom-0 inset-x-0 z-40 bg-white border-t border-gray-200 shadow-lg"
+        role="region"
+        aria-label={`Now playing: ${currentItem.title}`}
+      >
+        <div className="w-full bg-gray-200 h-1">
+          <div className="bg-blue-600 h-1" style={{ width: `${progress}%` }} />
+        </div>
+
+        <div className="max-w-4xl mx-auto flex items-center space-x-3 px-4 py-2">
+          <div className="flex-1 min-w-0">
+            <Link href={currentItem.href || '/'} className="block text-sm font-medium text-gray-900 truncate hover:underline">
+              {currentItem.title}
+            </Link>
+            <p className="text-xs text-gray-500 truncate">
+              {error || subtitle || `${formatTime(currentTime)} / ${formatTime(duration)}`}
+            </p>
+          </div>
+
+          <span className="hidden sm:inline text-xs text-gray-500 font-mono" aria-hidden="true">
+            {formatTime(currentTime)} / {formatTime(duration)}
+          </span>
+
+          <button
+            onClick={() => player.skip(-30)}
+            className="p-2 rounded-full hover:bg-gray-100"
+            disabled={isLoading}
+            aria-label="Skip back 30 seconds"
+          >
+            <SkipBack className="w-4 h-4" aria-hidden="true" />
+          </button>
+
+          <button
+            onClick={player.togglePlay}
+            className="p-2 rounded-full bg-blue-600 hover:bg-blue-700 text-white disabled:opacity-50"
+            disabled={isLoading || !!error}
+            aria-label={isLoading ? 'Loading' : isPlaying ? 'Pause' : 'Play'}
+          >
+            {isLoading ? (
+              <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin" />
+            ) : isPlaying ? (
+              <Pause className="w-4 h-4" aria-hidden="true" />
+            ) : (
+              <Play className="w-4 h-4" aria-hidden="true" />
+            )}
+          </button>
+
+          <button
+            onClick={() => player.skip(30)}
+            className="p-2 rounded-full hover:bg-gray-100"
+            disabled={isLoading}
+            aria-label="Skip forward 30 seconds"
+          >
+            <SkipForward className="w-4 h-4" aria-hidden="true" />
+          </button>
+
+          <button
+            onClick={player.stop}
+            className="p-2 rounded-full text-gray-500 hover:bg-gray-100"
+            aria-label="Close player"
+          >
+            <X className="w-4 h-4" aria-hidden="true" />
+          </button>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default MiniPlayer;
@@ -0,0 +1,175 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import AudioPlayer from '../AudioPlayer';
+import { HardDrive, Trash2, Play, BookOpen } from 'lucide-react';
+import { listOfflineItems, deleteOfflineItem, isOfflineStorageAvailable } from '../utils/offlineStorage';
+
+/**
+ * Offline Library Component
+ * Lists audio saved for offline playback and lets the user play or delete it
+ */
+const OfflineLibrary = ({ authToken = null, className = '' }) => {
+  const [items, setItems] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selectedItem, setSelectedItem] = useState(null);
+  const [storageEstimate, setStorageEstimate] = useState(null);
+  // Checked after mount so server and client render the same markup
+  const [isSupported, setIsSupported] = useState(true);
+
+  const loadItems = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      setItems(await listOfflineItems());
+      if (navigator.storage?.estimate) {
+        setStorageEstimate(await navigator.storage.estimate());
+      }
+    } catch (err) {
+      console.error('Failed to load offline library:', err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!isOfflineStorageAvailable()) {
+      setIsSupported(false);
+      setIsLoading(false);
+      return;
+    }
+    loadItems();
+  }, [loadItems]);
+
+  const handleDelete = async (item) => {
+    try {
+      await deleteOfflineItem(item.key);
+      if (selectedItem?.key === item.key) {
+        setSelectedItem(null);
+      }
+      await loadItems();
+    } catch (err) {
+      console.error('Failed to delete offline item:', err);
+      setError(err.message);
+    }
+  };
+
+  const formatDuration = (seconds) => {
+    if (!seconds) return '0:00';
+    const minutes = Math.floor(seconds / 60);
+    const remainingSeconds = Math.floor(seconds % 60);
+    return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
+  };
+
+  const formatSize = (bytes) => {
+    if (!bytes) return '0 MB';
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  };
+
+  const totalSize = items.reduce((sum, item) => sum + (item.size || 0), 0);
+
+  if (!isSupported) {
+    return (
+      <div className={`bg-white rounded-lg shadow-lg p-8 text-center text-gray-500 ${className}`}>
+        Offline storage is not available in this browser.
+      </div>
+    );
+  }
+
+  return (
+    <div className={`offline-library bg-white rounded-lg shadow-lg overflow-hidden ${className}`}>
+      <div className="bg-gradient-to-r from-blue-600 to-blue-700 text-white p-4">
+        <div className="flex items-center space-x-3">
+          <HardDrive className="w-6 h-6" />
+          <div>
+            <h2 className="text-lg font-semibold">Offline Library</h2>
+            <p className="text-blue-100 text-sm">
+              {items.length} item{items.length === 1 ? '' : 's'} · {formatSize(totalSize)}
+              {storageEstimate?.quota ? ` of ${formatSize(storageEstimate.quota)} available` : ''}
+            </p>
+          </div>
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 m-4 rounded">
+          Error: {error}
+        </div>
+      )}
+
+      {isLoading && (
+        <div className="p-4 text-center">
+          <div className="inline-flex items-center space-x-2 text-gray-600">
+            <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-600"></div>
+            <span className="text-sm">Loading offline library...</span>
+          </div>
+        </div>
+      )}
+
+      {!isLoading && items.length === 0 && (
+        <div className="p-8 text-center text-gray-500">
+          <BookOpen className="w-12 h-12 mx-auto mb-4 text-gray-300" />
+          <h3 className="text-lg font-medium mb-2">Nothing Saved Yet</h3>
+          <p className="text-sm">Use &ldquo;Save for offline&rdquo; in the player to keep audio on this device.</p>
+        </div>
+      )}
+
+      {items.length > 0 && (
+        <ul className="divide-y divide-gray-100">
+          {items.map(item => (
+            <li
+              key={item.key}
+              className={`flex items-center justify-between p-4 ${
+                selectedItem?.key === item.key ? 'bg-blue-50 border-l-4 border-l-blue-600' : ''
+              }`}
+            >
+              <div className="flex-1">
+                <h3 className="font-medium text-gray-900">{item.title}</h3>
+                <p className="text-sm text-gray-600">
+                  {item.bookTitle || `Book #${item.bookId}`}
+                  {item.chapterId ? ` · Chapter ${item.chapterNumber || item.chapterId}` : ' · Introduction'}
+                </p>
+                <p className="text-xs text-gray-500 mt-1">
+                  {formatDuration(item.duration)} · {formatSize(item.size)} · Saved {new Date(item.savedAt).toLocaleDateString()}
+                </p>
+              </div>
+              <div className="flex items-center space-x-2 ml-4">
+                <button
+                  onClick={() => setSelectedItem(item)}
+                  className="p-2 rounded bg-blue-100 text-blue-700 hover:bg-blue-200 transition-colors"
+                  title="Play"
+                >
+                  <Play className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => handleDelete(item)}
+                  className="p-2 rounded bg-gray-100 text-gray-600 hover:bg-red-100 hover:text-red-700 transition-colors"
+                  title="Delete from device"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {selectedItem && (
+        <div className="p-4 border-t border-gray-200">
+          <AudioPlayer
+            key={selectedItem.key}
+            bookId={selectedItem.bookId}
+            chapterId={selectedItem.chapterId}
+            bookTitle={selectedItem.bookTitle}
+            authToken={authToken}
+            showDownload={false}
+            showSaveOffline={false}
+            className="bg-gray-50 rounded-lg"
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OfflineLibrary;
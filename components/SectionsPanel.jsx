@@ -0,0 +1,61 @@
+import React from 'react';
+import { ListOrdered, X } from 'lucide-react';
+
+/**
+ * Sections Panel Component
+ * Lists the sections within the file (see utils/sections) with their
+ * lengths; the current one is highlighted and clicking one seeks to it
+ */
+const SectionsPanel = ({
+  sections = [],
+  currentIndex = -1,
+  duration = 0, // end of the last section when the file does not say
+  formatTime,
+  onSeek, // (time) => void
+  onClose
+}) => (
+  <div className="sections-panel mt-4 border border-gray-200 rounded-lg bg-gray-50">
+    <div className="flex items-center justify-between px-3 py-2 border-b border-gray-200">
+      <h4 className="text-sm font-medium text-gray-900 flex items-center space-x-1">
+        <ListOrdered className="w-4 h-4" aria-hidden="true" />
+        <span>Sections ({sections.length})</span>
+      </h4>
+      <button
+        onClick={onClose}
+        className="p-1 rounded text-gray-500 hover:bg-gray-200"
+        aria-label="Close sections"
+      >
+        <X className="w-4 h-4" />
+      </button>
+    </div>
+
+    <ol className="max-h-64 overflow-y-auto divide-y divide-gray-100">
+      {sections.map((section, index) => {
+        const end = section.end ?? duration;
+        const isCurrent = index === currentIndex;
+        return (
+          <li key={section.start}>
+            <button
+              onClick={() => onSeek(section.start)}
+              className={`w-full flex items-center justify-between px-3 py-2 text-left text-sm hover:bg-gray-100 ${
+                isCurrent ? 'bg-blue-50 text-blue-900 font-medium' : 'text-gray-700'
+              }`}
+              aria-current={isCurrent ? 'true' : undefined}
+            >
+              <span className="flex items-baseline space-x-2 min-w-0">
+                <span className="text-xs text-gray-400 tabular-nums">{index + 1}</span>
+                <span className="truncate">{section.title}</span>
+              </span>
+              <span className="text-xs text-gray-500 tabular-nums whitespace-nowrap ml-2">
+                {formatTime(section.start)}
+                {end > section.start && ` · ${formatTime(end - section.start)}`}
+              </span>
+            </button>
+          </li>
+        );
+      })}
+    </ol>
+  </div>
+);
+
+export default SectionsPanel;
@@ -0,0 +1,106 @@
+import React, { useState, useId } from 'react';
+import { Moon, X } from 'lucide-react';
+import { SLEEP_TIMER_PRESETS, SLEEP_TIMER_MODES, formatSleepRemaining } from '../utils/sleepTimer';
+
+/**
+ * Sleep Timer Menu Component
+ * Preset, custom and end-of-chapter sleep timer options
+ */
+const SleepTimerMenu = ({
+  activeTimer = null, // { mode, remaining } or null
+  onStart,
+  onCancel,
+  onClose
+}) => {
+  const [customMinutes, setCustomMinutes] = useState('');
+  const customInputId = useId();
+
+  const startCustom = (e) => {
+    e.preventDefault();
+    const minutes = parseFloat(customMinutes);
+    if (minutes > 0) {
+      onStart(SLEEP_TIMER_MODES.MINUTES, minutes);
+      setCustomMinutes('');
+    }
+  };
+
+  return (
+    <div className="sleep-timer-menu mt-4 border border-gray-200 rounded-lg bg-gray-50">
+      <div className="flex items-center justify-between px-3 py-2 border-b border-gray-200">
+        <h4 className="text-sm font-medium text-gray-900 flex items-center space-x-1">
+          <Moon className="w-4 h-4" aria-hidden="true" />
+          <span>Sleep timer</span>
+        </h4>
+        <button
+          onClick={onClose}
+          className="p-1 rounded text-gray-500 hover:bg-gray-200"
+          aria-label="Close sleep timer"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="p-3 space-y-3">
+        {activeTimer && (
+          <div className="flex items-center justify-between text-sm">
+            <span className="text-gray-700">
+              {activeTimer.mode === SLEEP_TIMER_MODES.END_OF_CHAPTER
+                ? 'Stopping at the end of this chapter'
+                : `Stopping in ${formatSleepRemaining(activeTimer.remaining)}`}
+            </span>
+            <button
+              onClick={onCancel}
+              className="px-2 py-1 text-xs rounded bg-gray-100 hover:bg-gray-200"
+            >
+              Turn off
+            </button>
+          </div>
+        )}
+
+        <div className="grid grid-cols-4 gap-2">
+          {SLEEP_TIMER_PRESETS.map(minutes => (
+            <button
+              key={minutes}
+              onClick={() => onStart(SLEEP_TIMER_MODES.MINUTES, minutes)}
+              className="px-2 py-1 text-sm rounded bg-white border hover:bg-blue-50"
+              aria-label={`Stop playback in ${minutes} minutes`}
+            >
+              {minutes} min
+            </button>
+          ))}
+        </div>
+
+        <button
+          onClick={() => onStart(SLEEP_TIMER_MODES.END_OF_CHAPTER)}
+          className="w-full px-2 py-1 text-sm rounded bg-white border hover:bg-blue-50"
+        >
+          End of chapter
+        </button>
+
+        <form onSubmit={startCustom} className="flex items-center space-x-2">
+          <label htmlFor={customInputId} className="text-sm text-gray-700">Custom</label>
+          <input
+            id={customInputId}
+            type="number"
+            min="1"
+            max="600"
+            step="1"
+            value={customMinutes}
+            onChange={(e) => setCustomMinutes(e.target.value)}
+            placeholder="min"
+            className="w-20 text-sm border rounded px-2 py-1"
+          />
+          <button
+            type="submit"
+            className="px-2 py-1 text-xs rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+            disabled={!(parseFloat(customMinutes) > 0)}
+          >
+            Start
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default SleepTimerMenu;
@@ -0,0 +1,175 @@
+import React, { useState, useEffect, useMemo, useRef, useId } from 'react';
+import { ScrollText, ChevronUp, ChevronDown, X } from 'lucide-react';
+import { findCueIndex, searchCues } from '../utils/transcript';
+
+// After the listener scrolls the transcript, leave it where they put it for a while
+const AUTO_SCROLL_PAUSE_MS = 5000;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// The text with every occurrence of query marked
+const highlightMatches = (text, query) => {
+  const needle = query.trim();
+  if (!needle) return text;
+  return text.split(new RegExp(`(${escapeRegExp(needle)})`, 'gi')).map((part, index) => (
+    index % 2 === 1 ? <mark key={index} className="bg-yellow-200 rounded-sm">{part}</mark> : part
+  ));
+};
+
+// Centre an element within the list without scrolling the page
+const scrollToElement = (list, element) => {
+  if (!list || !element) return;
+  list.scrollTo({
+    top: element.offsetTop - list.clientHeight / 2 + element.offsetHeight / 2,
+    behavior: 'smooth'
+  });
+};
+
+/**
+ * Transcript Panel Component
+ * Follows playback through the transcript (highlighting the current cue, and
+ * the current word when the transcript has word timings), seeks to a line
+ * when it is clicked, and searches the text with previous/next match
+ */
+const TranscriptPanel = ({
+  cues = [], // from utils/transcript
+  currentTime = 0,
+  formatTime,
+  onSeek, // (time) => void
+  onClose
+}) => {
+  const searchInputId = useId();
+  const [query, setQuery] = useState('');
+  const [matchPosition, setMatchPosition] = useState(0);
+  const listRef = useRef(null);
+  const cueRefs = useRef([]);
+  const userScrolledAtRef = useRef(0);
+
+  const activeIndex = findCueIndex(cues, currentTime);
+  const matches = useMemo(() => searchCues(cues, query), [cues, query]);
+  const matchIndex = matches.length > 0 ? matches[Math.min(matchPosition, matches.length - 1)] : -1;
+
+  // Follow playback unless a search is open or the listener is scrolling
+  useEffect(() => {
+    if (activeIndex === -1 || query.trim()) return;
+    if (Date.now() - userScrolledAtRef.current < AUTO_SCROLL_PAUSE_MS) return;
+    scrollToElement(listRef.current, cueRefs.current[activeIndex]);
+  }, [activeIndex, query]);
+
+  useEffect(() => {
+    if (matchIndex !== -1) scrollToElement(listRef.current, cueRefs.current[matchIndex]);
+  }, [matchIndex]);
+
+  const stepMatch = (direction) => {
+    if (matches.length === 0) return;
+    setMatchPosition(position => (position + direction + matches.length) % matches.length);
+  };
+
+  const handleSearchKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      stepMatch(e.shiftKey ? -1 : 1);
+    } else if (e.key === 'Escape' && query) {
+      setQuery('');
+    }
+  };
+
+  const renderCueText = (cue, isActive) => {
+    if (query.trim() || !isActive || !cue.words) return highlightMatches(cue.text, query);
+    return cue.words.map((word, index) => (
+      <React.Fragment key={index}>
+        {index > 0 && ' '}
+        <span className={currentTime >= word.start && currentTime < word.end ? 'bg-blue-200 rounded-sm' : ''}>
+          {word.text}
+        </span>
+      </React.Fragment>
+    ));
+  };
+
+  return (
+    <div className="transcript-panel mt-4 border border-gray-200 rounded-lg bg-gray-50">
+      <div className="flex items-center justify-between px-3 py-2 border-b border-gray-200">
+        <h4 className="text-sm font-medium text-gray-900 flex items-center space-x-1">
+          <ScrollText className="w-4 h-4" aria-hidden="true" />
+          <span>Transcript</span>
+        </h4>
+        <button
+          onClick={onClose}
+          className="p-1 rounded text-gray-500 hover:bg-gray-200"
+          aria-label="Close transcript"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="flex items-center space-x-2 px-3 py-2 border-b border-gray-200">
+        <label htmlFor={searchInputId} className="sr-only">Search transcript</label>
+        <input
+          id={searchInputId}
+          type="search"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setMatchPosition(0);
+          }}
+          onKeyDown={handleSearchKeyDown}
+          placeholder="Search transcript"
+          className="flex-1 min-w-0 text-sm border rounded px-2 py-1"
+        />
+        <span className="text-xs text-gray-500 whitespace-nowrap" role="status" aria-live="polite">
+          {query.trim() && (matches.length > 0
+            ? `${Math.min(matchPosition, matches.length - 1) + 1} of ${matches.length}`
+            : 'No matches')}
+        </span>
+        <button
+          onClick={() => stepMatch(-1)}
+          disabled={matches.length === 0}
+          className="p-1 rounded text-gray-600 hover:bg-gray-200 disabled:opacity-50"
+          aria-label="Previous match"
+        >
+          <ChevronUp className="w-4 h-4" />
+        </button>
+        <button
+          onClick={() => stepMatch(1)}
+          disabled={matches.length === 0}
+          className="p-1 rounded text-gray-600 hover:bg-gray-200 disabled:opacity-50"
+          aria-label="Next match"
+        >
+          <ChevronDown className="w-4 h-4" />
+        </button>
+      </div>
+
+      <ol
+        ref={listRef}
+        className="relative max-h-64 overflow-y-auto py-1"
+        onWheel={() => { userScrolledAtRef.current = Date.now(); }}
+        onTouchMove={() => { userScrolledAtRef.current = Date.now(); }}
+      >
+        {cues.map((cue, index) => {
+          const isActive = index === activeIndex;
+          return (
+            <li key={`${cue.start}-${index}`}>
+              <button
+                ref={(element) => { cueRefs.current[index] = element; }}
+                onClick={() => onSeek(cue.start)}
+                className={`w-full flex items-start space-x-2 px-3 py-1 text-left text-sm hover:bg-gray-100 ${
+                  isActive ? 'bg-blue-50 text-gray-900' : 'text-gray-600'
+                } ${index === matchIndex ? 'ring-2 ring-inset ring-yellow-400' : ''}`}
+                aria-current={isActive ? 'true' : undefined}
+                aria-label={`${formatTime(cue.start)}: ${cue.text}`}
+              >
+                <span className="text-xs text-gray-400 tabular-nums pt-0.5" aria-hidden="true">{formatTime(cue.start)}</span>
+                <span aria-hidden="true">
+                  {cue.speaker && <span className="font-medium text-gray-900">{cue.speaker}: </span>}
+                  {renderCueText(cue, isActive)}
+                </span>
+              </button>
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+};
+
+export default TranscriptPanel;
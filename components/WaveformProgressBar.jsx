@@ -0,0 +1,152 @@
+import React, { useState, useRef } from 'react';
+import { findSectionIndex } from '../utils/sections';
+
+const isInRanges = (time, ranges) => ranges.some(([start, end]) => time >= start && time <= end);
+
+/**
+ * Waveform Progress Bar Component
+ * The seek slider: the track's waveform (or a plain bar until peaks are
+ * available) with buffered ranges, gaps between the file's sections, a time
+ * (and section) tooltip under the pointer, and drag to scrub with mouse,
+ * pen or touch. Dragging previews the position and seeks on release.
+ * Markers passed as children sit on top and keep their own clicks.
+ */
+const WaveformProgressBar = ({
+  currentTime,
+  duration,
+  waveform = null, // peaks from utils/waveform, 0-1 per bar
+  buffered = [], // [start, end] ranges in seconds
+  sections = null, // from utils/sections
+  formatTime,
+  onSeek, // (time) => void
+  onKeyDown,
+  children
+}) => {
+  const [hoverTime, setHoverTime] = useState(null);
+  const [dragTime, setDragTime] = useState(null);
+  const draggingRef = useRef(false);
+
+  const timeAt = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const fraction = rect.width > 0 ? (e.clientX - rect.left) / rect.width : 0;
+    return Math.min(1, Math.max(0, fraction)) * duration;
+  };
+
+  const handlePointerDown = (e) => {
+    if (duration <= 0 || e.button !== 0 || e.target.closest('button')) return;
+    e.preventDefault();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    draggingRef.current = true;
+    setDragTime(timeAt(e));
+  };
+
+  const handlePointerMove = (e) => {
+    if (duration <= 0) return;
+    if (draggingRef.current) {
+      setDragTime(timeAt(e));
+    } else if (e.pointerType === 'mouse') {
+      setHoverTime(timeAt(e));
+    }
+  };
+
+  const handlePointerUp = (e) => {
+    if (!draggingRef.current) return;
+    draggingRef.current = false;
+    setDragTime(null);
+    onSeek(timeAt(e));
+  };
+
+  // The browser took the gesture over (e.g. scrolling) - leave the position alone
+  const handlePointerCancel = () => {
+    draggingRef.current = false;
+    setDragTime(null);
+  };
+
+  const isDragging = dragTime !== null;
+  const position = isDragging ? dragTime : currentTime;
+  const playedPercentage = duration > 0 ? (position / duration) * 100 : 0;
+  const tooltipTime = isDragging ? dragTime : hoverTime;
+  const toPercentage = (time) => `${Math.min(100, (time / duration) * 100)}%`;
+  const tooltipSection = tooltipTime !== null && sections ? sections[findSectionIndex(sections, tooltipTime)] : null;
+
+  return (
+    <div
+      className={`relative w-full cursor-pointer select-none focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500 ${
+        waveform ? 'h-10' : 'bg-gray-200 rounded-full h-2'
+      }`}
+      style={{ touchAction: 'none' }}
+      role="slider"
+      tabIndex={0}
+      aria-label="Seek"
+      aria-valuemin={0}
+      aria-valuemax={Math.floor(duration)}
+      aria-valuenow={Math.floor(currentTime)}
+      aria-valuetext={`${formatTime(currentTime)} of ${formatTime(duration)}`}
+      aria-disabled={duration === 0}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerCancel}
+      onPointerLeave={() => setHoverTime(null)}
+      onKeyDown={onKeyDown}
+    >
+      {waveform ? (
+        <div className="flex items-center h-full space-x-px" aria-hidden="true">
+          {waveform.map((peak, index) => {
+            const barTime = ((index + 0.5) / waveform.length) * duration;
+            const color = (index + 0.5) / waveform.length <= playedPercentage / 100
+              ? 'bg-blue-600'
+              : isInRanges(barTime, buffered) ? 'bg-gray-400' : 'bg-gray-300';
+            return (
+              <div
+                key={index}
+                className={`flex-1 rounded-sm ${color}`}
+                style={{ height: `${Math.max(8, peak * 100)}%` }}
+              />
+            );
+          })}
+        </div>
+      ) : (
+        <>
+          {duration > 0 && buffered.map(([start, end]) => (
+            <div
+              key={start}
+              className="absolute inset-y-0 bg-gray-300 rounded-full"
+              style={{ left: toPercentage(start), width: `${Math.max(0, ((end - start) / duration) * 100)}%` }}
+              aria-hidden="true"
+            />
+          ))}
+          <div
+            className={`relative bg-blue-600 h-2 rounded-full ${isDragging ? '' : 'transition-all duration-200'}`}
+            style={{ width: `${playedPercentage}%` }}
+          />
+        </>
+      )}
+
+      {/* Section boundaries */}
+      {duration > 0 && sections && sections.slice(1).map(section => (
+        <div
+          key={section.start}
+          className="absolute inset-y-0 w-0.5 -ml-px bg-white pointer-events-none"
+          style={{ left: toPercentage(section.start) }}
+          aria-hidden="true"
+        />
+      ))}
+
+      {children}
+
+      {tooltipTime !== null && duration > 0 && (
+        <div
+          className="absolute bottom-full mb-2 -translate-x-1/2 transform px-1.5 py-0.5 rounded bg-gray-800 text-white text-xs whitespace-nowrap pointer-events-none"
+          style={{ left: toPercentage(tooltipTime) }}
+          aria-hidden="true"
+        >
+          {formatTime(tooltipTime)}
+          {tooltipSection && <span className="text-gray-300"> · {tooltipSection.title}</span>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WaveformProgressBar;
@@ -1,8 +1,30 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import { config, debugLog } from '../utils/config';
+import { unregisterAudioServiceWorker } from '../utils/serviceWorker';
+import {
+  api,
+  ApiError,
+  COOKIE_SESSION,
+  refreshAuthToken,
+  setTokenRefreshHandler,
+  setAuthToken as setApiAuthToken
+} from '../utils/apiClient';
 
 const AuthContext = createContext();
 
+// setTimeout cannot wait longer than this (~24.8 days)
+const MAX_TIMER_DELAY = 2147483647;
+
+// Non-secret marker that a session cookie was set, so a restart while the
+// server is unreachable does not look like being signed out
+const SESSION_HINT_KEY = 'audioPlayer.hasSession';
+
+// Keys earlier versions kept the JWT under
+const LEGACY_TOKEN_KEYS = ['authToken', 'refreshToken'];
+
+// The proxy answers 502 when the backend is down - an outage, not a verdict
+const isOutage = (err) => err instanceof ApiError && (err.isNetworkError || err.status >= 500);
+
 export const useAuth = () => {
   const context = useContext(AuthContext);
   if (!context) {
@@ -11,64 +33,120 @@ export const useAuth = () => {
   return context;
 };
 
+/**
+ * The session itself is a pair of httpOnly cookies set by /api/session/login
+ * that only the server-side proxy can read. authToken is COOKIE_SESSION while
+ * signed in so components and the API client know requests are authenticated.
+ */
 export const AuthProvider = ({ children }) => {
   const [authToken, setAuthToken] = useState(null);
   const [user, setUser] = useState(null);
+  const [expiresAt, setExpiresAt] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
 
-  // Check for existing token on mount
-  useEffect(() => {
-    const token = localStorage.getItem(config.auth.tokenKey);
-    if (token) {
-      debugLog('Found existing token, validating...');
-      setAuthToken(token);
-      validateToken(token);
-    } else {
-      debugLog('No existing token found');
-      setIsLoading(false);
-    }
+  const startSession = useCallback((session = {}) => {
+    setApiAuthToken(COOKIE_SESSION);
+    setAuthToken(COOKIE_SESSION);
+    if (session.user) setUser(session.user);
+    setExpiresAt(session.expires_at || null);
+    localStorage.setItem(SESSION_HINT_KEY, '1');
   }, []);
 
-  const validateToken = async (token) => {
-    try {
-      debugLog('Validating token with server...');
-      const response = await fetch(`${config.apiBaseUrl}/user/me`, {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
-      });
+  const endSession = useCallback(() => {
+    setApiAuthToken(null);
+    setAuthToken(null);
+    setUser(null);
+    setExpiresAt(null);
+    localStorage.removeItem(SESSION_HINT_KEY);
+  }, []);
+
+  const logout = useCallback(() => {
+    debugLog('User logged out');
+    endSession();
+    api.post('/api/session/logout', null, { authToken: null }).catch((err) => {
+      debugLog('Logout request failed:', err.message);
+    });
+  }, [endSession]);
 
-      if (response.ok) {
-        const userData = await response.json();
-        debugLog('Token validation successful', userData);
-        setUser(userData);
+  // Renew the access token behind the cookie. Only a rejected refresh token
+  // ends the session - an unreachable server leaves it in place.
+  const refreshSession = useCallback(async () => {
+    try {
+      debugLog('Refreshing session...');
+      const data = await api.post('/api/session/refresh', null, { authToken: null });
+      setExpiresAt(data?.expires_at || null);
+      debugLog('Session refreshed');
+      return COOKIE_SESSION;
+    } catch (err) {
+      if (isOutage(err)) {
+        debugLog('Session refresh failed, server unreachable:', err.message);
       } else {
-        debugLog('Token validation failed:', response.status);
-        // Token is invalid, clear it
-        logout();
+        debugLog('Session refresh rejected, logging out:', err.status || err.message);
+        endSession();
       }
+      throw err;
+    }
+  }, [endSession]);
+
+  // API requests that get a 401 renew the session through here and retry once
+  useEffect(() => {
+    setTokenRefreshHandler(refreshSession);
+    return () => setTokenRefreshHandler(null);
+  }, [refreshSession]);
+
+  const validateSession = async () => {
+    try {
+      debugLog('Checking session with server...');
+      const data = await api.get('/api/session', { authToken: null });
+      debugLog('Session check successful', data?.user);
+      startSession(data);
     } catch (err) {
-      debugLog('Token validation error:', err);
-      // Network error or other issue, clear token
-      logout();
+      if (isOutage(err) && localStorage.getItem(SESSION_HINT_KEY)) {
+        // Keep the session through an outage and check again once back online
+        debugLog('Session check deferred, server unreachable:', err.message);
+        setApiAuthToken(COOKIE_SESSION);
+        setAuthToken(COOKIE_SESSION);
+        window.addEventListener('online', () => validateSession(), { once: true });
+      } else {
+        debugLog('No valid session:', err.status || err.message);
+        endSession();
+      }
     } finally {
       setIsLoading(false);
     }
   };
 
-  const login = (token, userData) => {
-    debugLog('User logged in successfully');
-    setAuthToken(token);
-    setUser(userData);
-    localStorage.setItem(config.auth.tokenKey, token);
-  };
+  // Check for an existing session on mount
+  useEffect(() => {
+    // Tokens from earlier versions must not linger where scripts can read them
+    LEGACY_TOKEN_KEYS.forEach(key => localStorage.removeItem(key));
+    unregisterAudioServiceWorker();
+    validateSession();
+  }, []);
 
-  const logout = () => {
-    debugLog('User logged out');
-    setAuthToken(null);
-    setUser(null);
-    localStorage.removeItem(config.auth.tokenKey);
+  // Renew the token shortly before it expires so playback never hits a 401.
+  // While the server is unreachable keep trying; the session stays.
+  useEffect(() => {
+    if (!authToken || !expiresAt) return;
+
+    let timer = null;
+    const schedule = (delay) => {
+      timer = setTimeout(renew, Math.min(MAX_TIMER_DELAY, Math.max(0, delay)));
+    };
+    const renew = () => {
+      refreshAuthToken().catch((err) => {
+        if (isOutage(err)) schedule(config.auth.refreshRetryDelay);
+      });
+    };
+
+    schedule(expiresAt - Date.now() - config.auth.refreshMargin);
+    return () => clearTimeout(timer);
+  }, [authToken, expiresAt]);
+
+  // Login.jsx has already created the session; session is { user, expires_at }
+  const login = (session) => {
+    debugLog('User logged in successfully');
+    startSession(session);
   };
 
   const value = {
@@ -0,0 +1,1235 @@
+import React, { createContext, useContext, useState, useRef, useEffect, useCallback } from 'react';
+import { logger, audioLog, perfLog, LOG_CATEGORIES } from '../utils/config';
+import { sessionLogger } from '../utils/logger';
+import { loadAudioSource } from '../utils/audioSource';
+import { postProgress } from '../utils/progressQueue';
+import { refreshAuthToken } from '../utils/apiClient';
+import { claimMediaSession, ownsMediaSession, setMediaPlaybackState, updateMediaPositionState, releaseMediaSession } from '../utils/mediaSession';
+import {
+  SLEEP_TIMER_MODES,
+  FADE_OUT_SECONDS,
+  SLEEP_TIMER_EXTENSION_SECONDS,
+  requestMotionPermission,
+  watchForShake,
+  formatSleepRemaining
+} from '../utils/sleepTimer';
+import { recordPause, clearPause, takeSmartRewind } from '../utils/smartRewind';
+import { getAudioGraph, isWebAudioSupported, MAX_VOLUME } from '../utils/audioGraph';
+import { startSilenceTrimming } from '../utils/silenceTrimmer';
+import { EQ_PRESETS, DEFAULT_EQUALIZER, isFlatEqualizer, normalizeEqualizer } from '../utils/equalizer';
+import { startLoudnessMeter, recordLoudness, getLoudnessCorrection } from '../utils/loudness';
+import { retainTrackMetadata } from '../utils/trackMetadata';
+
+const AUTO_ADVANCE_STORAGE_KEY = 'audioPlayer.autoAdvance';
+const AUDIO_EFFECTS_STORAGE_KEY = 'audioPlayer.audioEffects';
+const TIME_SAVED_STORAGE_KEY = 'audioPlayer.timeSaved';
+const VOLUME_STORAGE_KEY = 'audioPlayer.volume';
+const DEFAULT_AUDIO_EFFECTS = {
+  trimSilence: false,
+  voiceBoost: false,
+  normalizeLoudness: false,
+  equalizer: DEFAULT_EQUALIZER
+};
+const PROGRESS_INTERVAL_MS = 30000; // Every 30 seconds as per mobile best practices
+const SLEEP_TIMER_TICK_MS = 500;
+const SKIP_SECONDS = 30;
+
+const PlayerContext = createContext(null);
+
+/**
+ * The shared player, or null outside a PlayerProvider (AudioPlayer then
+ * provides its own so it keeps working on its own)
+ */
+export const usePlayer = () => useContext(PlayerContext);
+
+const formatTime = (time) => {
+  const minutes = Math.floor(time / 60);
+  const seconds = Math.floor(time % 60);
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+};
+
+// Read the upcoming item aloud during the gap between queue items
+const speakAnnouncement = (text) => {
+  if (typeof window === 'undefined' || !window.speechSynthesis) return;
+  window.speechSynthesis.cancel();
+  window.speechSynthesis.speak(new window.SpeechSynthesisUtterance(text));
+};
+
+/**
+ * Player Provider
+ * Owns the one <audio> element of the app so playback carries on across
+ * page navigation. Views (AudioPlayer, ChapterPlayer, MiniPlayer) read the
+ * current item and playback state from here and send their controls here.
+ * Items come from utils/playerItem; the queue drives auto-advance and the
+ * previous/next media keys.
+ */
+export const PlayerProvider = ({ children }) => {
+  const [currentItem, setCurrentItem] = useState(null);
+  const [queue, setQueueItems] = useState([]);
+  const [queueOptions, setQueueOptions] = useState({ gapSeconds: 3, announce: false });
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [duration, setDuration] = useState(0);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [volume, setVolumeState] = useState(1);
+  const [isMuted, setIsMuted] = useState(false);
+  const [playbackRate, setPlaybackRateState] = useState(1);
+  const [error, setError] = useState(null);
+  const [isPlayingOffline, setIsPlayingOffline] = useState(false);
+  // Continuous playback through the queue
+  const [autoAdvance, setAutoAdvanceState] = useState(true);
+  const [pendingAdvance, setPendingAdvance] = useState(null); // { item, secondsLeft }
+  // Sleep timer state ({ mode, remaining } while a timer is set)
+  const [sleepTimer, setSleepTimer] = useState(null);
+  // Web Audio processing (silence trimming, voice boost, equalizer, loudness)
+  const [audioEffects, setAudioEffectsState] = useState(DEFAULT_AUDIO_EFFECTS);
+  const [audioEffectsSupported, setAudioEffectsSupported] = useState(false);
+  const [hasAudioGraph, setHasAudioGraph] = useState(false);
+  const [timeSaved, setTimeSaved] = useState(0); // seconds saved by trimming silence, all-time
+  const [loudnessCorrection, setLoudnessCorrection] = useState(0); // dB for the current book
+  // Message read out by screen readers through the aria-live region
+  const [announcement, setAnnouncement] = useState('');
+
+  const audioRef = useRef(null);
+  const sourceRef = useRef(null);
+  const currentItemRef = useRef(null);
+  const loadGenerationRef = useRef(0);
+  const pendingStartRef = useRef(null); // { startAt, autoPlay } until metadata loads
+  const loadFailedRef = useRef(false);
+  const authRetryKeyRef = useRef(null); // item already reloaded with a renewed token
+  const playingKeyRef = useRef(null); // item the element last started playing
+  const progressIntervalRef = useRef(null);
+  const mediaSessionOwnerRef = useRef({});
+  const trackMetadataRef = useRef(null); // { key, metadata, release } - the loaded item's own tags
+  const listenersRef = useRef(new Set());
+  const actionsRef = useRef({});
+  const sleepTimerRef = useRef(null);
+  const audioGraphRef = useRef(null); // built the first time an effect is switched on
+  const timeSavedRef = useRef(0);
+
+  const announce = useCallback((message) => {
+    setAnnouncement(message);
+  }, []);
+
+  // Views subscribe to events for their item: play, pause, seek, timeupdate,
+  // loaded, progress, ended, error, previous and next
+  const subscribe = useCallback((listener) => {
+    listenersRef.current.add(listener);
+    return () => listenersRef.current.delete(listener);
+  }, []);
+
+  const emit = useCallback((event) => {
+    listenersRef.current.forEach(listener => listener(event));
+  }, []);
+
+  // Show an error and tell the views of the item it belongs to
+  const failWith = useCallback((message, item = currentItemRef.current) => {
+    setError(message);
+    emit({ type: 'error', item, message });
+  }, [emit]);
+
+  // The auto-advance setting is remembered per browser
+  useEffect(() => {
+    if (localStorage.getItem(AUTO_ADVANCE_STORAGE_KEY) === 'false') {
+      setAutoAdvanceState(false);
+    }
+  }, []);
+
+  // So are the volume, the audio effects and the time trimming has saved
+  useEffect(() => {
+    const supported = isWebAudioSupported();
+    setAudioEffectsSupported(supported);
+    try {
+      const stored = JSON.parse(localStorage.getItem(AUDIO_EFFECTS_STORAGE_KEY));
+      if (stored) {
+        setAudioEffectsState({
+          ...DEFAULT_AUDIO_EFFECTS,
+          ...stored,
+          equalizer: normalizeEqualizer(stored.equalizer)
+        });
+      }
+    } catch (err) {
+      logger.warn(LOG_CATEGORIES.PLAYBACK, 'Audio effect settings unreadable', { error: err.message });
+    }
+    timeSavedRef.current = parseFloat(localStorage.getItem(TIME_SAVED_STORAGE_KEY)) || 0;
+    setTimeSaved(timeSavedRef.current);
+
+    const storedVolume = parseFloat(localStorage.getItem(VOLUME_STORAGE_KEY));
+    if (storedVolume >= 0) {
+      // A boost needs the audio graph; the element alone stops at 1
+      const restored = Math.min(supported ? MAX_VOLUME : 1, storedVolume);
+      setVolumeState(restored);
+      if (audioRef.current) audioRef.current.volume = Math.min(1, restored);
+    }
+  }, []);
+
+  const getQueueNeighbour = (offset) => {
+    const index = queue.findIndex(item => item.key === currentItem?.key);
+    if (index === -1) return null;
+    return queue[index + offset] || null;
+  };
+  const previousItem = getQueueNeighbour(-1);
+  const nextItem = getQueueNeighbour(1);
+
+  // Progress tracking
+  const reportProgress = async (item, position, status = 'playing') => {
+    const progressUrl = item?.progressUpdateUrl;
+    if (!progressUrl || !item.authToken) {
+      logger.warn(LOG_CATEGORIES.PROGRESS, 'Progress update skipped', {
+        hasUrl: !!progressUrl,
+        hasToken: !!item?.authToken,
+        url: progressUrl
+      });
+      return;
+    }
+
+    const audio = audioRef.current;
+    const itemDuration = audio && Number.isFinite(audio.duration) ? audio.duration : item.durationHint || 0;
+    // The listener's speed - playbackRate runs faster while silence is trimmed
+    const rate = audio?.defaultPlaybackRate || 1;
+    const sent = await postProgress(progressUrl, item.authToken, {
+      position: Math.floor(position),
+      duration: Math.floor(itemDuration), // Include duration as per new API spec
+      playback_speed: rate,
+      status,
+      client_timestamp: new Date().toISOString()
+    });
+
+    if (sent) {
+      emit({ type: 'progress', item, position, status, playbackRate: rate });
+    }
+  };
+
+  const stopProgressTracking = () => {
+    if (progressIntervalRef.current) {
+      clearInterval(progressIntervalRef.current);
+      progressIntervalRef.current = null;
+      logger.debug(LOG_CATEGORIES.PROGRESS, 'Progress tracking stopped');
+    }
+  };
+
+  const startProgressTracking = () => {
+    stopProgressTracking();
+    progressIntervalRef.current = setInterval(() => {
+      const audio = audioRef.current;
+      if (audio && !audio.paused) {
+        reportProgress(currentItemRef.current, audio.currentTime, 'playing');
+      }
+    }, PROGRESS_INTERVAL_MS);
+  };
+
+  // Lock screen / hardware media keys. Handlers go through a ref so the OS
+  // always calls the latest version of the player controls.
+  const publishMediaSession = () => {
+    const item = currentItemRef.current;
+    if (!item) return;
+
+    const hasPrevious = !!previousItem || !!item.trackControls?.previous;
+    const hasNext = !!nextItem || !!item.trackControls?.next;
+    // The file's own tags, where it has them, over the book/chapter fields
+    const embedded = trackMetadataRef.current?.key === item.key ? trackMetadataRef.current.metadata : {};
+    claimMediaSession(mediaSessionOwnerRef.current, {
+      title: embedded.title || item.title,
+      artist: embedded.artist || item.author || '',
+      album: embedded.album || (item.chapterId ? item.bookTitle || '' : ''),
+      artwork: embedded.artwork || item.artwork
+    }, {
+      play: () => actionsRef.current.play(),
+      pause: () => actionsRef.current.pause(),
+      seekbackward: (details) => actionsRef.current.skip(-(details.seekOffset || SKIP_SECONDS)),
+      seekforward: (details) => actionsRef.current.skip(details.seekOffset || SKIP_SECONDS),
+      seekto: (details) => actionsRef.current.seek(details.seekTime),
+      previoustrack: hasPrevious ? () => actionsRef.current.playPrevious() : null,
+      nexttrack: hasNext ? () => actionsRef.current.playNext() : null
+    });
+  };
+
+  /**
+   * Title, artist, album and cover read from the loaded item's file (see
+   * utils/trackMetadata). Kept apart from the item so tags arriving after the
+   * load never make the item load again; the lock screen shows them until
+   * another item is loaded.
+   */
+  const setTrackMetadata = (key, metadata) => {
+    const item = currentItemRef.current;
+    if (!item || item.key !== key) return;
+    const previous = trackMetadataRef.current;
+    if (previous?.metadata === metadata) return;
+    // Hold on to the new cover before letting go of the old one, which may be the same
+    trackMetadataRef.current = metadata
+      ? { key, metadata, release: retainTrackMetadata(item.streamUrl) }
+      : null;
+    previous?.release();
+    if (ownsMediaSession(mediaSessionOwnerRef.current)) {
+      actionsRef.current.publishMediaSession();
+    }
+  };
+
+  const clearTrackMetadata = () => {
+    trackMetadataRef.current?.release();
+    trackMetadataRef.current = null;
+  };
+
+  // Seek and/or start playback once the new source knows its duration
+  const applyPendingStart = () => {
+    const pending = pendingStartRef.current;
+    const audio = audioRef.current;
+    if (!pending || !audio) return;
+    pendingStartRef.current = null;
+
+    if (pending.startAt !== null && pending.startAt !== undefined) {
+      audio.currentTime = pending.startAt;
+      setCurrentTime(pending.startAt);
+    }
+    if (pending.autoPlay) {
+      logger.info(LOG_CATEGORIES.PLAYBACK, 'Auto-play enabled, starting playback');
+      play();
+    }
+  };
+
+  /**
+   * Make item the current item. Loading the item that is already current only
+   * refreshes its details, then seeks to startAt and/or plays.
+   */
+  const loadItem = async (item, { autoPlay = false, startAt = null } = {}) => {
+    const audio = audioRef.current;
+    if (!audio || !item) return;
+
+    const previous = currentItemRef.current;
+    if (previous?.key === item.key && !loadFailedRef.current) {
+      const updated = { ...previous, ...item, href: previous.href };
+      currentItemRef.current = updated;
+      setCurrentItem(updated);
+      if (autoPlay || startAt !== null) setPendingAdvance(null);
+      if (!sourceRef.current) {
+        // Still loading - start from here once the source is ready
+        const pending = pendingStartRef.current || {};
+        pendingStartRef.current = {
+          startAt: startAt ?? pending.startAt ?? null,
+          autoPlay: autoPlay || !!pending.autoPlay
+        };
+        return;
+      }
+      if (startAt !== null) seekTo(startAt);
+      if (autoPlay && audio.paused) play();
+      return;
+    }
+
+    // Save where the previous item stopped before the element moves on
+    if (previous && !audio.paused) {
+      audio.pause();
+      stopProgressTracking();
+      reportProgress(previous, audio.currentTime, 'paused');
+    }
+    if (sourceRef.current) {
+      sourceRef.current.release();
+      sourceRef.current = null;
+    }
+
+    setPendingAdvance(null);
+    clearTrackMetadata();
+    const generation = ++loadGenerationRef.current;
+    loadFailedRef.current = false;
+    // The mini-player links back to the page the item was started from
+    const loaded = { ...item, href: `${window.location.pathname}${window.location.search}` };
+    currentItemRef.current = loaded;
+    pendingStartRef.current = { startAt, autoPlay };
+    setCurrentItem(loaded);
+    setIsPlaying(false);
+    setIsLoading(true);
+    setError(null);
+    setCurrentTime(startAt || 0);
+    setDuration(item.durationHint || 0);
+
+    const initTimer = perfLog.start('Audio streaming initialization');
+    logger.info(LOG_CATEGORIES.INIT, '=== AUDIO STREAMING INITIALIZATION ===');
+    logger.info(LOG_CATEGORIES.NETWORK, 'Setting up audio stream', {
+      url: item.streamUrl,
+      hasAuth: !!item.authToken,
+      offlineKey: item.key
+    });
+
+    try {
+      const source = await loadAudioSource(audio, {
+        url: item.streamUrl,
+        offlineKey: item.key,
+        isActive: () => generation === loadGenerationRef.current
+      });
+      if (!source) return;
+
+      sourceRef.current = source;
+      setIsPlayingOffline(source.offline);
+      setIsLoading(false);
+      initTimer.end();
+      // An offline copy may already have its metadata
+      if (audio.readyState >= HTMLMediaElement.HAVE_METADATA) {
+        applyPendingStart();
+      }
+    } catch (err) {
+      if (generation !== loadGenerationRef.current) return;
+      loadFailedRef.current = true;
+      logger.error(LOG_CATEGORIES.NETWORK, 'Audio source failed to load', { url: item.streamUrl, error: err.message });
+      // The API client already tried to renew the token, so a 401 here is final
+      failWith(err.status === 401
+        ? 'Your session has expired. Please log in again.'
+        : 'Failed to load audio. Please check your connection.', item);
+      setIsLoading(false);
+      initTimer.end();
+    }
+  };
+
+  // Player controls
+  const play = async () => {
+    const audio = audioRef.current;
+    if (!audio || !currentItemRef.current) return;
+
+    const playTimer = perfLog.start('Audio playback start');
+    const currentState = {
+      readyState: audio.readyState,
+      networkState: audio.networkState,
+      currentTime: audio.currentTime,
+      duration: audio.duration,
+      paused: audio.paused
+    };
+
+    logger.info(LOG_CATEGORIES.PLAYBACK, 'Attempting playback', currentState);
+
+    // Smart rewind: step back further the longer the item was paused
+    const item = currentItemRef.current;
+    const rewind = takeSmartRewind(item.key);
+    if (item.smartRewind && rewind > 0 && audio.currentTime > 0) {
+      const from = audio.currentTime;
+      const to = Math.max(0, from - rewind);
+      logger.info(LOG_CATEGORIES.PLAYBACK, 'Smart rewind', {
+        amount: `-${rewind}s`,
+        from: formatTime(from),
+        to: formatTime(to)
+      });
+      audio.currentTime = to;
+      setCurrentTime(to);
+      emit({ type: 'seek', item, from, to });
+    }
+
+    try {
+      // A suspended audio graph would play silence
+      if (audioGraphRef.current) audioGraphRef.current.resume();
+      await audio.play();
+
+      audioLog.state('playing', {
+        position: formatTime(audio.currentTime),
+        duration: formatTime(audio.duration)
+      });
+      logger.info(LOG_CATEGORIES.PLAYBACK, 'Playback started successfully');
+
+      setIsPlaying(true);
+      setError(null);
+      publishMediaSession();
+      announce('Playing');
+      startProgressTracking();
+      playTimer.end();
+    } catch (err) {
+      const errorDetails = {
+        name: err.name,
+        message: err.message,
+        audioState: currentState
+      };
+
+      audioLog.error(`Playback failed: ${err.message}`, errorDetails);
+      logger.error(LOG_CATEGORIES.PLAYBACK, 'Playback error', errorDetails);
+
+      const userFriendlyError = err.name === 'NotAllowedError'
+        ? 'Playback blocked by browser. Please click play again.'
+        : err.name === 'NotSupportedError'
+        ? 'Audio format not supported by this browser.'
+        : 'Failed to play audio. Please try again.';
+
+      failWith(userFriendlyError);
+      playTimer.end();
+    }
+  };
+
+  const pause = () => {
+    const audio = audioRef.current;
+    if (!audio || !currentItemRef.current) return;
+
+    const pausePosition = audio.currentTime;
+    logger.info(LOG_CATEGORIES.PLAYBACK, 'Pausing playback', {
+      position: formatTime(pausePosition),
+      duration: formatTime(duration)
+    });
+
+    audio.pause();
+    audioLog.state('paused', { position: formatTime(pausePosition) });
+    setIsPlaying(false);
+    announce(`Paused at ${formatTime(pausePosition)}`);
+    stopProgressTracking();
+
+    // Update progress on pause
+    reportProgress(currentItemRef.current, pausePosition, 'paused');
+  };
+
+  const togglePlay = () => {
+    if (isPlaying) {
+      pause();
+    } else {
+      play();
+    }
+  };
+
+  const seekTo = (newTime) => {
+    const audio = audioRef.current;
+    if (!audio || !currentItemRef.current) return;
+
+    const seekStartTime = performance.now();
+    const oldTime = audio.currentTime;
+    const seekInfo = {
+      from: formatTime(oldTime),
+      to: formatTime(newTime),
+      duration: formatTime(duration),
+      percentageFrom: Math.round((oldTime / duration) * 100),
+      percentageTo: Math.round((newTime / duration) * 100)
+    };
+
+    logger.info(LOG_CATEGORIES.PLAYBACK, 'Seek operation', seekInfo);
+
+    audio.currentTime = newTime;
+    setCurrentTime(newTime);
+    updateMediaPositionState(mediaSessionOwnerRef.current, {
+      duration,
+      position: newTime,
+      playbackRate
+    });
+    reportProgress(currentItemRef.current, newTime, audio.paused ? 'paused' : 'playing');
+
+    // Track seek performance
+    sessionLogger.trackSeek(oldTime, newTime, performance.now() - seekStartTime);
+    audioLog.event('seek', seekInfo);
+    emit({ type: 'seek', item: currentItemRef.current, from: oldTime, to: newTime });
+  };
+
+  // The listener chose where to continue, so a smart rewind would only undo that
+  const seek = (newTime) => {
+    if (currentItemRef.current) clearPause(currentItemRef.current.key);
+    seekTo(newTime);
+  };
+
+  const skip = (seconds) => {
+    const from = audioRef.current ? audioRef.current.currentTime : currentTime;
+    const newTime = Math.min(Math.max(0, from + seconds), duration || Infinity);
+    logger.info(LOG_CATEGORIES.UI, seconds < 0 ? 'Skip backward' : 'Skip forward', {
+      amount: `${seconds < 0 ? '' : '+'}${seconds}s`,
+      from: formatTime(from),
+      to: formatTime(newTime)
+    });
+    seek(newTime);
+  };
+
+  const setPlaybackRate = (newRate) => {
+    const audio = audioRef.current;
+    if (!audio) return;
+
+    logger.info(LOG_CATEGORIES.UI, 'Playback rate changed', {
+      from: playbackRate + 'x',
+      to: newRate + 'x'
+    });
+    // defaultPlaybackRate carries the speed over to the next item's source
+    audio.defaultPlaybackRate = newRate;
+    audio.playbackRate = newRate;
+    setPlaybackRateState(newRate);
+    announce(`Playback speed ${newRate}x`);
+  };
+
+  // Once the audio graph exists the element stays at full volume and the
+  // graph's gain stage applies volume and mute (see utils/audioGraph)
+  const applyOutputVolume = (level = volume, muted = isMuted) => {
+    const audio = audioRef.current;
+    if (!audio) return;
+
+    const graph = audioGraphRef.current;
+    if (graph) {
+      audio.volume = 1;
+      audio.muted = false;
+      graph.setVolume(muted ? 0 : level);
+    } else {
+      audio.volume = Math.min(1, level);
+      audio.muted = muted;
+    }
+  };
+
+  // Up to MAX_VOLUME (a boost above 100%) where Web Audio is available
+  const setVolume = (newVolume) => {
+    const audio = audioRef.current;
+    if (!audio) return;
+
+    const level = Math.min(audioEffectsSupported ? MAX_VOLUME : 1, Math.max(0, newVolume));
+    logger.debug(LOG_CATEGORIES.UI, 'Volume changed', {
+      from: volume,
+      to: level,
+      percentage: Math.round(level * 100) + '%'
+    });
+    const muted = isMuted && level === 0;
+    applyOutputVolume(level, muted);
+    setVolumeState(level);
+    setIsMuted(muted);
+    localStorage.setItem(VOLUME_STORAGE_KEY, String(level));
+  };
+
+  const toggleMute = () => {
+    const audio = audioRef.current;
+    if (!audio) return;
+
+    const muted = !isMuted;
+    logger.debug(LOG_CATEGORIES.UI, muted ? 'Muted' : 'Unmuted');
+    applyOutputVolume(volume, muted);
+    setIsMuted(muted);
+    announce(muted ? 'Muted' : 'Unmuted');
+  };
+
+  // Close the player: save the position and let go of the source
+  const stop = () => {
+    const audio = audioRef.current;
+    const item = currentItemRef.current;
+    if (!audio || !item) return;
+
+    logger.info(LOG_CATEGORIES.PLAYBACK, 'Stopping playback', { key: item.key });
+    if (!audio.paused) {
+      audio.pause();
+      reportProgress(item, audio.currentTime, 'paused');
+    }
+    stopProgressTracking();
+    loadGenerationRef.current += 1;
+    pendingStartRef.current = null;
+    if (sourceRef.current) {
+      sourceRef.current.release();
+      sourceRef.current = null;
+    }
+    audio.removeAttribute('src');
+    audio.load();
+
+    currentItemRef.current = null;
+    clearTrackMetadata();
+    sleepTimerRef.current = null;
+    applyOutputVolume();
+    setCurrentItem(null);
+    setPendingAdvance(null);
+    setSleepTimer(null);
+    setIsPlaying(false);
+    setIsLoading(false);
+    setError(null);
+    setCurrentTime(0);
+    setDuration(0);
+    releaseMediaSession(mediaSessionOwnerRef.current);
+  };
+
+  // Queue
+  const setQueue = useCallback((items, options = {}) => {
+    setQueueItems(items);
+    setQueueOptions({
+      gapSeconds: options.gapSeconds ?? 3,
+      announce: !!options.announce
+    });
+  }, []);
+
+  const playPrevious = () => {
+    if (previousItem) {
+      loadItem(previousItem, { autoPlay: true });
+    } else if (currentItemRef.current?.trackControls?.previous) {
+      // Not queued - the view that started the item moves it back
+      emit({ type: 'previous', item: currentItemRef.current });
+    }
+  };
+
+  const playNext = () => {
+    if (nextItem) {
+      loadItem(nextItem, { autoPlay: true });
+    } else if (currentItemRef.current?.trackControls?.next) {
+      emit({ type: 'next', item: currentItemRef.current });
+    }
+  };
+
+  const setAutoAdvance = (enabled) => {
+    setAutoAdvanceState(enabled);
+    localStorage.setItem(AUTO_ADVANCE_STORAGE_KEY, String(enabled));
+    if (!enabled) {
+      setPendingAdvance(null);
+    }
+  };
+
+  const cancelPendingAdvance = () => setPendingAdvance(null);
+
+  // Count down the gap, then start the next item
+  useEffect(() => {
+    if (!pendingAdvance) return;
+    if (pendingAdvance.secondsLeft <= 0) {
+      actionsRef.current.loadItem(pendingAdvance.item, { autoPlay: true });
+      return;
+    }
+    const timer = setTimeout(() => {
+      setPendingAdvance(prev => prev && { ...prev, secondsLeft: prev.secondsLeft - 1 });
+    }, 1000);
+    return () => clearTimeout(timer);
+  }, [pendingAdvance]);
+
+  // Audio effects. The element is only routed through the Web Audio graph
+  // once an effect (or a volume above 100%) is switched on (see utils/audioGraph).
+  const setAudioEffects = (changes) => {
+    const next = { ...audioEffects, ...changes };
+    if (changes.equalizer) next.equalizer = normalizeEqualizer(changes.equalizer);
+    setAudioEffectsState(next);
+    localStorage.setItem(AUDIO_EFFECTS_STORAGE_KEY, JSON.stringify(next));
+    logger.info(LOG_CATEGORIES.UI, 'Audio effects changed', next);
+    if (changes.trimSilence !== undefined) {
+      announce(changes.trimSilence ? 'Trim silence on' : 'Trim silence off');
+    }
+    if (changes.voiceBoost !== undefined) {
+      announce(changes.voiceBoost ? 'Voice boost on' : 'Voice boost off');
+    }
+    if (changes.normalizeLoudness !== undefined) {
+      announce(changes.normalizeLoudness ? 'Loudness normalisation on' : 'Loudness normalisation off');
+    }
+    if (changes.equalizer && EQ_PRESETS[next.equalizer.preset] && changes.equalizer.preset !== audioEffects.equalizer.preset) {
+      announce(`Equalizer: ${EQ_PRESETS[next.equalizer.preset].label}`);
+    }
+  };
+
+  const resetTimeSaved = () => {
+    timeSavedRef.current = 0;
+    setTimeSaved(0);
+    localStorage.removeItem(TIME_SAVED_STORAGE_KEY);
+  };
+
+  const { trimSilence, voiceBoost, normalizeLoudness, equalizer } = audioEffects;
+  const effectsEnabled = audioEffectsSupported &&
+    (trimSilence || voiceBoost || normalizeLoudness || !isFlatEqualizer(equalizer) || volume > 1);
+
+  useEffect(() => {
+    if (!effectsEnabled || audioGraphRef.current) return;
+    let graph;
+    try {
+      graph = getAudioGraph(audioRef.current);
+    } catch (err) {
+      logger.error(LOG_CATEGORIES.PLAYBACK, 'Audio processing unavailable', { error: err.message });
+      setAudioEffectsSupported(false);
+      return;
+    }
+    if (!graph) return;
+
+    audioGraphRef.current = graph;
+    setHasAudioGraph(true);
+    actionsRef.current.applyOutputVolume();
+    // Switched on from a click - the context may start straight away
+    if (!audioRef.current.paused) graph.resume();
+  }, [effectsEnabled]);
+
+  useEffect(() => {
+    if (hasAudioGraph) audioGraphRef.current.setVoiceBoost(voiceBoost);
+  }, [hasAudioGraph, voiceBoost]);
+
+  useEffect(() => {
+    if (hasAudioGraph) audioGraphRef.current.setEqualizer(equalizer.gains);
+  }, [hasAudioGraph, equalizer]);
+
+  // Loudness normalisation: apply the book's remembered correction and keep
+  // measuring while it plays
+  const currentBookId = currentItem?.bookId ?? null;
+  const currentItemKey = currentItem?.key ?? null;
+  useEffect(() => {
+    if (!hasAudioGraph) return;
+    const correction = normalizeLoudness && currentBookId !== null ? getLoudnessCorrection(currentBookId) : 0;
+    setLoudnessCorrection(correction);
+    audioGraphRef.current.setNormalization(correction);
+  }, [hasAudioGraph, normalizeLoudness, currentBookId]);
+
+  useEffect(() => {
+    const item = currentItemRef.current;
+    if (!normalizeLoudness || !hasAudioGraph || !isPlaying || !item) return;
+
+    const graph = audioGraphRef.current;
+    return startLoudnessMeter(audioRef.current, graph.analyser, (measurement) => {
+      recordLoudness(item.bookId, item.key, measurement);
+      // Only while the book is still playing - the meter reports once more when stopped
+      if (currentItemRef.current?.bookId !== item.bookId) return;
+      const correction = getLoudnessCorrection(item.bookId);
+      setLoudnessCorrection(correction);
+      graph.setNormalization(correction);
+    });
+  }, [normalizeLoudness, hasAudioGraph, isPlaying, currentItemKey]);
+
+  useEffect(() => {
+    const graph = audioGraphRef.current;
+    if (!trimSilence || !hasAudioGraph || !isPlaying) return;
+
+    const stopTrimming = startSilenceTrimming(audioRef.current, graph.analyser, (seconds) => {
+      timeSavedRef.current += seconds;
+    });
+    // The total is shown and stored once a second rather than on every check
+    const sync = () => {
+      setTimeSaved(timeSavedRef.current);
+      localStorage.setItem(TIME_SAVED_STORAGE_KEY, String(timeSavedRef.current));
+    };
+    const interval = setInterval(sync, 1000);
+    return () => {
+      clearInterval(interval);
+      stopTrimming();
+      sync();
+    };
+  }, [trimSilence, hasAudioGraph, isPlaying]);
+
+  // Sleep timer. The countdown only runs while audio plays; over the last
+  // FADE_OUT_SECONDS the volume fades, then pause saves the progress.
+  const getSleepRemaining = (timer) => {
+    if (timer.mode === SLEEP_TIMER_MODES.END_OF_CHAPTER) {
+      const audio = audioRef.current;
+      const chapterRemaining = audio && Number.isFinite(audio.duration)
+        ? (audio.duration - audio.currentTime) / (audio.playbackRate || 1)
+        : NaN;
+      return Number.isFinite(chapterRemaining) ? chapterRemaining : Infinity;
+    }
+    return timer.remaining;
+  };
+
+  const startSleepTimer = (mode, minutes) => {
+    const timer = {
+      mode,
+      remaining: mode === SLEEP_TIMER_MODES.MINUTES ? minutes * 60 : null,
+      lastTick: Date.now()
+    };
+    sleepTimerRef.current = timer;
+    setSleepTimer({ mode, remaining: getSleepRemaining(timer) });
+    applyOutputVolume();
+
+    // Called from the click so iOS can show its motion permission prompt
+    requestMotionPermission();
+
+    logger.info(LOG_CATEGORIES.UI, 'Sleep timer set', { mode, minutes });
+    announce(mode === SLEEP_TIMER_MODES.END_OF_CHAPTER
+      ? 'Sleep timer set for the end of this chapter'
+      : `Sleep timer set for ${minutes} minutes`);
+  };
+
+  const cancelSleepTimer = () => {
+    sleepTimerRef.current = null;
+    setSleepTimer(null);
+    applyOutputVolume();
+    logger.info(LOG_CATEGORIES.UI, 'Sleep timer cancelled');
+    announce('Sleep timer off');
+  };
+
+  // Shake or tap: keep listening for a few more minutes
+  const extendSleepTimer = () => {
+    const timer = sleepTimerRef.current;
+    if (!timer) return;
+
+    const current = getSleepRemaining(timer);
+    if (!Number.isFinite(current)) return;
+
+    // An end-of-chapter timer becomes a plain countdown past the chapter end
+    const remaining = Math.max(0, current) + SLEEP_TIMER_EXTENSION_SECONDS;
+    sleepTimerRef.current = { mode: SLEEP_TIMER_MODES.MINUTES, remaining, lastTick: Date.now() };
+    setSleepTimer({ mode: SLEEP_TIMER_MODES.MINUTES, remaining });
+    applyOutputVolume();
+
+    logger.info(LOG_CATEGORIES.UI, 'Sleep timer extended', { remaining: formatSleepRemaining(remaining) });
+    announce(`Sleep timer extended to ${formatSleepRemaining(remaining)}`);
+  };
+
+  const tickSleepTimer = () => {
+    const timer = sleepTimerRef.current;
+    const audio = audioRef.current;
+    if (!timer || !audio) return;
+
+    if (timer.mode === SLEEP_TIMER_MODES.MINUTES) {
+      const now = Date.now();
+      timer.remaining -= (now - timer.lastTick) / 1000;
+      timer.lastTick = now;
+    }
+
+    const remaining = getSleepRemaining(timer);
+    setSleepTimer({ mode: timer.mode, remaining });
+
+    if (remaining <= FADE_OUT_SECONDS) {
+      applyOutputVolume(volume * (Math.max(0, remaining) / FADE_OUT_SECONDS));
+    }
+
+    // End-of-chapter timers finish in handleEnded so the chapter is marked completed
+    if (timer.mode === SLEEP_TIMER_MODES.MINUTES && remaining <= 0) {
+      logger.info(LOG_CATEGORIES.PLAYBACK, 'Sleep timer ended, pausing playback');
+      sleepTimerRef.current = null;
+      setSleepTimer(null);
+      pause();
+      applyOutputVolume();
+      announce('Sleep timer ended. Playback paused.');
+    }
+  };
+
+  const isSleepTimerActive = sleepTimer !== null;
+  const isSleepTimerFading = isSleepTimerActive && sleepTimer.remaining <= FADE_OUT_SECONDS;
+
+  useEffect(() => {
+    if (!isSleepTimerActive || !isPlaying) return;
+    // Time spent paused doesn't count
+    if (sleepTimerRef.current) sleepTimerRef.current.lastTick = Date.now();
+    const interval = setInterval(() => actionsRef.current.tickSleepTimer(), SLEEP_TIMER_TICK_MS);
+    return () => clearInterval(interval);
+  }, [isSleepTimerActive, isPlaying]);
+
+  useEffect(() => {
+    if (!isSleepTimerActive) return;
+    return watchForShake(() => actionsRef.current.extendSleepTimer());
+  }, [isSleepTimerActive]);
+
+  // While fading out, any tap on the page keeps the audio going
+  useEffect(() => {
+    if (!isSleepTimerFading) return;
+    const handleTap = () => actionsRef.current.extendSleepTimer();
+    document.addEventListener('pointerdown', handleTap);
+    return () => document.removeEventListener('pointerdown', handleTap);
+  }, [isSleepTimerFading]);
+
+  // Audio event handlers
+  const handleLoadedMetadata = () => {
+    const audio = audioRef.current;
+    if (!audio) return;
+
+    const loadTimer = perfLog.start('Audio metadata loading');
+    const metadata = {
+      duration: audio.duration,
+      readyState: audio.readyState,
+      networkState: audio.networkState,
+      src: audio.src
+    };
+
+    audioLog.event('loadedmetadata', metadata);
+    sessionLogger.trackAudioLoad(performance.now() - (window.audioLoadStartTime || 0), metadata);
+
+    logger.info(LOG_CATEGORIES.PLAYBACK, 'Audio metadata loaded', {
+      ...metadata,
+      formattedDuration: formatTime(audio.duration)
+    });
+
+    setDuration(audio.duration);
+    setIsLoading(false);
+    authRetryKeyRef.current = null;
+    loadTimer.end();
+    emit({ type: 'loaded', item: currentItemRef.current, duration: audio.duration });
+    applyPendingStart();
+  };
+
+  const handleTimeUpdate = () => {
+    const audio = audioRef.current;
+    if (!audio) return;
+
+    setCurrentTime(audio.currentTime);
+    if (currentItemRef.current) {
+      emit({ type: 'timeupdate', item: currentItemRef.current, currentTime: audio.currentTime, duration: audio.duration });
+    }
+    // Log position every 30 seconds to avoid spam but provide regular updates
+    if (Math.floor(audio.currentTime) % 30 === 0 && Math.floor(audio.currentTime) > 0) {
+      const percentage = duration > 0 ? Math.round((audio.currentTime / duration) * 100) : 0;
+      audioLog.position(Math.round(audio.currentTime), Math.round(duration), percentage);
+    }
+  };
+
+  const handleDurationChange = () => {
+    // Duration can change after loadedmetadata (e.g. VBR files refining their estimate)
+    const newDuration = audioRef.current?.duration;
+    if (Number.isFinite(newDuration) && newDuration > 0) {
+      setDuration(newDuration);
+    }
+  };
+
+  const handleLoadStart = () => {
+    window.audioLoadStartTime = performance.now(); // Track load start time
+    audioLog.event('loadstart', { src: audioRef.current?.src });
+    if (!currentItemRef.current) return;
+    logger.info(LOG_CATEGORIES.PLAYBACK, 'Audio load started');
+    setIsLoading(true);
+    announce('Loading audio');
+  };
+
+  const handleCanPlay = () => {
+    const audio = audioRef.current;
+    const bufferedInfo = audio?.buffered.length > 0 ? {
+      bufferedRanges: audio.buffered.length,
+      firstRange: {
+        start: audio.buffered.start(0),
+        end: audio.buffered.end(0)
+      }
+    } : { bufferedRanges: 0 };
+
+    audioLog.event('canplay', bufferedInfo);
+    logger.info(LOG_CATEGORIES.PLAYBACK, 'Audio ready to play', bufferedInfo);
+    // canplay fires again after every seek - only announce the first load
+    if (isLoading) {
+      announce('Audio ready to play');
+    }
+    setIsLoading(false);
+  };
+
+  const handleError = (e) => {
+    const audio = audioRef.current;
+    // Clearing the source on stop() fires an error with nothing loaded
+    if (!currentItemRef.current) return;
+
+    const errorDetails = {
+      errorCode: audio?.error?.code,
+      errorMessage: audio?.error?.message,
+      networkState: audio?.networkState,
+      readyState: audio?.readyState,
+      src: audio?.src,
+      event: e.type
+    };
+
+    const errorMessages = {
+      1: 'MEDIA_ERR_ABORTED - The fetching process was aborted',
+      2: 'MEDIA_ERR_NETWORK - A network error occurred',
+      3: 'MEDIA_ERR_DECODE - An error occurred while decoding',
+      4: 'MEDIA_ERR_SRC_NOT_SUPPORTED - The audio format is not supported'
+    };
+
+    const detailedError = errorMessages[errorDetails.errorCode] || 'Unknown audio error';
+    errorDetails.detailedError = detailedError;
+
+    audioLog.error(detailedError, errorDetails);
+    logger.error(LOG_CATEGORIES.PLAYBACK, 'Audio playback error', errorDetails);
+
+    // Track error in session logger
+    const mediaError = new Error(detailedError);
+    mediaError.audioErrorCode = errorDetails.errorCode;
+    sessionLogger.trackError(mediaError, {
+      category: 'audio_playback',
+      audioState: errorDetails
+    });
+
+    // Loading the item again starts over with a fresh source
+    loadFailedRef.current = true;
+
+    // The element cannot tell a 401 from a network error. The token may have
+    // expired mid-stream, so renew it and load the item again once.
+    const item = currentItemRef.current;
+    if (item.authToken && !sourceRef.current?.offline && authRetryKeyRef.current !== item.key) {
+      authRetryKeyRef.current = item.key;
+      const resumeAt = audio?.currentTime || pendingStartRef.current?.startAt || 0;
+      const resumePlaying = isPlaying || !!pendingStartRef.current?.autoPlay;
+      logger.info(LOG_CATEGORIES.AUTH, 'Renewing session before reloading audio', { key: item.key, resumeAt });
+
+      refreshAuthToken()
+        .then((token) => {
+          if (currentItemRef.current?.key !== item.key) return;
+          loadItem({ ...item, authToken: token }, { startAt: resumeAt, autoPlay: resumePlaying });
+        })
+        .catch(() => {
+          if (currentItemRef.current?.key !== item.key) return;
+          failWith('Failed to load audio. Please check your connection.', item);
+          setIsLoading(false);
+        });
+      return;
+    }
+
+    failWith('Failed to load audio. Please check your connection.');
+    setIsLoading(false);
+  };
+
+  // The element's own events, so OS and media-key playback changes count too
+  const handlePlayEvent = () => {
+    setIsPlaying(true);
+    if (currentItemRef.current) {
+      playingKeyRef.current = currentItemRef.current.key;
+      emit({ type: 'play', item: currentItemRef.current, position: audioRef.current.currentTime });
+    }
+  };
+
+  const handlePauseEvent = () => {
+    setIsPlaying(false);
+    // Remembered across reloads for smart rewind. The item that was playing,
+    // as loading another item pauses the element after switching items.
+    if (playingKeyRef.current && !audioRef.current.ended) {
+      recordPause(playingKeyRef.current);
+    }
+    if (currentItemRef.current) {
+      emit({ type: 'pause', item: currentItemRef.current, position: audioRef.current.currentTime });
+    }
+  };
+
+  const handleEnded = () => {
+    const item = currentItemRef.current;
+    const audio = audioRef.current;
+    audioLog.event('ended', {
+      finalPosition: formatTime(duration),
+      duration: duration
+    });
+    logger.info(LOG_CATEGORIES.PLAYBACK, 'Audio playback completed');
+    setIsPlaying(false);
+    stopProgressTracking();
+    reportProgress(item, audio.duration || duration, 'completed');
+    clearPause(item.key);
+
+    const stoppedBySleepTimer = sleepTimerRef.current?.mode === SLEEP_TIMER_MODES.END_OF_CHAPTER;
+    if (stoppedBySleepTimer) {
+      sleepTimerRef.current = null;
+      setSleepTimer(null);
+      applyOutputVolume();
+      announce('Sleep timer ended at the end of the chapter');
+    }
+
+    emit({ type: 'ended', item, stoppedBySleepTimer });
+
+    if (!autoAdvance || stoppedBySleepTimer || !nextItem) return;
+
+    if (queueOptions.announce) {
+      speakAnnouncement(nextItem.title);
+    }
+    if (queueOptions.gapSeconds > 0) {
+      setPendingAdvance({ item: nextItem, secondsLeft: queueOptions.gapSeconds });
+    } else {
+      loadItem(nextItem, { autoPlay: true });
+    }
+  };
+
+  // Closing the page while audio plays is a pause too
+  useEffect(() => {
+    const handlePageHide = () => {
+      const audio = audioRef.current;
+      if (audio && !audio.paused && currentItemRef.current) {
+        recordPause(currentItemRef.current.key);
+      }
+    };
+    window.addEventListener('pagehide', handlePageHide);
+    return () => window.removeEventListener('pagehide', handlePageHide);
+  }, []);
+
+  // Refresh metadata/handlers when the item or queue changes while we own the session
+  useEffect(() => {
+    if (ownsMediaSession(mediaSessionOwnerRef.current)) {
+      actionsRef.current.publishMediaSession();
+    }
+  }, [currentItem, queue]);
+
+  useEffect(() => {
+    const owner = mediaSessionOwnerRef.current;
+    setMediaPlaybackState(owner, isPlaying ? 'playing' : 'paused');
+    updateMediaPositionState(owner, {
+      duration,
+      position: audioRef.current?.currentTime,
+      playbackRate
+    });
+  }, [isPlaying, duration, playbackRate]);
+
+  // Cleanup
+  useEffect(() => {
+    const owner = mediaSessionOwnerRef.current;
+    return () => {
+      if (progressIntervalRef.current) {
+        logger.debug(LOG_CATEGORIES.INIT, 'Cleaning up progress interval');
+        clearInterval(progressIntervalRef.current);
+      }
+      if (sourceRef.current) {
+        sourceRef.current.release();
+      }
+      releaseMediaSession(owner);
+      logger.info(LOG_CATEGORIES.INIT, '=== PLAYER PROVIDER CLEANUP COMPLETED ===');
+    };
+  }, []);
+
+  actionsRef.current = {
+    loadItem,
+    play,
+    pause,
+    seek,
+    skip,
+    playPrevious,
+    playNext,
+    publishMediaSession,
+    applyOutputVolume,
+    tickSleepTimer,
+    extendSleepTimer
+  };
+
+  const value = {
+    audioRef,
+    currentItem,
+    queue,
+    previousItem,
+    nextItem,
+    isPlaying,
+    isLoading,
+    duration,
+    currentTime,
+    volume,
+    isMuted,
+    playbackRate,
+    error,
+    isPlayingOffline,
+    autoAdvance,
+    pendingAdvance,
+    sleepTimer,
+    audioEffects,
+    audioEffectsSupported,
+    timeSaved,
+    loudnessCorrection,
+    loadItem,
+    play,
+    pause,
+    togglePlay,
+    seek,
+    skip,
+    setPlaybackRate,
+    setVolume,
+    toggleMute,
+    stop,
+    setTrackMetadata,
+    setQueue,
+    playPrevious,
+    playNext,
+    setAutoAdvance,
+    cancelPendingAdvance,
+    startSleepTimer,
+    cancelSleepTimer,
+    extendSleepTimer,
+    setAudioEffects,
+    resetTimeSaved,
+    subscribe,
+    announce
+  };
+
+  return (
+    <PlayerContext.Provider value={value}>
+      {children}
+
+      {/* Shared audio element - lives as long as the app, not the page */}
+      <audio
+        ref={audioRef}
+        onLoadedMetadata={handleLoadedMetadata}
+        onTimeUpdate={handleTimeUpdate}
+        onDurationChange={handleDurationChange}
+        onLoadStart={handleLoadStart}
+        onCanPlay={handleCanPlay}
+        onPlay={handlePlayEvent}
+        onPause={handlePauseEvent}
+        onError={handleError}
+        onEnded={handleEnded}
+        preload="metadata"
+        crossOrigin="anonymous"
+      />
+
+      {/* Screen reader announcements (loading, playback, sleep timer) */}
+      <div className="sr-only" aria-live="polite" aria-atomic="true">
+        {announcement}
+      </div>
+
+      <style jsx>{`
+        .sr-only {
+          position: absolute;
+          width: 1px;
+          height: 1px;
+          padding: 0;
+          margin: -1px;
+          overflow: hidden;
+          clip: rect(0, 0, 0, 0);
+          white-space: nowrap;
+          border: 0;
+        }
+      `}</style>
+    </PlayerContext.Provider>
+  );
+};
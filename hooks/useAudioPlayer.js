@@ -0,0 +1,697 @@
+import { useState, useRef, useEffect, useMemo } from 'react';
+import { config, logger, perfLog, LOG_CATEGORIES } from '../utils/config';
+import { sessionLogger } from '../utils/logger';
+import { usePlayer } from '../contexts/PlayerContext';
+import {
+  SYNC_STATUS,
+  flushProgressQueue,
+  getSyncStatus,
+  getLatestQueuedProgress,
+  preferNewerProgress,
+  getServerTimestamp,
+  subscribeToProgressQueue,
+  retryFailedProgress
+} from '../utils/progressQueue';
+import { getOfflineItem, downloadForOffline, deleteOfflineItem, isOfflineStorageAvailable } from '../utils/offlineStorage';
+import { normalizeChapter } from '../utils/chapters';
+import { createPlayerItem } from '../utils/playerItem';
+import { api, isAbortError } from '../utils/apiClient';
+import { recordPause, clearPause } from '../utils/smartRewind';
+import { loadWaveform } from '../utils/waveform';
+import { loadTranscript, getTranscriptUrl } from '../utils/transcript';
+import { loadSections, findSectionIndex, SECTION_RESTART_SECONDS } from '../utils/sections';
+import { loadTrackMetadata, retainTrackMetadata } from '../utils/trackMetadata';
+
+export const PLAYBACK_RATES = [0.5, 0.75, 1, 1.25, 1.5, 2];
+export const SKIP_SECONDS = 30;
+
+/**
+ * Headless audio player
+ * Everything AudioPlayer does without its markup, for custom player UIs:
+ * stream/progress URL resolution, loading through the shared player
+ * (authenticated streaming, offline copies), resume, progress sync status,
+ * seeking, speed, downloads and offline saving.
+ *
+ *   const audio = useAudioPlayer({ bookId, chapter, authToken });
+ *   <button onClick={audio.togglePlay}>{audio.isPlaying ? 'Pause' : 'Play'}</button>
+ *
+ * Options are AudioPlayer's props: bookId, chapterId, chapter, apiBaseUrl,
+ * authToken, streamUrl, progressUrl, bookTitle, author, artwork, autoPlay,
+ * smartRewind, showWaveform, peaksUrl, showTranscript, transcriptUrl,
+ * showSections, sectionsUrl, showMetadata, onProgressUpdate, onEnded,
+ * onPreviousChapter, onNextChapter and the event callbacks onPlay, onPause,
+ * onSeek, onError, onTimeUpdate and onLoaded.
+ *
+ * Returns state (item, isCurrent, isPlaying, isLoading, currentTime,
+ * duration, volume, isMuted, playbackRate, error, resume info, syncStatus,
+ * offline info, track metadata and cover art, waveform peaks, buffered
+ * ranges, transcript cues, sections within the file) and actions (play, pause, togglePlay, seek, skip,
+ * skipForward, skipBackward, previousSection, nextSection, setVolume,
+ * toggleMute, setPlaybackRate, stepPlaybackRate, resume, startOver,
+ * retrySync, download, toggleOffline, setError, getState).
+ * Playback state describes this item only while it is the one loaded in
+ * the shared player (isCurrent); until then play/seek/resume load it.
+ *
+ * Must be used inside a PlayerProvider (pages/_app.js mounts one).
+ */
+export const useAudioPlayer = ({
+  bookId = 1,
+  chapterId = null,
+  chapter: chapterProp = null,
+  apiBaseUrl = config.apiBaseUrl,
+  authToken,
+  streamUrl = null,
+  progressUrl = null,
+  bookTitle = null,
+  author = null,
+  artwork = null,
+  autoPlay = false,
+  smartRewind = true,
+  showWaveform = true,
+  peaksUrl = null,
+  showTranscript = true,
+  transcriptUrl = null,
+  showSections = true,
+  sectionsUrl = null,
+  showMetadata = true,
+  onProgressUpdate = null,
+  onEnded = null,
+  onPreviousChapter = null,
+  onNextChapter = null,
+  onPlay = null, // ({ position })
+  onPause = null, // ({ position })
+  onSeek = null, // ({ from, to })
+  onError = null, // ({ message })
+  onTimeUpdate = null, // ({ currentTime, duration })
+  onLoaded = null // ({ duration })
+} = {}) => {
+  const player = usePlayer();
+  if (!player) {
+    throw new Error('useAudioPlayer must be used within a PlayerProvider');
+  }
+
+  const BOOK_ID = bookId;
+  // Same chapter model as ChapterPlayer: { id, number, title, duration, streamUrl, progressUrl, ... }
+  const chapter = useMemo(() => normalizeChapter(chapterProp, null, apiBaseUrl), [chapterProp, apiBaseUrl]);
+  // Support both chapterId (direct ID) and chapter (object with id or chapter_id property)
+  const CHAPTER_ID = chapter?.id || chapterId;
+
+  const hasPreviousChapter = !!onPreviousChapter;
+  const hasNextChapter = !!onNextChapter;
+  // Everything the shared player needs to load, resume and sync this intro/chapter
+  const item = useMemo(() => createPlayerItem({
+    bookId: BOOK_ID,
+    chapterId: CHAPTER_ID,
+    chapter,
+    apiBaseUrl,
+    authToken,
+    streamUrl,
+    progressUrl,
+    bookTitle,
+    author,
+    artwork,
+    trackControls: { previous: hasPreviousChapter, next: hasNextChapter },
+    smartRewind
+  }), [BOOK_ID, CHAPTER_ID, chapter, apiBaseUrl, authToken, streamUrl, progressUrl, bookTitle, author, artwork, hasPreviousChapter, hasNextChapter, smartRewind]);
+  const offlineKey = item.key;
+  const { announce } = player;
+
+  // Shared playback state only describes this item while it is loaded
+  const isCurrent = player.currentItem?.key === item.key;
+  const isPlaying = isCurrent && player.isPlaying;
+  const isLoading = isCurrent && player.isLoading;
+  const duration = (isCurrent && player.duration) || item.durationHint;
+  const currentTime = isCurrent ? player.currentTime : 0;
+  const isPlayingOffline = isCurrent && player.isPlayingOffline;
+
+  const [localError, setError] = useState(null);
+  const error = localError || (isCurrent ? player.error : null);
+  const [resumeAvailable, setResumeAvailable] = useState(false);
+  const [resumePosition, setResumePosition] = useState(null);
+  const [isFinished, setIsFinished] = useState(false);
+  const [completionPercentage, setCompletionPercentage] = useState(0);
+  // When the resume position was saved - another device's pause counts for smart rewind
+  const resumeSavedAtRef = useRef(null);
+  // Offline storage state
+  const [offlineItem, setOfflineItem] = useState(null);
+  const [offlineSaveProgress, setOfflineSaveProgress] = useState(null);
+  const [canSaveOffline, setCanSaveOffline] = useState(false);
+  // Progress sync state (synced / pending / failed)
+  const [syncStatus, setSyncStatus] = useState(SYNC_STATUS.SYNCED);
+  // Title, artist, album and cover from the file's ID3 tag (see utils/trackMetadata)
+  const [embeddedMetadata, setEmbeddedMetadata] = useState(null);
+  // Progress bar overview: peaks (0-1 per bar) and [start, end] ranges in seconds
+  const [waveform, setWaveform] = useState(null);
+  const [buffered, setBuffered] = useState([]);
+  // Transcript cues (see utils/transcript), null when there is none
+  const [transcript, setTranscript] = useState(null);
+  // Sections within the file (see utils/sections), null when there are none
+  const [sections, setSections] = useState(null);
+
+  const latestRef = useRef({});
+  const callbacksRef = useRef({});
+  latestRef.current = { player, item, isCurrent, autoPlay };
+  callbacksRef.current = {
+    onProgressUpdate,
+    onEnded,
+    onPreviousChapter,
+    onNextChapter,
+    onPlay,
+    onPause,
+    onSeek,
+    onError,
+    onTimeUpdate,
+    onLoaded
+  };
+
+  // Load into the shared player on mount, unless something else is already
+  // loaded there - that keeps playing until this item is played
+  const itemKey = item.key;
+  useEffect(() => {
+    const { player: shared, item: latestItem, autoPlay: shouldPlay } = latestRef.current;
+    const current = shared.currentItem;
+    if (current?.key === itemKey || (current && !shouldPlay)) return;
+    shared.loadItem(latestItem, { autoPlay: shouldPlay });
+  }, [itemKey]);
+
+  // Keep the player's copy of the item (token, titles, track controls) up to date
+  useEffect(() => {
+    const { player: shared, isCurrent: loaded } = latestRef.current;
+    if (loaded) shared.loadItem(item);
+  }, [item]);
+
+  // Player events for this item reach the callbacks while the hook is mounted
+  const { subscribe } = player;
+  useEffect(() => subscribe((event) => {
+    if (event.item?.key !== itemKey) return;
+    const callbacks = callbacksRef.current;
+
+    switch (event.type) {
+      case 'progress':
+        if (callbacks.onProgressUpdate) callbacks.onProgressUpdate(event.position, event.status, event.playbackRate);
+        break;
+      case 'play':
+        if (callbacks.onPlay) callbacks.onPlay({ position: event.position });
+        break;
+      case 'pause':
+        if (callbacks.onPause) callbacks.onPause({ position: event.position });
+        break;
+      case 'seek':
+        if (callbacks.onSeek) callbacks.onSeek({ from: event.from, to: event.to });
+        break;
+      case 'timeupdate':
+        if (callbacks.onTimeUpdate) callbacks.onTimeUpdate({ currentTime: event.currentTime, duration: event.duration });
+        break;
+      case 'loaded':
+        if (callbacks.onLoaded) callbacks.onLoaded({ duration: event.duration });
+        break;
+      case 'ended':
+        if (callbacks.onEnded) callbacks.onEnded({ stoppedBySleepTimer: event.stoppedBySleepTimer });
+        break;
+      case 'error':
+        if (callbacks.onError) callbacks.onError({ message: event.message });
+        break;
+      case 'previous':
+        if (callbacks.onPreviousChapter) callbacks.onPreviousChapter();
+        break;
+      case 'next':
+        if (callbacks.onNextChapter) callbacks.onNextChapter();
+        break;
+      default:
+        break;
+    }
+  }), [subscribe, itemKey]);
+
+  // Look up whether this book/chapter is saved for offline playback
+  useEffect(() => {
+    setCanSaveOffline(isOfflineStorageAvailable());
+    let active = true;
+    getOfflineItem(offlineKey)
+      .then(saved => { if (active) setOfflineItem(saved); })
+      .catch(() => { if (active) setOfflineItem(null); });
+    return () => { active = false; };
+  }, [offlineKey]);
+
+  // Embedded title/artist/cover, once this item is loaded (read from the
+  // stream). The player gets them for the lock screen; the item itself stays
+  // as it is, so they never cause a reload.
+  const metadataStreamUrl = item.streamUrl;
+  useEffect(() => {
+    setEmbeddedMetadata(null);
+    if (!showMetadata || !isCurrent) return;
+    const controller = new AbortController();
+    let release = null;
+    loadTrackMetadata(latestRef.current.item, { signal: controller.signal })
+      .then((result) => {
+        if (controller.signal.aborted) return;
+        if (result) release = retainTrackMetadata(metadataStreamUrl);
+        setEmbeddedMetadata(result);
+        latestRef.current.player.setTrackMetadata(itemKey, result);
+      })
+      .catch((err) => {
+        if (!isAbortError(err)) logger.warn(LOG_CATEGORIES.PLAYBACK, 'Track metadata unavailable', { error: err.message });
+      });
+    return () => {
+      controller.abort();
+      if (release) release();
+    };
+  }, [showMetadata, isCurrent, itemKey, metadataStreamUrl]);
+  // What to show for this item: the file's tags over the book/chapter fields
+  const metadata = useMemo(() => ({
+    title: embeddedMetadata?.title || item.title,
+    artist: embeddedMetadata?.artist || item.author,
+    album: embeddedMetadata?.album || item.bookTitle,
+    artwork: embeddedMetadata?.artwork || item.artwork
+  }), [embeddedMetadata, item.title, item.author, item.bookTitle, item.artwork]);
+
+  // Waveform for the progress bar, once this item is the one loaded
+  useEffect(() => {
+    setWaveform(null);
+    if (!showWaveform || !isCurrent) return;
+    const controller = new AbortController();
+    loadWaveform(latestRef.current.item, { peaksUrl, signal: controller.signal })
+      .then(peaks => { if (!controller.signal.aborted) setWaveform(peaks); })
+      .catch((err) => {
+        if (!isAbortError(err)) logger.warn(LOG_CATEGORIES.PLAYBACK, 'Waveform unavailable', { error: err.message });
+      });
+    return () => controller.abort();
+  }, [showWaveform, isCurrent, itemKey, peaksUrl]);
+
+  // Sections, once this item is loaded (embedded markers are read from the stream)
+  useEffect(() => {
+    setSections(null);
+    if (!showSections || !isCurrent) return;
+    const controller = new AbortController();
+    loadSections(latestRef.current.item, { sectionsUrl, signal: controller.signal })
+      .then(result => { if (!controller.signal.aborted) setSections(result); })
+      .catch((err) => {
+        if (!isAbortError(err)) logger.warn(LOG_CATEGORIES.PLAYBACK, 'Sections unavailable', { error: err.message });
+      });
+    return () => controller.abort();
+  }, [showSections, isCurrent, itemKey, sectionsUrl]);
+  const currentSectionIndex = sections ? findSectionIndex(sections, currentTime) : -1;
+
+  // Buffered ranges of the shared element while this item is loaded
+  const { audioRef } = player;
+  useEffect(() => {
+    const audio = audioRef.current;
+    if (!isCurrent || !audio) {
+      setBuffered([]);
+      return;
+    }
+
+    const updateBuffered = () => {
+      const ranges = [];
+      for (let i = 0; i < audio.buffered.length; i++) {
+        ranges.push([audio.buffered.start(i), audio.buffered.end(i)]);
+      }
+      // timeupdate fires often - only re-render when the ranges changed
+      setBuffered(previous => (
+        previous.length === ranges.length && previous.every((range, i) => range[0] === ranges[i][0] && range[1] === ranges[i][1])
+          ? previous
+          : ranges
+      ));
+    };
+
+    const events = ['progress', 'timeupdate', 'loadedmetadata', 'emptied'];
+    updateBuffered();
+    events.forEach(type => audio.addEventListener(type, updateBuffered));
+    return () => events.forEach(type => audio.removeEventListener(type, updateBuffered));
+  }, [audioRef, isCurrent, itemKey]);
+
+  // Transcript, from the given URL, the chapter's or next to the stream, once
+  // this item is the one loaded
+  const resolvedTranscriptUrl = transcriptUrl || chapter?.transcriptUrl || getTranscriptUrl(item.streamUrl);
+  useEffect(() => {
+    setTranscript(null);
+    if (!showTranscript || !isCurrent || !resolvedTranscriptUrl) return;
+    const controller = new AbortController();
+    loadTranscript(resolvedTranscriptUrl, { authToken, signal: controller.signal })
+      .then(cues => { if (!controller.signal.aborted) setTranscript(cues); })
+      .catch((err) => {
+        if (!isAbortError(err)) logger.warn(LOG_CATEGORIES.NETWORK, 'Could not load transcript', { url: resolvedTranscriptUrl, error: err.message });
+      });
+    return () => controller.abort();
+  }, [showTranscript, isCurrent, resolvedTranscriptUrl, authToken]);
+
+  // Track queue state for this progress URL and replay it when back online
+  const progressUpdateUrl = item.progressUpdateUrl;
+  useEffect(() => {
+    const refreshStatus = () => setSyncStatus(getSyncStatus(progressUpdateUrl));
+    const handleOnline = () => {
+      logger.info(LOG_CATEGORIES.PROGRESS, 'Connection restored, replaying queued progress');
+      flushProgressQueue(authToken);
+    };
+
+    refreshStatus();
+    flushProgressQueue(authToken);
+    const unsubscribe = subscribeToProgressQueue(refreshStatus);
+    window.addEventListener('online', handleOnline);
+    return () => {
+      unsubscribe();
+      window.removeEventListener('online', handleOnline);
+    };
+  }, [progressUpdateUrl, authToken]);
+
+  // On mount, check progress for resume
+  const readProgressUrl = item.progressUrl;
+  useEffect(() => {
+    const controller = new AbortController();
+    const checkResume = async () => {
+      if (!readProgressUrl || !authToken) return;
+
+      let serverProgress = null;
+      try {
+        const data = await api.get(readProgressUrl, { authToken, signal: controller.signal });
+        serverProgress = data?.progress || null;
+      } catch (e) {
+        if (isAbortError(e)) return;
+        logger.warn(LOG_CATEGORIES.PROGRESS, 'Could not load server progress', { error: e.message });
+      }
+      if (controller.signal.aborted) return;
+
+      // An update still waiting in the offline queue wins if it is newer
+      const progress = preferNewerProgress(serverProgress, getLatestQueuedProgress(progressUpdateUrl));
+      if (!progress) {
+        setResumeAvailable(false);
+        setIsFinished(false);
+        setCompletionPercentage(0);
+        return;
+      }
+
+      setCompletionPercentage(parseFloat(progress.completion_percentage) || 0);
+      if (
+        typeof progress.position === 'number' &&
+        progress.position > 0 &&
+        parseFloat(progress.completion_percentage) < 100
+      ) {
+        setResumeAvailable(true);
+        setResumePosition(progress.position);
+        resumeSavedAtRef.current = getServerTimestamp(progress);
+      } else {
+        setResumeAvailable(false);
+      }
+      // Check is_finished (can be 1 or true)
+      setIsFinished(progress.is_finished === 1 || progress.is_finished === true);
+    };
+    checkResume();
+    return () => controller.abort();
+  }, [readProgressUrl, progressUpdateUrl, authToken]);
+
+  // Player controls - while another item is loaded they load this one first
+  const play = () => {
+    if (isCurrent) {
+      player.play();
+    } else {
+      player.loadItem(item, { autoPlay: true });
+    }
+  };
+
+  const pause = () => {
+    if (isCurrent) player.pause();
+  };
+
+  const togglePlay = () => {
+    if (isPlaying) {
+      pause();
+    } else {
+      play();
+    }
+  };
+
+  const seek = (newTime) => {
+    if (isCurrent) {
+      player.seek(newTime);
+    } else {
+      // A jump into an item that is not loaded yet is no resume either
+      clearPause(item.key);
+      player.loadItem(item, { startAt: newTime });
+    }
+  };
+
+  // Relative seek, e.g. skip(-10)
+  const skip = (delta) => {
+    if (isCurrent) player.skip(delta);
+  };
+
+  const skipForward = (seconds = SKIP_SECONDS) => {
+    if (isCurrent) player.skip(seconds);
+  };
+
+  const skipBackward = (seconds = SKIP_SECONDS) => {
+    if (isCurrent) player.skip(-seconds);
+  };
+
+  // Back to the start of this section, or to the previous one right after a section starts
+  const previousSection = () => {
+    if (!sections) return;
+    const section = sections[currentSectionIndex];
+    if (section && currentTime - section.start > SECTION_RESTART_SECONDS) {
+      seek(section.start);
+    } else {
+      seek(sections[Math.max(0, currentSectionIndex - 1)].start);
+    }
+  };
+
+  const nextSection = () => {
+    if (sections && currentSectionIndex + 1 < sections.length) {
+      seek(sections[currentSectionIndex + 1].start);
+    }
+  };
+
+  // Step to the next preset speed in either direction
+  const stepPlaybackRate = (direction) => {
+    const index = PLAYBACK_RATES.indexOf(player.playbackRate);
+    const nextIndex = index === -1
+      ? PLAYBACK_RATES.indexOf(1)
+      : Math.min(Math.max(0, index + direction), PLAYBACK_RATES.length - 1);
+    if (PLAYBACK_RATES[nextIndex] !== player.playbackRate) {
+      player.setPlaybackRate(PLAYBACK_RATES[nextIndex]);
+    }
+  };
+
+  // The shared player seeks once the source is ready (or straight away if
+  // this item is already loaded)
+  const resume = () => {
+    setError(null);
+    // A pause recorded on this device wins if it is later
+    if (resumeSavedAtRef.current) recordPause(item.key, resumeSavedAtRef.current);
+    player.loadItem(item, { autoPlay: true, startAt: resumePosition || null });
+  };
+
+  const startOver = () => {
+    setError(null);
+    player.loadItem(item, { autoPlay: true, startAt: 0 });
+  };
+
+  const retrySync = () => retryFailedProgress(authToken);
+
+  // Download and offline errors belong to this item only
+  const reportError = (message) => {
+    setError(message);
+    if (callbacksRef.current.onError) {
+      callbacksRef.current.onError({ message });
+    }
+  };
+
+  // Snapshot for imperative callers - the position is read from the element
+  const getState = () => {
+    const audio = player.audioRef.current;
+    return {
+      key: item.key,
+      bookId: item.bookId,
+      chapterId: item.chapterId,
+      isCurrent,
+      isPlaying,
+      isLoading,
+      currentTime: isCurrent && audio ? audio.currentTime : currentTime,
+      duration,
+      playbackRate: player.playbackRate,
+      volume: player.volume,
+      isMuted: player.isMuted,
+      error
+    };
+  };
+
+  // Save the audio file to the device (authenticated downloads go through a blob)
+  const download = () => {
+    const streamingUrl = item.streamUrl;
+    if (streamingUrl) {
+      const downloadTimer = perfLog.start('Audio download');
+      
+      const chapterTitle = chapter?.title || chapter?.number || CHAPTER_ID;
+      const filename = CHAPTER_ID 
+        ? `chapter_${chapterTitle ? `${chapterTitle}_` : ''}${CHAPTER_ID}_audio.mp3`
+        : `book_${BOOK_ID}_audio.mp3`;
+      
+      logger.info(LOG_CATEGORIES.NETWORK, 'Download initiated', {
+        url: streamingUrl,
+        hasAuth: !!authToken,
+        filename: filename
+      });
+      
+      // Create download link with authentication
+      const link = document.createElement('a');
+      link.href = streamingUrl;
+      link.download = filename;
+      
+      // For authenticated downloads, we need to handle this differently
+      if (authToken) {
+        logger.debug(LOG_CATEGORIES.AUTH, 'Starting authenticated download');
+        const startTime = performance.now();
+
+        // No timeout: a whole book can take a while on a slow connection
+        api.get(streamingUrl, { authToken, responseType: 'blob', timeout: 0 })
+        .then(blob => {
+          logger.info(LOG_CATEGORIES.NETWORK, 'Download completed', {
+            blobSize: Math.round(blob.size / 1024) + 'KB',
+            blobType: blob.type,
+            responseTime: Math.round(performance.now() - startTime) + 'ms'
+          });
+          
+          const url = window.URL.createObjectURL(blob);
+          link.href = url;
+          document.body.appendChild(link);
+          link.click();
+          document.body.removeChild(link);
+          window.URL.revokeObjectURL(url);
+          
+          downloadTimer.end();
+        })
+        .catch(err => {
+          const responseTime = Math.round(performance.now() - startTime);
+          sessionLogger.trackError(err, {
+            operation: 'download',
+            url: streamingUrl,
+            status: err.status,
+            responseTime
+          });
+          
+          logger.error(LOG_CATEGORIES.NETWORK, 'Download failed', {
+            error: {
+              name: err.name,
+              message: err.message
+            },
+            responseTime: responseTime + 'ms'
+          });
+          
+          reportError('Download failed. Please try again.');
+          downloadTimer.end();
+        });
+      } else {
+        logger.info(LOG_CATEGORIES.NETWORK, 'Starting unauthenticated download');
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        downloadTimer.end();
+      }
+    } else {
+      logger.error(LOG_CATEGORIES.NETWORK, 'Download failed - no streaming URL available');
+    }
+  };
+
+  // Save for offline playback, or remove the offline copy if there is one
+  const toggleOffline = async () => {
+    if (offlineItem) {
+      // Already saved - the button removes the offline copy
+      try {
+        await deleteOfflineItem(offlineKey);
+        setOfflineItem(null);
+      } catch (err) {
+        logger.error(LOG_CATEGORIES.NETWORK, 'Failed to remove offline audio', { key: offlineKey, error: err.message });
+        reportError('Could not remove the offline copy.');
+      }
+      return;
+    }
+
+    const streamingUrl = item.streamUrl;
+    const metadata = {
+      key: offlineKey,
+      bookId: BOOK_ID,
+      chapterId: CHAPTER_ID || null,
+      bookTitle,
+      chapterTitle: chapter?.title || null,
+      chapterNumber: chapter?.number || null,
+      title: chapter?.title || bookTitle || (CHAPTER_ID ? `Chapter ${chapter?.number || CHAPTER_ID}` : `Book #${BOOK_ID}`),
+      duration: duration || chapter?.duration || 0,
+      sourceUrl: streamingUrl
+    };
+
+    logger.info(LOG_CATEGORIES.NETWORK, 'Saving audio for offline playback', metadata);
+    setOfflineSaveProgress(0);
+    try {
+      const saved = await downloadForOffline(streamingUrl, {
+        authToken,
+        metadata,
+        onProgress: (received, total) => {
+          setOfflineSaveProgress(total > 0 ? Math.round((received / total) * 100) : 0);
+        }
+      });
+      setOfflineItem(saved);
+      announce('Saved for offline listening');
+    } catch (err) {
+      logger.error(LOG_CATEGORIES.NETWORK, 'Offline save failed', { key: offlineKey, error: err.message });
+      reportError(err.name === 'QuotaExceededError'
+        ? 'Not enough storage space to save this audio offline.'
+        : 'Saving for offline failed. Please try again.');
+    } finally {
+      setOfflineSaveProgress(null);
+    }
+  };
+
+  return {
+    item,
+    chapter,
+    isCurrent,
+    // Playback
+    isPlaying,
+    isLoading,
+    currentTime,
+    duration,
+    volume: player.volume,
+    isMuted: player.isMuted,
+    playbackRate: player.playbackRate,
+    isPlayingOffline,
+    error,
+    // Resume
+    resumeAvailable,
+    resumePosition,
+    completionPercentage,
+    isFinished,
+    // Progress sync
+    syncStatus,
+    // Track details
+    metadata,
+    // Progress bar overview
+    waveform,
+    buffered,
+    transcript,
+    sections,
+    currentSectionIndex,
+    // Offline copy
+    canSaveOffline,
+    offlineItem,
+    offlineSaveProgress,
+    // Actions
+    play,
+    pause,
+    togglePlay,
+    seek,
+    skip,
+    skipForward,
+    skipBackward,
+    previousSection,
+    nextSection,
+    setVolume: player.setVolume,
+    toggleMute: player.toggleMute,
+    setPlaybackRate: player.setPlaybackRate,
+    stepPlaybackRate,
+    resume,
+    startOver,
+    retrySync,
+    download,
+    toggleOffline,
+    setError,
+    getState
+  };
+};
@@ -0,0 +1,248 @@
+/**
+ * Generated mock audio
+ * Each track is a 16-bit mono WAV computed on the fly: a different tone
+ * every 10 seconds with a short silence between them, so seeking and
+ * skipping are easy to hear. Bytes are only generated for the range that is
+ * requested, which makes Range requests as cheap as the real backend's.
+ * Waveform peaks, a transcript and a sections sidecar of the same audio are
+ * generated here too.
+ */
+
+const SAMPLE_RATE = 16000;
+const BYTES_PER_SAMPLE = 2;
+const HEADER_SIZE = 44;
+const SEGMENT_SECONDS = 10;
+const SILENCE_SECONDS = 1.5;
+const FADE_SECONDS = 0.02;
+const CHUNK_SAMPLES = SAMPLE_RATE; // one second per write
+const PEAKS_SAMPLES_PER_PIXEL = SAMPLE_RATE / 4; // four peaks per second
+const PEAKS_STRIDE = 16; // samples read per pixel window, every 16th is plenty
+// Pentatonic scale so neighbouring segments sound distinct but not harsh
+const FREQUENCIES = [220, 247.5, 275, 330, 367];
+
+const createHeader = (dataSize) => {
+  const header = Buffer.alloc(HEADER_SIZE);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + dataSize, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16); // fmt chunk size
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(1, 22); // mono
+  header.writeUInt32LE(SAMPLE_RATE, 24);
+  header.writeUInt32LE(SAMPLE_RATE * BYTES_PER_SAMPLE, 28);
+  header.writeUInt16LE(BYTES_PER_SAMPLE, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(dataSize, 40);
+  return header;
+};
+
+const sampleAt = (index, seed) => {
+  const time = index / SAMPLE_RATE;
+  const segment = Math.floor(time / SEGMENT_SECONDS);
+  const offset = time - segment * SEGMENT_SECONDS;
+  const toneLength = SEGMENT_SECONDS - SILENCE_SECONDS;
+  if (offset >= toneLength) return 0;
+
+  const frequency = FREQUENCIES[(segment + seed) % FREQUENCIES.length];
+  const fade = Math.min(1, offset / FADE_SECONDS, (toneLength - offset) / FADE_SECONDS);
+  const value = Math.sin(2 * Math.PI * frequency * time) * 0.7 + Math.sin(4 * Math.PI * frequency * time) * 0.3;
+  return Math.round(value * fade * 0.25 * 32767);
+};
+
+// Tracks start on different tones
+const getSeed = (track) => track.key.length + Number(track.key.replace(/\D/g, '') || 0);
+
+/**
+ * Bytes [start, end] of the WAV file (end inclusive)
+ */
+const renderRange = (start, end, totalSamples, seed) => {
+  const output = Buffer.alloc(end - start + 1);
+  const header = createHeader(totalSamples * BYTES_PER_SAMPLE);
+  if (start < HEADER_SIZE) {
+    header.copy(output, 0, start, Math.min(HEADER_SIZE, end + 1));
+  }
+
+  const dataStart = Math.max(start, HEADER_SIZE) - HEADER_SIZE;
+  const dataEnd = end - HEADER_SIZE;
+  if (dataEnd < dataStart) return output;
+
+  const firstSample = Math.floor(dataStart / BYTES_PER_SAMPLE);
+  const lastSample = Math.floor(dataEnd / BYTES_PER_SAMPLE);
+  const pcm = Buffer.alloc((lastSample - firstSample + 1) * BYTES_PER_SAMPLE);
+  for (let index = firstSample; index <= lastSample; index++) {
+    pcm.writeInt16LE(sampleAt(index, seed), (index - firstSample) * BYTES_PER_SAMPLE);
+  }
+
+  const pcmOffset = dataStart - firstSample * BYTES_PER_SAMPLE;
+  pcm.copy(output, Math.max(start, HEADER_SIZE) - start, pcmOffset, pcmOffset + dataEnd - dataStart + 1);
+  return output;
+};
+
+// { start, end } for a single "bytes=" range, 'unsatisfiable', or null to send everything
+const parseRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+  if (!match || (!match[1] && !match[2])) return null;
+
+  let start;
+  let end;
+  if (!match[1]) {
+    // Suffix range: the last N bytes
+    start = Math.max(0, size - parseInt(match[2], 10));
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] ? Math.min(parseInt(match[2], 10), size - 1) : size - 1;
+  }
+  return start > end || start >= size ? 'unsatisfiable' : { start, end };
+};
+
+// Resolves on 'close' too, so a listener that went away never leaves this waiting
+const waitForDrain = (res) => new Promise((resolve) => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.once('drain', done);
+  res.once('close', done);
+});
+
+/**
+ * Send a generated track, honouring Range, If-Range and If-None-Match.
+ * track is { key, duration } from the catalogue.
+ */
+export const sendGeneratedAudio = async (req, res, track) => {
+  const totalSamples = Math.round(track.duration * SAMPLE_RATE);
+  const size = HEADER_SIZE + totalSamples * BYTES_PER_SAMPLE;
+  const seed = getSeed(track);
+  const etag = `"mock-${track.key.replace(':', '-')}-${size}"`;
+
+  res.setHeader('Content-Type', 'audio/wav');
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('ETag', etag);
+  res.setHeader('Cache-Control', 'private, no-cache');
+
+  if (req.headers['if-none-match'] === etag) {
+    res.status(304).end();
+    return;
+  }
+
+  // If-Range with a stale validator means "send the whole file"
+  const ifRange = req.headers['if-range'];
+  const range = !ifRange || ifRange === etag ? parseRange(req.headers.range, size) : null;
+  if (range === 'unsatisfiable') {
+    res.setHeader('Content-Range', `bytes */${size}`);
+    res.status(416).end();
+    return;
+  }
+
+  const start = range ? range.start : 0;
+  const end = range ? range.end : size - 1;
+  res.setHeader('Content-Length', end - start + 1);
+  if (range) res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+  res.status(range ? 206 : 200);
+
+  if (req.method === 'HEAD') {
+    res.end();
+    return;
+  }
+
+  // Seeking aborts the request; stop generating as soon as the socket goes away
+  let closed = false;
+  res.on('close', () => { closed = true; });
+
+  const chunkBytes = CHUNK_SAMPLES * BYTES_PER_SAMPLE;
+  for (let position = start; position <= end && !closed; position += chunkBytes) {
+    const chunk = renderRange(position, Math.min(end, position + chunkBytes - 1), totalSamples, seed);
+    if (!res.write(chunk)) await waitForDrain(res);
+  }
+  res.end();
+};
+
+/**
+ * Waveform peaks of a generated track in audiowaveform's JSON format
+ * (8-bit min/max pairs)
+ */
+export const getGeneratedPeaks = (track) => {
+  const totalSamples = Math.round(track.duration * SAMPLE_RATE);
+  const seed = getSeed(track);
+  const data = [];
+  for (let start = 0; start < totalSamples; start += PEAKS_SAMPLES_PER_PIXEL) {
+    const end = Math.min(totalSamples, start + PEAKS_SAMPLES_PER_PIXEL);
+    let min = 0;
+    let max = 0;
+    for (let index = start; index < end; index += PEAKS_STRIDE) {
+      const value = sampleAt(index, seed);
+      if (value < min) min = value;
+      if (value > max) max = value;
+    }
+    data.push(Math.round((min / 32768) * 128), Math.round((max / 32768) * 128));
+  }
+
+  return {
+    version: 2,
+    channels: 1,
+    sample_rate: SAMPLE_RATE,
+    samples_per_pixel: PEAKS_SAMPLES_PER_PIXEL,
+    bits: 8,
+    length: data.length / 2,
+    data
+  };
+};
+
+const formatVttTime = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const rest = (seconds % 60).toFixed(3).padStart(6, '0');
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${rest}`;
+};
+
+// One line per tone, e.g. "Tone 3 of 15 plays at 275 hertz."
+const getToneLines = (track) => {
+  const seed = getSeed(track);
+  const count = Math.ceil(track.duration / SEGMENT_SECONDS);
+  return Array.from({ length: count }, (_, segment) => ({
+    start: segment * SEGMENT_SECONDS,
+    end: Math.min(track.duration, segment * SEGMENT_SECONDS + SEGMENT_SECONDS - SILENCE_SECONDS),
+    text: `Tone ${segment + 1} of ${count} plays at ${FREQUENCIES[(segment + seed) % FREQUENCIES.length]} hertz.`
+  }));
+};
+
+/**
+ * Transcript of a generated track: WebVTT, or JSON with word timings
+ * ({ segments: [{ start, end, text, words }] }) when json is set
+ */
+export const getGeneratedTranscript = (track, { json = false } = {}) => {
+  const lines = getToneLines(track);
+  if (json) {
+    return {
+      segments: lines.map((line) => {
+        const words = line.text.split(' ');
+        const wordLength = (line.end - line.start) / words.length;
+        return {
+          ...line,
+          words: words.map((word, index) => ({
+            start: line.start + index * wordLength,
+            end: line.start + (index + 1) * wordLength,
+            word
+          }))
+        };
+      })
+    };
+  }
+  const cues = lines.map(line => `${formatVttTime(line.start)} --> ${formatVttTime(line.end)}\n<v Narrator>${line.text}`);
+  return `WEBVTT\n\n${cues.join('\n\n')}\n`;
+};
+
+/**
+ * Sections sidecar of a generated track: one section per tone
+ */
+export const getGeneratedSections = (track) => ({
+  sections: getToneLines(track).map((line, index) => ({
+    title: `Tone ${index + 1}`,
+    start: line.start,
+    end: Math.min(track.duration, line.start + SEGMENT_SECONDS)
+  }))
+});
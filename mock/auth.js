@@ -0,0 +1,81 @@
+/**
+ * Mock authentication
+ * Issues short-lived HS256 JWTs and longer-lived refresh tokens so the
+ * client's renewal flow can be exercised. Any email and password are
+ * accepted; the email becomes the user id.
+ */
+
+import crypto from 'crypto';
+
+const SECRET = process.env.MOCK_API_SECRET || 'mock-api-development-secret';
+const ACCESS_TOKEN_TTL = parseInt(process.env.MOCK_API_TOKEN_TTL, 10) || 15 * 60; // seconds
+const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60;
+
+const base64url = (value) => Buffer.from(value).toString('base64')
+  .replace(/=+$/, '')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_');
+
+const sign = (data) => base64url(crypto.createHmac('sha256', SECRET).update(data).digest());
+
+const createToken = (claims, ttl) => {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({ ...claims, iat: now, exp: now + ttl }));
+  return `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+};
+
+// Claims of a valid, unexpired token of the given type, otherwise null
+const verifyToken = (token, type) => {
+  const [header, payload, signature] = String(token || '').split('.');
+  if (!header || !payload || !signature) return null;
+
+  const expected = sign(`${header}.${payload}`);
+  if (signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64').toString('utf8'));
+    if (claims.type !== type || claims.exp * 1000 <= Date.now()) return null;
+    return claims;
+  } catch (err) {
+    return null;
+  }
+};
+
+const toUser = (email) => ({
+  id: email,
+  email,
+  name: email.split('@')[0]
+});
+
+/**
+ * Tokens and user for a login or refresh response
+ */
+export const createSession = (email) => ({
+  token: createToken({ sub: email, type: 'access' }, ACCESS_TOKEN_TTL),
+  refresh_token: createToken({ sub: email, type: 'refresh' }, REFRESH_TOKEN_TTL),
+  expires_in: ACCESS_TOKEN_TTL,
+  user: toUser(email)
+});
+
+export const verifyRefreshToken = (token) => {
+  const claims = verifyToken(token, 'refresh');
+  return claims ? claims.sub : null;
+};
+
+/**
+ * User for the request's Bearer token. Sends a 401 and returns null when the
+ * token is missing, invalid or expired.
+ */
+export const requireUser = (req, res) => {
+  const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+  const claims = match ? verifyToken(match[1], 'access') : null;
+  if (!claims) {
+    res.status(401).json({ message: 'Invalid or expired token' });
+    return null;
+  }
+  return toUser(claims.sub);
+};
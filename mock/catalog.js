@@ -0,0 +1,76 @@
+/**
+ * Mock catalogue
+ * Books and chapters served by the mock API. Chapter ids are unique across
+ * books, as they are on the real backend. Durations are in seconds and are
+ * also the length of the generated audio.
+ */
+
+const BOOKS = [
+  {
+    book_id: 1,
+    title: 'Sample Book',
+    author: 'Ada Example',
+    description: 'A short book for trying out the player without the backend.',
+    intro_duration: 45,
+    chapters: [
+      { chapter_id: 101, chapter_number: 1, title: 'Getting Started', duration: 150 },
+      { chapter_id: 102, chapter_number: 2, title: 'Finding Your Place', duration: 210 },
+      { chapter_id: 103, chapter_number: 3, title: 'Changing Speed', duration: 180 },
+      { chapter_id: 104, chapter_number: 4, title: 'The End', duration: 120 }
+    ]
+  },
+  {
+    book_id: 2,
+    title: 'Quiet Tones',
+    author: 'Bea Placeholder',
+    description: 'Three chapters of generated tones for testing chapter navigation.',
+    intro_duration: 30,
+    chapters: [
+      { chapter_id: 201, chapter_number: 1, title: 'Low', duration: 240 },
+      { chapter_id: 202, chapter_number: 2, title: 'Middle', duration: 240 },
+      { chapter_id: 203, chapter_number: 3, title: 'High', duration: 240 }
+    ]
+  }
+];
+
+const withEndpoints = (chapter) => ({
+  ...chapter,
+  api_endpoints: {
+    stream_chapter: `/audioStreaming/chapters/${chapter.chapter_id}/audio`,
+    get_progress: `/audioStreaming/chapters/${chapter.chapter_id}/progress`,
+    update_progress: `/audioStreaming/chapters/${chapter.chapter_id}/progress`,
+    transcript: `/audioStreaming/chapters/${chapter.chapter_id}/transcript`
+  }
+});
+
+// Books in the shape GET /booksManagement/books returns
+export const listBooks = () => BOOKS.map(({ intro_duration, chapters, ...book }) => ({
+  ...book,
+  total_chapters: chapters.length,
+  chapters: chapters.map(withEndpoints)
+}));
+
+export const findBook = (bookId) => BOOKS.find(book => String(book.book_id) === String(bookId)) || null;
+
+export const listChapters = (bookId) => {
+  const book = findBook(bookId);
+  return book ? book.chapters.map(withEndpoints) : null;
+};
+
+/**
+ * The playable item behind /audioStreaming/{kind}/{id}: kind is 'bookintro'
+ * (id is a book id) or 'chapters'. Returns { key, title, duration } or null.
+ */
+export const findTrack = (kind, id) => {
+  if (kind === 'bookintro') {
+    const book = findBook(id);
+    return book ? { key: `bookintro:${book.book_id}`, title: book.title, duration: book.intro_duration } : null;
+  }
+  if (kind === 'chapters') {
+    for (const book of BOOKS) {
+      const chapter = book.chapters.find(item => String(item.chapter_id) === String(id));
+      if (chapter) return { key: `chapter:${chapter.chapter_id}`, title: chapter.title, duration: chapter.duration };
+    }
+  }
+  return null;
+};
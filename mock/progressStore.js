@@ -0,0 +1,72 @@
+/**
+ * Mock progress store
+ * Listening progress per user and track, kept in a JSON file so it survives
+ * dev-server restarts. MOCK_API_DATA_DIR moves the file (default .mock-data/).
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const DATA_DIR = process.env.MOCK_API_DATA_DIR || path.join(process.cwd(), '.mock-data');
+const PROGRESS_FILE = path.join(DATA_DIR, 'progress.json');
+
+// Writes are chained so concurrent updates never interleave
+let writeChain = Promise.resolve();
+
+const readAll = async () => {
+  try {
+    return JSON.parse(await fs.readFile(PROGRESS_FILE, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn('Mock progress file unreadable, starting fresh:', err.message);
+    return {};
+  }
+};
+
+const writeAll = async (data) => {
+  await fs.mkdir(DATA_DIR, { recursive: true });
+  // Write then rename so a crash never leaves half a file
+  const tempFile = `${PROGRESS_FILE}.tmp`;
+  await fs.writeFile(tempFile, JSON.stringify(data, null, 2));
+  await fs.rename(tempFile, PROGRESS_FILE);
+};
+
+const storeKey = (userId, trackKey) => `${userId}|${trackKey}`;
+
+export const getProgress = async (userId, trackKey) => {
+  const data = await readAll();
+  return data[storeKey(userId, trackKey)] || null;
+};
+
+/**
+ * Save an update ({ position, duration, playback_speed, status,
+ * client_timestamp }) for a track of the given length and return the stored
+ * progress in the shape GET .../progress returns.
+ */
+export const saveProgress = (userId, trackKey, update, trackDuration) => {
+  const result = writeChain.then(async () => {
+    const data = await readAll();
+    const position = Math.max(0, Number(update.position) || 0);
+    const duration = Number(update.duration) || trackDuration || 0;
+    const completion = duration > 0 ? Math.min(100, (position / duration) * 100) : 0;
+    const isFinished = update.status === 'completed' || completion >= 99;
+
+    const progress = {
+      position,
+      duration,
+      playback_speed: Number(update.playback_speed) || 1,
+      status: update.status || 'playing',
+      completion_percentage: isFinished ? 100 : Math.round(completion * 10) / 10,
+      is_finished: isFinished,
+      client_timestamp: update.client_timestamp || null,
+      updated_at: new Date().toISOString()
+    };
+
+    data[storeKey(userId, trackKey)] = progress;
+    await writeAll(data);
+    return progress;
+  });
+
+  // A failed write must not block the ones after it
+  writeChain = result.catch(() => {});
+  return result;
+};
@@ -0,0 +1,37 @@
+/**
+ * Mock API route wrapper
+ * Every handler under pages/api goes through mockRoute, which keeps the
+ * routes switched off unless NEXT_PUBLIC_USE_MOCK_API=true, answers
+ * unsupported methods with 405 and turns thrown errors into JSON 500s.
+ */
+
+import { config } from '../utils/config';
+
+/**
+ * handlers maps HTTP methods to (req, res) => void | Promise
+ */
+export const mockRoute = (handlers) => async (req, res) => {
+  if (!config.useMockApi) {
+    res.status(404).json({ message: 'Mock API is disabled. Set NEXT_PUBLIC_USE_MOCK_API=true to enable it.' });
+    return;
+  }
+
+  // HEAD is answered by the GET handler (the audio route skips the body)
+  const handler = handlers[req.method] || (req.method === 'HEAD' ? handlers.GET : null);
+  if (!handler) {
+    res.setHeader('Allow', Object.keys(handlers).join(', '));
+    res.status(405).json({ message: `Method ${req.method} not allowed` });
+    return;
+  }
+
+  try {
+    await handler(req, res);
+  } catch (err) {
+    console.error(`Mock API ${req.method} ${req.url} failed:`, err);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Mock API error', error: err.message });
+    } else {
+      res.end();
+    }
+  }
+};
@@ -10,29 +10,9 @@ const nextConfig = {
     // Enable if you need server components
     // appDir: true,
   },
-  // Configure headers for CORS if needed
-  async headers() {
-    return [
-      {
-        // Apply headers to audio files
-        source: '/api/:path*',
-        headers: [
-          {
-            key: 'Access-Control-Allow-Origin',
-            value: '*',
-          },
-          {
-            key: 'Access-Control-Allow-Methods',
-            value: 'GET, POST, PUT, DELETE, OPTIONS',
-          },
-          {
-            key: 'Access-Control-Allow-Headers',
-            value: 'Content-Type, Authorization',
-          },
-        ],
-      },
-    ];
-  },
+  // No CORS headers for /api: the browser only calls it from this origin, and
+  // the session cookie must not be usable from other sites
+
   // Image domains if you plan to show album artwork
   images: {
     domains: [
@@ -0,0 +1,14 @@
+import React from 'react';
+import { PlayerProvider } from '../contexts/PlayerContext';
+import MiniPlayer from '../components/MiniPlayer';
+
+// The player lives here rather than in a page so playback keeps going while
+// the listener moves between pages
+export default function AudioPlayerApp({ Component, pageProps }) {
+  return (
+    <PlayerProvider>
+      <Component {...pageProps} />
+      <MiniPlayer />
+    </PlayerProvider>
+  );
+}
@@ -0,0 +1,23 @@
+import { mockRoute } from '../../../../../mock/route';
+import { requireUser } from '../../../../../mock/auth';
+import { findTrack } from '../../../../../mock/catalog';
+import { sendGeneratedAudio } from '../../../../../mock/audio';
+
+// Tracks are streamed in chunks; whole-file responses are larger than Next's 4MB warning limit
+export const config = {
+  api: { responseLimit: false }
+};
+
+// GET /audioStreaming/{bookintro|chapters}/{id}/audio
+export default mockRoute({
+  GET: async (req, res) => {
+    if (!requireUser(req, res)) return;
+
+    const track = findTrack(req.query.kind, req.query.id);
+    if (!track) {
+      res.status(404).json({ message: 'Audio not found' });
+      return;
+    }
+    await sendGeneratedAudio(req, res, track);
+  }
+});
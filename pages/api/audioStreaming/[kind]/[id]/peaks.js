@@ -0,0 +1,19 @@
+import { mockRoute } from '../../../../../mock/route';
+import { requireUser } from '../../../../../mock/auth';
+import { findTrack } from '../../../../../mock/catalog';
+import { getGeneratedPeaks } from '../../../../../mock/audio';
+
+// GET /audioStreaming/{bookintro|chapters}/{id}/peaks - waveform of the generated audio
+export default mockRoute({
+  GET: (req, res) => {
+    if (!requireUser(req, res)) return;
+
+    const track = findTrack(req.query.kind, req.query.id);
+    if (!track) {
+      res.status(404).json({ message: 'Peaks not found' });
+      return;
+    }
+    res.setHeader('Cache-Control', 'private, max-age=86400');
+    res.status(200).json(getGeneratedPeaks(track));
+  }
+});
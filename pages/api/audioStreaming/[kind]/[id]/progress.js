@@ -0,0 +1,33 @@
+import { mockRoute } from '../../../../../mock/route';
+import { requireUser } from '../../../../../mock/auth';
+import { findTrack } from '../../../../../mock/catalog';
+import { getProgress, saveProgress } from '../../../../../mock/progressStore';
+
+const findTrackOr404 = (req, res) => {
+  const track = findTrack(req.query.kind, req.query.id);
+  if (!track) res.status(404).json({ message: 'Not found' });
+  return track;
+};
+
+// GET/POST /audioStreaming/{bookintro|chapters}/{id}/progress
+export default mockRoute({
+  GET: async (req, res) => {
+    const user = requireUser(req, res);
+    const track = user && findTrackOr404(req, res);
+    if (!track) return;
+    res.status(200).json({ progress: await getProgress(user.id, track.key) });
+  },
+
+  POST: async (req, res) => {
+    const user = requireUser(req, res);
+    const track = user && findTrackOr404(req, res);
+    if (!track) return;
+
+    if (typeof req.body?.position !== 'number') {
+      res.status(400).json({ message: 'position must be a number' });
+      return;
+    }
+    const progress = await saveProgress(user.id, track.key, req.body, track.duration);
+    res.status(200).json({ success: true, progress });
+  }
+});
@@ -0,0 +1,20 @@
+import { mockRoute } from '../../../../../mock/route';
+import { requireUser } from '../../../../../mock/auth';
+import { findTrack } from '../../../../../mock/catalog';
+import { getGeneratedSections } from '../../../../../mock/audio';
+
+// GET /audioStreaming/bookintro/{bookId}/sections - sections within the intro
+// (chapters have none and answer 404)
+export default mockRoute({
+  GET: (req, res) => {
+    if (!requireUser(req, res)) return;
+
+    const track = req.query.kind === 'bookintro' ? findTrack(req.query.kind, req.query.id) : null;
+    if (!track) {
+      res.status(404).json({ message: 'Sections not found' });
+      return;
+    }
+    res.setHeader('Cache-Control', 'private, max-age=86400');
+    res.status(200).json(getGeneratedSections(track));
+  }
+});
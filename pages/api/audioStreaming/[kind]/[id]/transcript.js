@@ -0,0 +1,25 @@
+import { mockRoute } from '../../../../../mock/route';
+import { requireUser } from '../../../../../mock/auth';
+import { findTrack } from '../../../../../mock/catalog';
+import { getGeneratedTranscript } from '../../../../../mock/audio';
+
+// GET /audioStreaming/{bookintro|chapters}/{id}/transcript - WebVTT for book
+// intros and JSON with word timings for chapters, so both formats get used
+export default mockRoute({
+  GET: (req, res) => {
+    if (!requireUser(req, res)) return;
+
+    const track = findTrack(req.query.kind, req.query.id);
+    if (!track) {
+      res.status(404).json({ message: 'Transcript not found' });
+      return;
+    }
+    res.setHeader('Cache-Control', 'private, max-age=86400');
+    if (req.query.kind === 'chapters') {
+      res.status(200).json(getGeneratedTranscript(track, { json: true }));
+      return;
+    }
+    res.setHeader('Content-Type', 'text/vtt; charset=utf-8');
+    res.status(200).send(getGeneratedTranscript(track));
+  }
+});
@@ -0,0 +1,24 @@
+import { mockRoute } from '../../../../../mock/route';
+import { requireUser } from '../../../../../mock/auth';
+import { listChapters } from '../../../../../mock/catalog';
+
+// GET /booksManagement/books/{bookId}/chapters?page=N&limit=M
+export default mockRoute({
+  GET: (req, res) => {
+    if (!requireUser(req, res)) return;
+
+    const chapters = listChapters(req.query.bookId);
+    if (!chapters) {
+      res.status(404).json({ message: 'Book not found' });
+      return;
+    }
+
+    const limit = Math.max(1, parseInt(req.query.limit, 10) || 100);
+    const totalPages = Math.max(1, Math.ceil(chapters.length / limit));
+    const page = Math.min(totalPages, Math.max(1, parseInt(req.query.page, 10) || 1));
+    res.status(200).json({
+      chapters: chapters.slice((page - 1) * limit, page * limit),
+      pagination: { page, total_pages: totalPages, has_next: page < totalPages }
+    });
+  }
+});
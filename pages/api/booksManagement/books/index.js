@@ -0,0 +1,11 @@
+import { mockRoute } from '../../../../mock/route';
+import { requireUser } from '../../../../mock/auth';
+import { listBooks } from '../../../../mock/catalog';
+
+// GET /booksManagement/books
+export default mockRoute({
+  GET: (req, res) => {
+    if (!requireUser(req, res)) return;
+    res.status(200).json({ books: listBooks() });
+  }
+});
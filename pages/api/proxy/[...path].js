@@ -0,0 +1,90 @@
+import { Readable } from 'stream';
+import { bffRoute } from '../../../bff/route';
+import { authorizedFetch } from '../../../bff/session';
+
+// Bodies are forwarded untouched and audio responses can be any size
+export const config = {
+  api: { bodyParser: false, responseLimit: false }
+};
+
+// Only the backend's book, progress and streaming APIs are reachable this way
+const ALLOWED_PATHS = [/^\/booksManagement\//, /^\/audioStreaming\//, /^\/user\/me$/];
+
+// Range and conditional headers go through so <audio> can seek and revalidate
+const REQUEST_HEADERS = [
+  'accept', 'content-type',
+  'range', 'if-range', 'if-match', 'if-none-match', 'if-modified-since', 'if-unmodified-since'
+];
+const RESPONSE_HEADERS = [
+  'content-type', 'content-length', 'content-range', 'accept-ranges', 'content-disposition',
+  'etag', 'last-modified', 'cache-control', 'expires', 'retry-after'
+];
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => resolve(Buffer.concat(chunks)));
+  req.on('error', reject);
+});
+
+const proxy = async (req, res) => {
+  // Resolve ../ and encoded dots before checking where the request is going
+  const target = new URL(req.url.replace(/^\/api\/proxy/, ''), 'http://proxy.invalid');
+  if (!ALLOWED_PATHS.some(pattern => pattern.test(target.pathname))) {
+    res.status(404).json({ message: 'Not found' });
+    return;
+  }
+
+  // identity keeps Content-Length and Content-Range valid for the bytes we pass on
+  const headers = { 'Accept-Encoding': 'identity' };
+  REQUEST_HEADERS.forEach((name) => {
+    if (req.headers[name]) headers[name] = req.headers[name];
+  });
+  const body = req.method === 'GET' || req.method === 'HEAD' ? undefined : await readBody(req);
+
+  // Seeking aborts the element's request; stop the backend transfer with it
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  let response;
+  try {
+    response = await authorizedFetch(req, res, `${target.pathname}${target.search}`, {
+      method: req.method,
+      headers,
+      body,
+      signal: controller.signal
+    });
+  } catch (err) {
+    if (err.name === 'AbortError') return;
+    throw err;
+  }
+
+  if (!response) {
+    res.status(401).json({ message: 'Not signed in' });
+    return;
+  }
+
+  res.status(response.status);
+  RESPONSE_HEADERS.forEach((name) => {
+    const value = response.headers.get(name);
+    if (value) res.setHeader(name, value);
+  });
+  // Responses differ per signed-in user
+  res.setHeader('Vary', 'Cookie');
+
+  if (!response.body || req.method === 'HEAD' || response.status === 204 || response.status === 304) {
+    res.end();
+    return;
+  }
+  Readable.fromWeb(response.body)
+    .on('error', () => res.end())
+    .pipe(res);
+};
+
+// /api/proxy/{backend path} - forwards to the backend with the session's Bearer token
+export default bffRoute({
+  GET: proxy,
+  POST: proxy,
+  PUT: proxy,
+  DELETE: proxy
+});
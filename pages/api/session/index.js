@@ -0,0 +1,21 @@
+import { bffRoute } from '../../../bff/route';
+import { authorizedFetch, clearSession, getSessionExpiry } from '../../../bff/session';
+
+// GET /api/session - the signed-in user, renewing the token if it has expired
+export default bffRoute({
+  GET: async (req, res) => {
+    const response = await authorizedFetch(req, res, '/user/me', { headers: { 'Accept': 'application/json' } });
+    if (!response || response.status === 401) {
+      clearSession(req, res);
+      res.status(401).json({ message: 'Not signed in' });
+      return;
+    }
+    if (!response.ok) {
+      res.status(response.status >= 500 ? 502 : response.status).json({ message: `Session check failed: ${response.status}` });
+      return;
+    }
+
+    const user = await response.json();
+    res.status(200).json({ user, expires_at: getSessionExpiry(req) });
+  }
+});
@@ -0,0 +1,27 @@
+import { bffRoute } from '../../../bff/route';
+import { backendFetch, writeSession } from '../../../bff/session';
+
+// POST /api/session/login - signs in with the backend and keeps the tokens in
+// httpOnly cookies. The browser only gets the user and the token's expiry.
+export default bffRoute({
+  POST: async (req, res) => {
+    const response = await backendFetch(req, '/user/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+      body: JSON.stringify({ email: req.body?.email, password: req.body?.password })
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      res.status(response.status).json({ message: data.message || `Login failed: ${response.status}` });
+      return;
+    }
+    if (!data.token) {
+      res.status(502).json({ message: 'No token received from server' });
+      return;
+    }
+
+    const expiresAt = writeSession(req, res, data);
+    res.status(200).json({ user: data.user || { email: req.body?.email }, expires_at: expiresAt });
+  }
+});
@@ -0,0 +1,10 @@
+import { bffRoute } from '../../../bff/route';
+import { clearSession } from '../../../bff/session';
+
+// POST /api/session/logout - drops the session cookies
+export default bffRoute({
+  POST: (req, res) => {
+    clearSession(req, res);
+    res.status(204).end();
+  }
+});
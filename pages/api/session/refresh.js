@@ -0,0 +1,13 @@
+import { bffRoute } from '../../../bff/route';
+import { getSessionExpiry, refreshSession } from '../../../bff/session';
+
+// POST /api/session/refresh - renews the access token with the refresh cookie
+export default bffRoute({
+  POST: async (req, res) => {
+    if (!(await refreshSession(req, res))) {
+      res.status(401).json({ message: 'Session expired' });
+      return;
+    }
+    res.status(200).json({ expires_at: getSessionExpiry(req) });
+  }
+});
@@ -0,0 +1,14 @@
+import { mockRoute } from '../../../mock/route';
+import { createSession } from '../../../mock/auth';
+
+// POST /user/login - any email and password sign in
+export default mockRoute({
+  POST: (req, res) => {
+    const { email, password } = req.body || {};
+    if (!email || !password) {
+      res.status(400).json({ message: 'Email and password are required' });
+      return;
+    }
+    res.status(200).json(createSession(String(email).trim().toLowerCase()));
+  }
+});
@@ -0,0 +1,10 @@
+import { mockRoute } from '../../../mock/route';
+import { requireUser } from '../../../mock/auth';
+
+// GET /user/me
+export default mockRoute({
+  GET: (req, res) => {
+    const user = requireUser(req, res);
+    if (user) res.status(200).json(user);
+  }
+});
@@ -0,0 +1,14 @@
+import { mockRoute } from '../../../mock/route';
+import { createSession, verifyRefreshToken } from '../../../mock/auth';
+
+// POST /user/refresh - exchanges a refresh token for a new token pair
+export default mockRoute({
+  POST: (req, res) => {
+    const email = verifyRefreshToken(req.body?.refresh_token);
+    if (!email) {
+      res.status(401).json({ message: 'Invalid or expired refresh token' });
+      return;
+    }
+    res.status(200).json(createSession(email));
+  }
+});
@@ -4,53 +4,40 @@ import Login from '../components/Login';
 import ChapterPlayer from '../components/ChapterPlayer';
 import AudioPlayer from '../AudioPlayer';
 import { BookOpen, User, LogOut, Play, Pause } from 'lucide-react';
+import { fetchBookChapters } from '../utils/chapters';
+import { config } from '../utils/config';
 
-const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:10000';
-
-// Sample chapters data - in a real app, this would come from your API
-const SAMPLE_CHAPTERS = [
-  {
-    id: 1,
-    number: 1,
-    title: "Introduction to the Story",
-    description: "Setting the scene and introducing main characters",
-    duration: 1200, // 20 minutes
-  },
-  {
-    id: 2,
-    number: 2,
-    title: "The Journey Begins",
-    description: "Our protagonist starts their adventure",
-    duration: 1800, // 30 minutes
-  },
-  {
-    id: 3,
-    number: 3,
-    title: "First Challenges",
-    description: "Obstacles arise and conflicts emerge",
-    duration: 1500, // 25 minutes
-  },
-  {
-    id: 4,
-    number: 4,
-    title: "Meeting New Allies",
-    description: "Important characters are introduced",
-    duration: 2100, // 35 minutes
-  },
-  {
-    id: 5,
-    number: 5,
-    title: "The Plot Thickens",
-    description: "Mysteries deepen and tension rises",
-    duration: 1650, // 27 minutes
-  },
-];
+const API_BASE_URL = config.apiBaseUrl;
 
 const ChapterDemoContent = () => {
   const { authToken, user, isLoading, logout, isAuthenticated } = useAuth();
   const [selectedBook, setSelectedBook] = useState({ id: 1, title: "Sample Book" });
   const [playerMode, setPlayerMode] = useState('chapter'); // 'chapter' or 'individual'
   const [selectedChapterId, setSelectedChapterId] = useState(null);
+  const [chapters, setChapters] = useState([]);
+  const [loadingChapters, setLoadingChapters] = useState(false);
+  const [chaptersError, setChaptersError] = useState(null);
+
+  // Load the demo book's chapters from the backend
+  useEffect(() => {
+    if (!authToken) return;
+    const controller = new AbortController();
+    setLoadingChapters(true);
+    setChaptersError(null);
+    fetchBookChapters(selectedBook, { apiBaseUrl: API_BASE_URL, authToken, signal: controller.signal })
+      .then(setChapters)
+      .catch(error => {
+        if (error.name === 'AbortError') return;
+        setChaptersError(error.message);
+        setChapters([]);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoadingChapters(false);
+      });
+    return () => controller.abort();
+  }, [authToken, selectedBook]);
+
+  const selectedChapter = chapters.find(c => c.id === selectedChapterId) || null;
 
   const handleProgressUpdate = (position, status, playbackRate, chapter) => {
     console.log('Chapter Progress Update:', {
@@ -153,13 +140,29 @@ const ChapterDemoContent = () => {
           </div>
         </div>
 
+        {loadingChapters && (
+          <div className="mb-8 bg-white rounded-lg shadow-sm border p-6 text-center">
+            <div className="flex items-center justify-center space-x-2 text-gray-600">
+              <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-blue-600"></div>
+              <span>Loading chapters...</span>
+            </div>
+          </div>
+        )}
+
+        {chaptersError && (
+          <div className="mb-8 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
+            Error loading chapters: {chaptersError}
+          </div>
+        )}
+
         {/* Chapter Player Mode */}
         {playerMode === 'chapter' && (
           <div className="mb-8">
             <ChapterPlayer
               authToken={authToken}
               bookId={selectedBook.id}
-              chapters={SAMPLE_CHAPTERS}
+              bookTitle={selectedBook.title}
+              chapters={chapters}
               onProgressUpdate={handleProgressUpdate}
               autoPlay={false}
               className="shadow-lg"
@@ -174,7 +177,7 @@ const ChapterDemoContent = () => {
             <div className="bg-white rounded-lg shadow-sm border p-6">
               <h2 className="text-lg font-semibold text-gray-900 mb-4">Select Individual Chapter</h2>
               <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
-                {SAMPLE_CHAPTERS.map((chapter) => (
+                {chapters.map((chapter) => (
                   <button
                     key={chapter.id}
                     onClick={() => setSelectedChapterId(chapter.id)}
@@ -196,7 +199,7 @@ const ChapterDemoContent = () => {
                     </div>
                     <p className="text-sm text-gray-600 mb-2">{chapter.description}</p>
                     <p className="text-xs text-gray-500">
-                      Duration: {Math.floor(chapter.duration / 60)}:{(chapter.duration % 60).toString().padStart(2, '0')}
+                      Duration: {Math.floor(chapter.duration / 60)}:{Math.floor(chapter.duration % 60).toString().padStart(2, '0')}
                     </p>
                   </button>
                 ))}
@@ -204,27 +207,29 @@ const ChapterDemoContent = () => {
             </div>
 
             {/* Individual Audio Player */}
-            {selectedChapterId && (
+            {selectedChapter && (
               <div className="bg-white rounded-lg shadow-lg border">
                 <div className="p-6 border-b border-gray-200">
                   <h2 className="text-lg font-semibold text-gray-900">
-                    Now Playing: {SAMPLE_CHAPTERS.find(c => c.id === selectedChapterId)?.title}
+                    Now Playing: {selectedChapter.title || `Chapter ${selectedChapter.number}`}
                   </h2>
                   <p className="text-sm text-gray-600 mt-1">
-                    {SAMPLE_CHAPTERS.find(c => c.id === selectedChapterId)?.description}
+                    {selectedChapter.description}
                   </p>
                 </div>
                 <div className="p-6">
                   <AudioPlayer
-                    chapterId={selectedChapterId}
+                    key={selectedChapter.id}
+                    chapter={selectedChapter}
+                    bookId={selectedBook.id}
+                    bookTitle={selectedBook.title}
                     authToken={authToken}
                     apiBaseUrl={API_BASE_URL}
                     autoPlay={false}
                     showDownload={true}
                     showBookmark={true}
                     onProgressUpdate={(position, status, playbackRate) => {
-                      const chapter = SAMPLE_CHAPTERS.find(c => c.id === selectedChapterId);
-                      handleProgressUpdate(position, status, playbackRate, chapter);
+                      handleProgressUpdate(position, status, playbackRate, selectedChapter);
                     }}
                     className="bg-gray-50 rounded-lg"
                   />
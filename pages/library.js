@@ -0,0 +1,37 @@
+import React from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { AuthProvider, useAuth } from '../contexts/AuthContext';
+import OfflineLibrary from '../components/OfflineLibrary';
+
+// Works without a session so saved audio stays playable offline
+const LibraryContent = () => {
+  const { authToken } = useAuth();
+
+  return (
+    <div className="min-h-screen bg-gray-100 p-4">
+      <div className="max-w-4xl mx-auto mb-4">
+        <Link href="/" className="text-sm text-blue-600 hover:underline">
+          ← Back to player
+        </Link>
+      </div>
+      <div className="max-w-4xl mx-auto">
+        <OfflineLibrary authToken={authToken} />
+      </div>
+    </div>
+  );
+};
+
+export default function Library() {
+  return (
+    <>
+      <Head>
+        <title>Offline Library - NextJS Audio Player</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+      </Head>
+      <AuthProvider>
+        <LibraryContent />
+      </AuthProvider>
+    </>
+  );
+}
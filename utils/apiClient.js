@@ -0,0 +1,286 @@
+/**
+ * API client
+ * Every call to the backend goes through apiRequest so URLs, the Bearer
+ * token, timeouts, cancellation, retries and network logging are handled in
+ * one place.
+ *
+ *   const data = await api.get('/booksManagement/books', { signal });
+ *   await api.post(progressUrl, { position });
+ *
+ * Paths are resolved against config.apiBaseUrl (the same-origin proxy);
+ * absolute URLs and URLs already under /api/ (such as the progress URLs on
+ * player items) are used as they are.
+ */
+
+import { config, networkLog } from './config';
+import { sessionLogger } from './logger';
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+/**
+ * authToken value for requests authenticated by the httpOnly session cookie
+ * that the same-origin proxy reads (see pages/api/proxy). No Authorization
+ * header is sent; the browser attaches the cookie itself.
+ */
+export const COOKIE_SESSION = 'cookie-session';
+
+let currentAuthToken = null;
+
+/**
+ * Token attached to requests that do not pass their own. AuthContext keeps
+ * this in step with the signed-in user.
+ */
+export const setAuthToken = (token) => {
+  currentAuthToken = token || null;
+};
+
+export const getAuthToken = () => currentAuthToken;
+
+let refreshHandler = null;
+let refreshPromise = null;
+
+/**
+ * Register the function that renews the session (AuthContext). It resolves
+ * with a new access token, or rejects when the session cannot be renewed.
+ */
+export const setTokenRefreshHandler = (handler) => {
+  refreshHandler = handler;
+};
+
+/**
+ * Get a new access token. Requests that fail together share one refresh.
+ */
+export const refreshAuthToken = () => {
+  if (!refreshHandler) {
+    return Promise.reject(new ApiError('Session cannot be refreshed', { status: 401 }));
+  }
+  if (!refreshPromise) {
+    refreshPromise = Promise.resolve()
+      .then(refreshHandler)
+      .then((token) => {
+        currentAuthToken = token;
+        return token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+/**
+ * Error for any request that did not produce a successful response.
+ * status is the HTTP status, or 0 when no response arrived; code is 'HTTP',
+ * 'NETWORK' or 'TIMEOUT'. Caller cancellation rethrows the AbortError as is.
+ */
+export class ApiError extends Error {
+  constructor(message, { status = 0, code = 'HTTP', method, url, data = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.method = method;
+    this.url = url;
+    this.data = data;
+  }
+
+  get isNetworkError() {
+    return this.code === 'NETWORK' || this.code === 'TIMEOUT';
+  }
+}
+
+export const isAbortError = (err) => err?.name === 'AbortError';
+
+// This app's own routes (/api/proxy/..., /api/session) are used as they are
+export const apiUrl = (path) => (/^https?:\/\//.test(path) || path.startsWith('/api/')
+  ? path
+  : `${config.apiBaseUrl}${path}`);
+
+const isRetryable = (err) => err.isNetworkError || err.status === 408 || err.status === 429 || err.status >= 500;
+
+const getRetryDelay = (attempt, response) => {
+  // Honour Retry-After (seconds) on 429 / 503
+  const retryAfter = parseInt(response?.headers.get('Retry-After'), 10);
+  if (retryAfter > 0) return Math.min(config.api.retryMaxDelay, retryAfter * 1000);
+
+  const delay = Math.min(config.api.retryMaxDelay, config.api.retryBaseDelay * Math.pow(2, attempt));
+  // Jitter so clients that failed together do not retry together
+  return delay / 2 + Math.random() * delay / 2;
+};
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new DOMException('Request aborted', 'AbortError'));
+  };
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+const isRawBody = (body) => typeof body === 'string'
+  || (typeof FormData !== 'undefined' && body instanceof FormData)
+  || (typeof Blob !== 'undefined' && body instanceof Blob);
+
+const readErrorBody = async (response) => {
+  try {
+    const text = await response.text();
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      return text || null;
+    }
+  } catch (err) {
+    return null;
+  }
+};
+
+const readBody = async (response, responseType) => {
+  if (responseType === 'response') return response;
+  if (responseType === 'blob') return response.blob();
+  if (responseType === 'text') return response.text();
+  if (response.status === 204) return null;
+  const text = await response.text();
+  return text ? JSON.parse(text) : null;
+};
+
+// One attempt: fetch with a timeout tied to the caller's signal
+const attemptRequest = async (url, method, init, { signal, timeout, responseType, attempt }) => {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = timeout > 0 ? setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout) : null;
+  const onAbort = () => controller.abort();
+  if (signal?.aborted) controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  const startTime = performance.now();
+  const logHeaders = init.headers.Authorization ? { ...init.headers, Authorization: 'Bearer ***' } : init.headers;
+  networkLog.request(method, attempt > 0 ? `${url} (retry ${attempt})` : url, logHeaders);
+
+  try {
+    const response = await fetch(url, { ...init, method, signal: controller.signal });
+    const responseTime = Math.round(performance.now() - startTime);
+    const size = parseInt(response.headers.get('Content-Length'), 10) || null;
+    networkLog.response(method, url, response.status, responseTime, size);
+    sessionLogger.trackNetworkRequest(method, url, response.status, responseTime, size);
+
+    if (!response.ok) {
+      const data = await readErrorBody(response);
+      const message = data?.message || data?.error || `HTTP ${response.status}: ${response.statusText}`;
+      const error = new ApiError(message, { status: response.status, method, url, data });
+      error.response = response;
+      throw error;
+    }
+
+    return await readBody(response, responseType);
+  } catch (err) {
+    if (err instanceof ApiError) throw err;
+    const responseTime = Math.round(performance.now() - startTime);
+
+    if (isAbortError(err) && !timedOut) throw err;
+    if (timedOut) {
+      networkLog.error(method, url, { message: `Timed out after ${timeout}ms` }, responseTime);
+      throw new ApiError(`Request timed out after ${Math.round(timeout / 1000)}s`, { code: 'TIMEOUT', method, url });
+    }
+
+    networkLog.error(method, url, { name: err.name, message: err.message }, responseTime);
+    if (err instanceof SyntaxError) {
+      throw new ApiError(`Invalid response from server: ${err.message}`, { status: 200, method, url });
+    }
+    throw new ApiError(`Network error: ${err.message}`, { code: 'NETWORK', method, url });
+  } finally {
+    if (timer) clearTimeout(timer);
+    // A raw Response is still read after this returns, so the caller's
+    // signal has to stay able to cancel it
+    if (responseType !== 'response') signal?.removeEventListener('abort', onAbort);
+  }
+};
+
+/**
+ * Make an API request and resolve with the parsed body.
+ *
+ * Options:
+ *   method        HTTP method (default GET)
+ *   body          plain objects are sent as JSON; strings, Blobs and FormData as they are
+ *   headers       extra request headers
+ *   authToken     token for this request; null sends no Authorization header,
+ *                 undefined uses the token set with setAuthToken, COOKIE_SESSION
+ *                 relies on the session cookie
+ *   signal        AbortSignal to cancel the request (and any pending retry)
+ *   timeout       ms per attempt (config.api.timeout)
+ *                 A 401 renews the token (see refreshAuthToken) and retries once
+ *   retries       extra attempts on network errors, timeouts, 408, 429 and 5xx.
+ *                 Defaults to config.api.retries for idempotent methods and 0 otherwise;
+ *                 pass idempotent: true to retry a POST that is safe to repeat
+ *   responseType  'json' (default), 'text', 'blob' or 'response' for the raw Response
+ */
+export const apiRequest = async (path, {
+  method = 'GET',
+  body,
+  headers = {},
+  authToken = currentAuthToken,
+  signal,
+  timeout = config.api.timeout,
+  idempotent,
+  retries,
+  responseType = 'json'
+} = {}) => {
+  const url = apiUrl(path);
+  const upperMethod = method.toUpperCase();
+  const canRetry = idempotent ?? IDEMPOTENT_METHODS.includes(upperMethod);
+  const maxRetries = retries ?? (canRetry ? config.api.retries : 0);
+
+  const requestHeaders = { ...headers };
+  if (authToken && authToken !== COOKIE_SESSION) requestHeaders.Authorization = `Bearer ${authToken}`;
+  let requestBody = body;
+  if (body !== undefined && body !== null && !isRawBody(body)) {
+    requestHeaders['Content-Type'] = requestHeaders['Content-Type'] || 'application/json';
+    requestBody = JSON.stringify(body);
+  }
+
+  let sentToken = authToken;
+  let renewed = false;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await attemptRequest(url, upperMethod, { headers: requestHeaders, body: requestBody }, {
+        signal,
+        timeout,
+        responseType,
+        attempt
+      });
+    } catch (err) {
+      if (err.status === 401 && sentToken && !renewed) {
+        renewed = true;
+        // Another request may already have renewed the token this one was sent
+        // with (a cookie session is renewed in place, so always ask)
+        if (!currentAuthToken || currentAuthToken === sentToken) {
+          try {
+            await refreshAuthToken();
+          } catch (refreshErr) {
+            // Unreachable refresh endpoint: report the outage, not an expired session
+            throw refreshErr?.isNetworkError ? refreshErr : err;
+          }
+        }
+        if (!currentAuthToken) throw err;
+        sentToken = currentAuthToken;
+        if (sentToken !== COOKIE_SESSION) requestHeaders.Authorization = `Bearer ${sentToken}`;
+        attempt--;
+        continue;
+      }
+      if (isAbortError(err) || attempt >= maxRetries || !isRetryable(err)) throw err;
+      await wait(getRetryDelay(attempt, err.response), signal);
+    }
+  }
+};
+
+export const api = {
+  get: (path, options) => apiRequest(path, { ...options, method: 'GET' }),
+  post: (path, body, options) => apiRequest(path, { ...options, method: 'POST', body }),
+  put: (path, body, options) => apiRequest(path, { ...options, method: 'PUT', body }),
+  delete: (path, options) => apiRequest(path, { ...options, method: 'DELETE' })
+};
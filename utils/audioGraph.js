@@ -0,0 +1,159 @@
+/**
+ * Web Audio processing graph
+ * Routes the shared <audio> element through an AudioContext so the player
+ * can process what it plays:
+ *
+ *   element → analyser → high-pass → presence EQ → compressor → makeup gain   (voice boost)
+ *           → equalizer bands → normalisation gain → volume gain → limiter → speakers
+ *
+ * The analyser measures the unprocessed signal for silence trimming and
+ * loudness normalisation. Every node sits in the chain all the time and
+ * effects are switched by their parameters, so changing a setting never
+ * reconnects anything mid-playback.
+ *
+ * Volume and mute move into the graph too: the element's own volume would
+ * scale what the analyser measures, so the element stays at full volume and
+ * the volume gain (which can go above 1) does the rest. The limiter keeps
+ * boosted audio from clipping.
+ *
+ * Things to know about createMediaElementSource:
+ * - It can only be called once per element, and from then on the element is
+ *   only heard through the graph. The graph is built on first use and kept
+ *   for the life of the page.
+ * - Cross-origin audio is only passed through when fetched with CORS
+ *   (crossOrigin="anonymous" on the element and Access-Control-Allow-Origin
+ *   on the response), otherwise the graph outputs silence. Streams through
+ *   the same-origin proxy and blob: URLs of offline copies always work.
+ * - A context created outside a user gesture starts suspended; resume() it
+ *   from play.
+ */
+
+import { logger, LOG_CATEGORIES } from './config';
+import { EQ_BANDS } from './equalizer';
+
+// Narration preset: cut rumble, lift speech presence, even out loud and quiet passages
+const VOICE_BOOST = {
+  highpassFrequency: 80,
+  presenceFrequency: 3000,
+  presenceGain: 5, // dB
+  compressor: { threshold: -24, knee: 12, ratio: 4, attack: 0.003, release: 0.25 },
+  makeupGain: 1.6
+};
+const NEUTRAL = {
+  highpassFrequency: 10,
+  presenceGain: 0,
+  compressor: { threshold: 0, knee: 0, ratio: 1, attack: 0.003, release: 0.25 },
+  makeupGain: 1
+};
+const LIMITER = { threshold: -1, knee: 0, ratio: 20, attack: 0.001, release: 0.1 };
+const PARAMETER_RAMP_SECONDS = 0.05; // avoids clicks when switching
+const NORMALIZATION_RAMP_SECONDS = 1; // corrections drift in rather than jump
+
+// Largest volume the gain stage offers (element volume stops at 1)
+export const MAX_VOLUME = 2;
+
+const graphs = new WeakMap();
+
+export const isWebAudioSupported = () =>
+  typeof window !== 'undefined' && !!(window.AudioContext || window.webkitAudioContext);
+
+const setParam = (context, param, value, rampSeconds = PARAMETER_RAMP_SECONDS) => {
+  param.setTargetAtTime(value, context.currentTime, rampSeconds / 3);
+};
+
+const dbToGain = (db) => Math.pow(10, db / 20);
+
+/**
+ * The processing graph for an <audio> element, created on first call.
+ * Returns null when Web Audio is not available.
+ */
+export const getAudioGraph = (audio) => {
+  if (!audio || !isWebAudioSupported()) return null;
+  if (graphs.has(audio)) return graphs.get(audio);
+
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  const context = new AudioContextClass();
+  const source = context.createMediaElementSource(audio);
+
+  const analyser = context.createAnalyser();
+  analyser.fftSize = 2048;
+
+  const highpass = context.createBiquadFilter();
+  highpass.type = 'highpass';
+
+  const presence = context.createBiquadFilter();
+  presence.type = 'peaking';
+  presence.frequency.value = VOICE_BOOST.presenceFrequency;
+  presence.Q.value = 1;
+
+  const compressor = context.createDynamicsCompressor();
+  const makeup = context.createGain();
+
+  const bands = EQ_BANDS.map((band) => {
+    const filter = context.createBiquadFilter();
+    filter.type = band.type;
+    filter.frequency.value = band.frequency;
+    if (band.type === 'peaking') filter.Q.value = 1;
+    filter.gain.value = 0;
+    return filter;
+  });
+
+  const normalization = context.createGain();
+  const volume = context.createGain();
+
+  const limiter = context.createDynamicsCompressor();
+  Object.entries(LIMITER).forEach(([name, value]) => {
+    limiter[name].value = value;
+  });
+
+  [source, analyser, highpass, presence, compressor, makeup, ...bands, normalization, volume, limiter, context.destination]
+    .reduce((from, to) => {
+      from.connect(to);
+      return to;
+    });
+
+  const applyPreset = (preset) => {
+    setParam(context, highpass.frequency, preset.highpassFrequency);
+    setParam(context, presence.gain, preset.presenceGain);
+    Object.entries(preset.compressor).forEach(([name, value]) => {
+      setParam(context, compressor[name], value);
+    });
+    setParam(context, makeup.gain, preset.makeupGain);
+  };
+  applyPreset(NEUTRAL);
+
+  const graph = {
+    context,
+    analyser,
+
+    // Browsers suspend contexts that were not started by a user gesture
+    resume: () => {
+      if (context.state === 'running') return Promise.resolve();
+      return context.resume().catch((err) => {
+        logger.warn(LOG_CATEGORIES.PLAYBACK, 'Audio context could not be resumed', { error: err.message });
+      });
+    },
+
+    setVoiceBoost: (enabled) => {
+      applyPreset(enabled ? VOICE_BOOST : NEUTRAL);
+    },
+
+    // One gain in dB per EQ_BANDS entry
+    setEqualizer: (gains) => {
+      bands.forEach((filter, index) => setParam(context, filter.gain, gains[index] || 0));
+    },
+
+    setNormalization: (db) => {
+      setParam(context, normalization.gain, dbToGain(db), NORMALIZATION_RAMP_SECONDS);
+    },
+
+    // 0 - MAX_VOLUME; 0 while muted
+    setVolume: (level) => {
+      setParam(context, volume.gain, Math.min(MAX_VOLUME, Math.max(0, level)));
+    }
+  };
+
+  graphs.set(audio, graph);
+  logger.info(LOG_CATEGORIES.INIT, 'Audio processing graph created', { sampleRate: context.sampleRate, state: context.state });
+  return graph;
+};
@@ -0,0 +1,54 @@
+/**
+ * Audio source loading
+ * Attaches a book intro or chapter to an <audio> element. A copy saved for
+ * offline playback wins; otherwise the audio is streamed natively, with its
+ * own Range requests, through the same-origin proxy that adds the session.
+ */
+
+import { logger, LOG_CATEGORIES } from './config';
+import { getOfflineAudio } from './offlineStorage';
+
+const createSource = ({ offline = false, objectUrl = null } = {}) => ({
+  offline,
+  // Free the blob once the element moves on to another source
+  release: () => {
+    if (objectUrl) URL.revokeObjectURL(objectUrl);
+  }
+});
+
+const attachOfflineCopy = (audio, blob) => {
+  const objectUrl = URL.createObjectURL(blob);
+  audio.src = objectUrl;
+  return createSource({ offline: true, objectUrl });
+};
+
+/**
+ * Load url (or the offline copy stored under offlineKey) into audio.
+ * Resolves with { offline, release() }, or null when isActive() turned false
+ * while loading - the caller has moved on and nothing was kept.
+ */
+export const loadAudioSource = async (audio, {
+  url,
+  offlineKey,
+  isActive = () => true
+}) => {
+  const offlineBlob = offlineKey
+    ? await getOfflineAudio(offlineKey).catch((err) => {
+      logger.warn(LOG_CATEGORIES.INIT, 'Offline storage lookup failed', { key: offlineKey, error: err.message });
+      return null;
+    })
+    : null;
+  if (!isActive()) return null;
+
+  if (offlineBlob) {
+    logger.info(LOG_CATEGORIES.INIT, 'Playing from offline storage', {
+      key: offlineKey,
+      size: Math.round(offlineBlob.size / 1024) + 'KB'
+    });
+    return attachOfflineCopy(audio, offlineBlob);
+  }
+
+  // The session cookie goes with the element's own requests
+  audio.src = url;
+  return createSource();
+};
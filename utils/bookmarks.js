@@ -0,0 +1,313 @@
+/**
+ * Bookmarks API client with a localStorage fallback
+ * Bookmarks live under the same resource as progress, e.g.
+ *   GET    /audioStreaming/chapters/{chapterId}/bookmarks
+ *   POST   /audioStreaming/chapters/{chapterId}/bookmarks
+ *   PUT    /audioStreaming/chapters/{chapterId}/bookmarks/{bookmarkId}
+ *   DELETE /audioStreaming/chapters/{chapterId}/bookmarks/{bookmarkId}
+ * The list for each URL is cached in localStorage. Creates, edits and
+ * deletes the server did not take (offline, server errors, signed out) are
+ * queued there too, like progress (see utils/progressQueue), replayed in
+ * order on the next load and applied on top of the server's list until then.
+ * Bookmarks the server has not given an id yet carry a "local-" one, which
+ * is also POSTed as client_id: the server's list is matched up with creates
+ * on it, and a create sent twice can be told apart from a new bookmark.
+ */
+
+import { logger, LOG_CATEGORIES } from './config';
+import { apiRequest, ApiError } from './apiClient';
+
+const STORAGE_PREFIX = 'audioPlayer.bookmarks:';
+const QUEUE_KEY = 'audioPlayer.bookmarkQueue';
+
+// Server ids of local bookmarks saved since the page loaded, so views still
+// holding the local id can edit or delete them
+const settledIds = new Map();
+// Replays in progress by bookmarks URL
+const flushes = new Map();
+
+const readLocal = (url) => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_PREFIX + url)) || [];
+  } catch (err) {
+    return [];
+  }
+};
+
+const writeLocal = (url, bookmarks) => {
+  try {
+    localStorage.setItem(STORAGE_PREFIX + url, JSON.stringify(bookmarks));
+  } catch (err) {
+    logger.error(LOG_CATEGORIES.UI, 'Failed to store bookmarks locally', { error: err.message });
+  }
+};
+
+/*
+ * Queued changes: { id, url, action, bookmarkId, body } where action is
+ * 'create', 'update', 'delete', or 'reconcile' for a bookmark the server
+ * saved without telling us its id (body is what was POSTed)
+ */
+const readQueue = () => {
+  try {
+    return JSON.parse(localStorage.getItem(QUEUE_KEY)) || [];
+  } catch (err) {
+    logger.warn(LOG_CATEGORIES.UI, 'Bookmark queue unreadable, starting fresh', { error: err.message });
+    return [];
+  }
+};
+
+const writeQueue = (queue) => {
+  try {
+    localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+  } catch (err) {
+    logger.error(LOG_CATEGORIES.UI, 'Failed to persist bookmark queue', { error: err.message });
+  }
+};
+
+const removeQueued = (entryId) => writeQueue(readQueue().filter(entry => entry.id !== entryId));
+
+const sortByPosition = (bookmarks) => [...bookmarks].sort((a, b) => a.position - b.position);
+
+const request = (method, url, authToken, body) => apiRequest(url, { method, authToken, body });
+
+const isLocalId = (id) => String(id).startsWith('local-');
+
+const createLocalId = () => `local-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+
+// Offline, timeouts, server errors and expired sessions are worth another try
+const isRetryable = (err) => !(err instanceof ApiError) || err.isNetworkError ||
+  err.status === 401 || err.status === 408 || err.status === 429 || err.status >= 500;
+
+// The saved bookmark from a POST/PUT response, which may be empty (201/204)
+const readSaved = (data) => {
+  const saved = data?.bookmark || data;
+  return saved && typeof saved === 'object' ? saved : {};
+};
+
+const hasId = (bookmark) => bookmark.id !== undefined && bookmark.id !== null;
+
+const hasQueuedChanges = (url, bookmarkId) =>
+  readQueue().some(entry => entry.url === url && entry.bookmarkId === bookmarkId);
+
+/**
+ * Queue a change, folding it into ones still waiting for the same bookmark
+ */
+const enqueueChange = (url, action, bookmarkId, body = null) => {
+  const queue = readQueue();
+  const isFor = (entry) => entry.url === url && entry.bookmarkId === bookmarkId;
+  const pending = queue.find(entry => isFor(entry) && (entry.action === 'create' || entry.action === 'update'));
+  const entry = { id: `${Date.now()}-${Math.random().toString(36).substr(2, 6)}`, url, action, bookmarkId, body };
+  const willReachServer = !isLocalId(bookmarkId) ||
+    queue.some(item => isFor(item) && (item.action === 'create' || item.action === 'reconcile'));
+
+  // A local bookmark the server turned down stays on this device
+  if ((action === 'update' || action === 'delete') && !willReachServer) return;
+
+  if (action === 'update' && pending) {
+    writeQueue(queue.map(item => item === pending ? { ...item, body: { ...item.body, ...body } } : item));
+  } else if (action === 'delete') {
+    const remaining = queue.filter(item => !isFor(item) || item.action === 'reconcile');
+    // Nothing to delete on the server if it never got the bookmark
+    const wasCreated = queue.some(item => isFor(item) && item.action === 'create');
+    writeQueue(wasCreated ? remaining : [...remaining, entry]);
+  } else {
+    writeQueue([...queue, entry]);
+  }
+  logger.info(LOG_CATEGORIES.UI, 'Bookmark change queued', { url, action, bookmarkId });
+};
+
+// A local bookmark got its server id: use it in the cache and queued changes
+const settleId = (url, localId, saved) => {
+  settledIds.set(localId, saved.id);
+  writeLocal(url, readLocal(url).map(bookmark => bookmark.id === localId ? { ...saved, ...bookmark, id: saved.id } : bookmark));
+  writeQueue(readQueue().map(entry => entry.url === url && entry.bookmarkId === localId ? { ...entry, bookmarkId: saved.id } : entry));
+};
+
+const sendChange = async ({ url, action, bookmarkId, body }, authToken) => {
+  if (action === 'create') return request('POST', url, authToken, body);
+  if (action === 'update') return request('PUT', `${url}/${bookmarkId}`, authToken, body);
+  try {
+    return await request('DELETE', `${url}/${bookmarkId}`, authToken);
+  } catch (err) {
+    // Already gone
+    if (err.status === 404) return null;
+    throw err;
+  }
+};
+
+/**
+ * Replay queued changes for a bookmarks URL in order. Stops at the first
+ * change that may go through later; ones the server rejects are dropped.
+ */
+export const flushBookmarkQueue = (url, authToken) => {
+  if (!authToken) return Promise.resolve();
+  if (flushes.has(url)) return flushes.get(url);
+
+  const flush = (async () => {
+    const entryIds = readQueue().filter(entry => entry.url === url).map(entry => entry.id);
+    for (const entryId of entryIds) {
+      // Re-read: ids change as earlier creates are saved
+      const entry = readQueue().find(item => item.id === entryId);
+      // Edits to a bookmark without a server id wait until it has one
+      if (!entry || entry.action === 'reconcile' || (entry.action !== 'create' && isLocalId(entry.bookmarkId))) continue;
+
+      let data;
+      try {
+        data = await sendChange(entry, authToken);
+      } catch (err) {
+        if (isRetryable(err)) {
+          logger.debug(LOG_CATEGORIES.UI, 'Bookmark replay deferred', { url, error: err.message });
+          return;
+        }
+        logger.warn(LOG_CATEGORIES.UI, 'Queued bookmark change rejected', { url, action: entry.action, status: err.status });
+        removeQueued(entry.id);
+        continue;
+      }
+
+      const saved = readSaved(data);
+      if (entry.action === 'create' && !hasId(saved)) {
+        writeQueue(readQueue().map(item => item.id === entry.id ? { ...item, action: 'reconcile' } : item));
+        continue;
+      }
+      if (entry.action === 'create') settleId(url, entry.bookmarkId, saved);
+      removeQueued(entry.id);
+    }
+  })().finally(() => flushes.delete(url));
+
+  flushes.set(url, flush);
+  return flush;
+};
+
+/*
+ * Find the server ids of bookmarks saved without one by the client_id they
+ * were created with. Ones the server does not list are sent again. True when
+ * the queue changed.
+ */
+const reconcileCreated = (url, serverBookmarks) => {
+  const pending = readQueue().filter(entry => entry.url === url && entry.action === 'reconcile');
+
+  pending.forEach((entry) => {
+    const match = serverBookmarks.find(bookmark => hasId(bookmark) && bookmark.client_id === entry.body.client_id);
+    if (match) {
+      settleId(url, entry.bookmarkId, match);
+      removeQueued(entry.id);
+    } else {
+      writeQueue(readQueue().map(item => item.id === entry.id ? { ...item, action: 'create' } : item));
+    }
+  });
+  return pending.length > 0;
+};
+
+// The server's list with unsent edits and deletes on top, plus local bookmarks
+const applyQueuedChanges = (url, serverBookmarks) => {
+  const queue = readQueue().filter(entry => entry.url === url);
+  const deletedIds = new Set(queue.filter(entry => entry.action === 'delete').map(entry => entry.bookmarkId));
+  const fromServer = serverBookmarks
+    .filter(bookmark => !deletedIds.has(bookmark.id))
+    .map(bookmark => queue
+      .filter(entry => entry.action === 'update' && entry.bookmarkId === bookmark.id)
+      .reduce((result, entry) => ({ ...result, ...entry.body }), bookmark));
+  const localOnly = readLocal(url).filter(bookmark => isLocalId(bookmark.id));
+  return sortByPosition([...fromServer, ...localOnly]);
+};
+
+const fetchServerBookmarks = async (url, authToken) => {
+  const data = await request('GET', url, authToken);
+  return Array.isArray(data) ? data : data?.bookmarks || [];
+};
+
+/**
+ * Load bookmarks for a bookmarks URL. Queued changes are sent first; the
+ * server's list is then cached with anything still unsent applied.
+ */
+export const loadBookmarks = async (url, authToken) => {
+  if (!authToken) return sortByPosition(readLocal(url));
+
+  try {
+    await flushBookmarkQueue(url, authToken);
+    let serverBookmarks = await fetchServerBookmarks(url, authToken);
+    // Bookmarks that just got their ids may have edits waiting to go out
+    if (reconcileCreated(url, serverBookmarks)) {
+      await flushBookmarkQueue(url, authToken);
+      serverBookmarks = await fetchServerBookmarks(url, authToken);
+    }
+    const merged = applyQueuedChanges(url, serverBookmarks);
+    writeLocal(url, merged);
+    return merged;
+  } catch (err) {
+    logger.warn(LOG_CATEGORIES.UI, 'Bookmarks API unavailable, using local bookmarks', { url, error: err.message });
+    return sortByPosition(readLocal(url));
+  }
+};
+
+/**
+ * Create a bookmark ({ position, title, note }) and return it
+ */
+export const createBookmark = async (url, authToken, bookmark) => {
+  const localId = createLocalId();
+  const payload = {
+    position: Math.floor(bookmark.position),
+    title: bookmark.title || '',
+    note: bookmark.note || '',
+    created_at: new Date().toISOString(),
+    client_id: localId
+  };
+
+  let created = null;
+  try {
+    if (!authToken) throw new Error('No auth token');
+    const saved = readSaved(await request('POST', url, authToken, payload));
+    created = { ...payload, ...saved, id: hasId(saved) ? saved.id : localId };
+    // Saved, but the response did not say under which id
+    if (!hasId(saved)) enqueueChange(url, 'reconcile', localId, payload);
+  } catch (err) {
+    logger.warn(LOG_CATEGORIES.UI, 'Saving bookmark locally', { url, error: err.message });
+    created = { ...payload, id: localId };
+    enqueueChange(url, 'create', localId, payload);
+  }
+
+  writeLocal(url, sortByPosition([...readLocal(url), created]));
+  logger.info(LOG_CATEGORIES.UI, 'Bookmark created', created);
+  return created;
+};
+
+/**
+ * Update a bookmark's title, note or position and return the new version
+ */
+export const updateBookmark = async (url, authToken, id, changes) => {
+  const bookmarkId = settledIds.get(id) ?? id;
+  const existing = readLocal(url).find(bookmark => bookmark.id === bookmarkId) || { id: bookmarkId };
+  let updated = { ...existing, ...changes };
+
+  // Changes queued for this bookmark go out first
+  if (authToken && !isLocalId(bookmarkId) && !hasQueuedChanges(url, bookmarkId)) {
+    try {
+      const data = await request('PUT', `${url}/${bookmarkId}`, authToken, changes);
+      updated = { ...updated, ...readSaved(data) };
+    } catch (err) {
+      logger.warn(LOG_CATEGORIES.UI, 'Bookmark update queued', { id: bookmarkId, error: err.message });
+      enqueueChange(url, 'update', bookmarkId, changes);
+    }
+  } else {
+    enqueueChange(url, 'update', bookmarkId, changes);
+  }
+
+  writeLocal(url, sortByPosition(readLocal(url).map(bookmark => bookmark.id === bookmarkId ? updated : bookmark)));
+  return updated;
+};
+
+export const deleteBookmark = async (url, authToken, id) => {
+  const bookmarkId = settledIds.get(id) ?? id;
+
+  if (authToken && !isLocalId(bookmarkId) && !hasQueuedChanges(url, bookmarkId)) {
+    try {
+      await sendChange({ url, action: 'delete', bookmarkId }, authToken);
+    } catch (err) {
+      logger.warn(LOG_CATEGORIES.UI, 'Bookmark delete queued', { id: bookmarkId, error: err.message });
+      enqueueChange(url, 'delete', bookmarkId);
+    }
+  } else {
+    enqueueChange(url, 'delete', bookmarkId);
+  }
+  writeLocal(url, readLocal(url).filter(bookmark => bookmark.id !== bookmarkId));
+};
@@ -0,0 +1,75 @@
+/**
+ * Byte reader for audio files
+ * Reads parts of a track without downloading all of it, for the metadata at
+ * the start of MP3s (ID3) and wherever an MP4's moov box is. The offline copy
+ * is sliced when there is one, otherwise the stream is fetched with Range
+ * requests. The first HEAD_BYTES are fetched once and reused, since most
+ * reads land there.
+ */
+
+import { apiRequest } from './apiClient';
+import { getOfflineAudio } from './offlineStorage';
+
+const HEAD_BYTES = 64 * 1024;
+
+// Total size from "bytes 0-65535/1234567"
+const parseContentRangeSize = (value) => {
+  const size = parseInt(value?.split('/')[1], 10);
+  return Number.isFinite(size) ? size : null;
+};
+
+const fetchRange = async (streamUrl, authToken, signal, offset, length) => {
+  const response = await apiRequest(streamUrl, {
+    authToken,
+    signal,
+    responseType: 'response',
+    headers: { Range: `bytes=${offset}-${offset + length - 1}` }
+  });
+  if (response.status !== 206) {
+    // The whole file is on its way - not worth it for a few bytes
+    response.body?.cancel?.();
+    const error = new Error('Server does not support range requests');
+    error.code = 'RANGE_NOT_SUPPORTED';
+    throw error;
+  }
+  return {
+    bytes: new Uint8Array(await response.arrayBuffer()),
+    size: parseContentRangeSize(response.headers.get('Content-Range'))
+  };
+};
+
+/**
+ * A reader for a player item ({ key, streamUrl, authToken }):
+ *   { read(offset, length) → Uint8Array (shorter at the end of the file), size() → bytes or null }
+ * The size of a streamed file is known after the first read.
+ */
+export const createByteReader = async ({ key, streamUrl, authToken }, { signal } = {}) => {
+  const blob = await getOfflineAudio(key);
+  if (blob) {
+    return {
+      read: async (offset, length) => new Uint8Array(await blob.slice(offset, offset + length).arrayBuffer()),
+      size: () => blob.size
+    };
+  }
+
+  let head = null;
+  let size = null;
+  const read = async (offset, length) => {
+    if (!head) {
+      const result = await fetchRange(streamUrl, authToken, signal, 0, HEAD_BYTES);
+      head = result.bytes;
+      size = result.size ?? (head.length < HEAD_BYTES ? head.length : null);
+    }
+    // Small files arrive whole with the first read
+    if (offset + length <= head.length || head.length === size) {
+      return head.subarray(offset, offset + length);
+    }
+    if (size !== null && offset >= size) return new Uint8Array(0);
+    return (await fetchRange(streamUrl, authToken, signal, offset, length)).bytes;
+  };
+
+  return {
+    read,
+    size: () => size
+  };
+};
@@ -0,0 +1,118 @@
+/**
+ * Chapter model and chapter list loading
+ * The books payload, the chapters endpoint and older hand-written lists all
+ * describe chapters slightly differently (chapter_id vs id, chapter_number vs
+ * number, duration in seconds or "hh:mm:ss"). normalizeChapter turns any of
+ * them into the one shape ChapterPlayer and AudioPlayer work with:
+ *
+ *   {
+ *     id, number, title, description, duration,   // duration in seconds (0 if unknown)
+ *     streamUrl, progressUrl, progressUpdateUrl,   // absolute URLs
+ *     transcriptUrl,                               // absolute URL, or null for the default next to the stream
+ *     api_endpoints                                // as received, if any
+ *   }
+ */
+
+import { config, logger, LOG_CATEGORIES } from './config';
+import { api } from './apiClient';
+
+const DEFAULT_API_BASE_URL = config.apiBaseUrl;
+const PAGE_SIZE = 100;
+const MAX_PAGES = 50;
+
+// api_endpoints hold paths relative to the API (e.g. /audioStreaming/chapters/7/audio)
+const toApiUrl = (path, apiBaseUrl) => (/^https?:\/\//.test(path) ? path : `${apiBaseUrl}${path}`);
+
+// Accepts seconds (number or numeric string) or "mm:ss" / "hh:mm:ss"
+const parseDuration = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : 0;
+  if (typeof value !== 'string' || value.trim() === '') return 0;
+  if (value.includes(':')) {
+    return value.split(':').reduce((total, part) => total * 60 + (parseFloat(part) || 0), 0);
+  }
+  return parseFloat(value) || 0;
+};
+
+export const getChapterId = (chapter) => chapter?.chapter_id ?? chapter?.id ?? null;
+
+/**
+ * Normalise one chapter. index is its position in the list, used when the
+ * chapter has no number of its own (pass null for a chapter on its own).
+ */
+export const normalizeChapter = (chapter, index = null, apiBaseUrl = DEFAULT_API_BASE_URL) => {
+  if (!chapter) return null;
+
+  const id = getChapterId(chapter);
+  const endpoints = chapter.api_endpoints || {};
+  const defaultBase = `${apiBaseUrl}/audioStreaming/chapters/${id}`;
+  const progressUrl = endpoints.get_progress || endpoints.update_progress
+    ? toApiUrl(endpoints.get_progress || endpoints.update_progress, apiBaseUrl)
+    : `${defaultBase}/progress`;
+
+  return {
+    ...chapter,
+    id,
+    number: parseInt(chapter.chapter_number ?? chapter.number, 10) || (index !== null ? index + 1 : null),
+    title: chapter.title || chapter.chapter_title || chapter.name || '',
+    description: chapter.description || '',
+    duration: parseDuration(chapter.duration ?? chapter.duration_seconds),
+    streamUrl: chapter.streamUrl ||
+      (endpoints.stream_chapter ? toApiUrl(endpoints.stream_chapter, apiBaseUrl) : `${defaultBase}/audio`),
+    progressUrl: chapter.progressUrl || progressUrl,
+    progressUpdateUrl: chapter.progressUpdateUrl ||
+      (endpoints.update_progress ? toApiUrl(endpoints.update_progress, apiBaseUrl) : chapter.progressUrl || progressUrl),
+    transcriptUrl: chapter.transcriptUrl || chapter.transcript_url ||
+      (endpoints.transcript ? toApiUrl(endpoints.transcript, apiBaseUrl) : null)
+  };
+};
+
+/**
+ * Normalise a chapter list, dropping entries without an id and ordering by number
+ */
+export const normalizeChapters = (chapters, apiBaseUrl = DEFAULT_API_BASE_URL) =>
+  (Array.isArray(chapters) ? chapters : [])
+    .map((chapter, index) => normalizeChapter(chapter, index, apiBaseUrl))
+    .filter(chapter => chapter && chapter.id !== null)
+    .sort((a, b) => a.number - b.number);
+
+// Works with { pagination: { page, total_pages, has_next } }, { has_more },
+// { page, total_pages } and { next } style responses
+const hasNextPage = (data, page, received) => {
+  const pagination = data?.pagination || data?.meta || data;
+  if (typeof pagination?.has_next === 'boolean') return pagination.has_next;
+  if (typeof pagination?.has_more === 'boolean') return pagination.has_more;
+  if (pagination?.total_pages) return page < pagination.total_pages;
+  if (data?.next !== undefined) return !!data.next;
+  return received === PAGE_SIZE;
+};
+
+/**
+ * Load every chapter of a book. Uses the chapters already in the books
+ * payload when they are complete, otherwise pages through
+ * GET /booksManagement/books/{bookId}/chapters?page=N&limit=100.
+ */
+export const fetchBookChapters = async (book, { apiBaseUrl = DEFAULT_API_BASE_URL, authToken, signal } = {}) => {
+  const bookId = book?.book_id ?? book?.id;
+  const payloadChapters = Array.isArray(book?.chapters) ? book.chapters : [];
+  const expectedCount = book?.total_chapters ?? book?.chapter_count;
+
+  if (payloadChapters.length > 0 && !(expectedCount > payloadChapters.length)) {
+    logger.info(LOG_CATEGORIES.NETWORK, 'Using chapters from books payload', { bookId, count: payloadChapters.length });
+    return normalizeChapters(payloadChapters, apiBaseUrl);
+  }
+
+  const chapters = [];
+  for (let page = 1; page <= MAX_PAGES; page++) {
+    const url = `${apiBaseUrl}/booksManagement/books/${bookId}/chapters?page=${page}&limit=${PAGE_SIZE}`;
+    const data = await api.get(url, { authToken, signal });
+    const pageChapters = Array.isArray(data) ? data : data?.chapters || data?.data || [];
+    chapters.push(...pageChapters);
+
+    if (Array.isArray(data) || pageChapters.length === 0 || !hasNextPage(data, page, pageChapters.length)) {
+      break;
+    }
+  }
+
+  logger.info(LOG_CATEGORIES.NETWORK, 'Chapters loaded', { bookId, count: chapters.length });
+  return normalizeChapters(chapters, apiBaseUrl);
+};
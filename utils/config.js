@@ -2,17 +2,34 @@
  * Environment configuration utility
  */
 
+// NEXT_PUBLIC_USE_MOCK_API=true serves the API from pages/api (see mock/)
+const useMockApi = process.env.NEXT_PUBLIC_USE_MOCK_API === 'true';
+
 export const config = {
   // API Configuration
-  apiBaseUrl: process.env.NEXT_PUBLIC_API_URL || 'http://localhost:10000',
+  // The browser only talks to this app's same-origin proxy (pages/api/proxy),
+  // which adds the token from the httpOnly session cookie on the server
+  apiBaseUrl: '/api/proxy',
+  // Where the proxy forwards to (read on the server; the mock API is this app)
+  backendUrl: process.env.API_URL || process.env.NEXT_PUBLIC_API_URL || 'http://localhost:10000',
+  useMockApi,
   
   // Authentication
   auth: {
     defaultEmail: process.env.NEXT_PUBLIC_DEFAULT_EMAIL || '',
     defaultPassword: process.env.NEXT_PUBLIC_DEFAULT_PASSWORD || '',
-    tokenKey: 'authToken'
+    refreshMargin: 60000, // ms before the token's exp to renew it
+    refreshRetryDelay: 30000 // ms between renewal attempts while the server is unreachable
   },
   
+  // API client (utils/apiClient)
+  api: {
+    timeout: 15000, // ms before a request is aborted
+    retries: 3, // extra attempts for idempotent requests
+    retryBaseDelay: 500, // ms, doubled on each attempt
+    retryMaxDelay: 8000
+  },
+
   // Development flags
   isDevelopment: process.env.NODE_ENV === 'development',
   isProduction: process.env.NODE_ENV === 'production',
@@ -0,0 +1,41 @@
+/**
+ * Equalizer bands and presets
+ * Five bands tuned for the spoken word. Gains are in dB, one per band.
+ */
+
+export const EQ_BANDS = [
+  { frequency: 100, type: 'lowshelf', label: 'Bass' },
+  { frequency: 300, type: 'peaking', label: 'Warmth' },
+  { frequency: 1000, type: 'peaking', label: 'Body' },
+  { frequency: 3000, type: 'peaking', label: 'Clarity' },
+  { frequency: 8000, type: 'highshelf', label: 'Air' }
+];
+
+export const EQ_MIN_GAIN = -12;
+export const EQ_MAX_GAIN = 12;
+
+export const EQ_PRESETS = {
+  flat: { label: 'Flat', gains: [0, 0, 0, 0, 0] },
+  spokenWord: { label: 'Spoken word', gains: [-4, -1, 1, 3, 1] },
+  warm: { label: 'Warm', gains: [3, 2, 0, -1, -3] },
+  bright: { label: 'Bright', gains: [-2, 0, 0, 3, 5] },
+  reduceHiss: { label: 'Reduce hiss', gains: [0, 0, 0, -1, -8] },
+  smallSpeakers: { label: 'Small speakers', gains: [-6, 3, 2, 2, 0] }
+};
+export const CUSTOM_PRESET = 'custom';
+
+export const DEFAULT_EQUALIZER = { preset: 'flat', gains: EQ_PRESETS.flat.gains };
+
+export const isFlatEqualizer = (equalizer) => !equalizer || equalizer.gains.every(gain => gain === 0);
+
+/**
+ * A stored equalizer setting, checked so a bad value cannot reach the graph
+ */
+export const normalizeEqualizer = (equalizer) => {
+  if (!equalizer || !Array.isArray(equalizer.gains) || equalizer.gains.length !== EQ_BANDS.length) {
+    return DEFAULT_EQUALIZER;
+  }
+  const gains = equalizer.gains.map(gain => Math.min(EQ_MAX_GAIN, Math.max(EQ_MIN_GAIN, Number(gain) || 0)));
+  const preset = EQ_PRESETS[equalizer.preset] ? equalizer.preset : CUSTOM_PRESET;
+  return { preset, gains };
+};
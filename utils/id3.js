@@ -0,0 +1,235 @@
+/**
+ * ID3v2 tags
+ * Reads the ID3v2.3 / v2.4 tag at the start of an MP3 into its frames, and
+ * from those text fields, the cover picture (APIC) and the chapters (CHAP
+ * frames, ordered by the top-level CTOC).
+ * ID3v2.2 tags (three-letter frame ids, no chapters) are not read.
+ */
+
+import { createByteReader } from './byteReader';
+
+const HEADER_SIZE = 10;
+const MAX_TAG_BYTES = 16 * 1024 * 1024; // cover art included
+const TEXT_ENCODINGS = ['iso-8859-1', 'utf-16', 'utf-16be', 'utf-8'];
+const FRONT_COVER = 3; // APIC picture type
+
+// Reads in progress by stream URL: { promise, controller, callers }
+const reads = new Map();
+
+const readUint32 = (bytes, offset) =>
+  ((bytes[offset] << 24) >>> 0) + (bytes[offset + 1] << 16) + (bytes[offset + 2] << 8) + bytes[offset + 3];
+
+const readSynchsafe = (bytes, offset) =>
+  (bytes[offset] << 21) | (bytes[offset + 1] << 14) | (bytes[offset + 2] << 7) | bytes[offset + 3];
+
+// Writers insert 0x00 after 0xFF so no byte pattern looks like MPEG sync
+const removeUnsynchronisation = (bytes) => {
+  const result = [];
+  for (let i = 0; i < bytes.length; i++) {
+    result.push(bytes[i]);
+    if (bytes[i] === 0xFF && bytes[i + 1] === 0x00) i++;
+  }
+  return Uint8Array.from(result);
+};
+
+/**
+ * Size of the whole tag from the first 10 bytes of a file, 0 if there is none
+ */
+export const getId3TagSize = (header) => {
+  if (header.length < HEADER_SIZE || header[0] !== 0x49 || header[1] !== 0x44 || header[2] !== 0x33) return 0;
+  const footerSize = header[5] & 0x10 ? HEADER_SIZE : 0;
+  return HEADER_SIZE + readSynchsafe(header, 6) + footerSize;
+};
+
+// Frames between start and end, as [{ id, data }]
+const parseFrames = (bytes, start, end, version) => {
+  const frames = [];
+  let offset = start;
+  while (offset + HEADER_SIZE <= end) {
+    // Padding
+    if (bytes[offset] === 0) break;
+    const id = String.fromCharCode(...bytes.subarray(offset, offset + 4));
+    if (!/^[A-Z0-9]{4}$/.test(id)) break;
+    const size = version === 4 ? readSynchsafe(bytes, offset + 4) : readUint32(bytes, offset + 4);
+    const formatFlags = bytes[offset + 9];
+    let data = bytes.subarray(offset + HEADER_SIZE, Math.min(end, offset + HEADER_SIZE + size));
+    offset += HEADER_SIZE + size;
+
+    if (version === 4) {
+      // Compressed or encrypted frames are skipped
+      if (formatFlags & 0x0C) continue;
+      if (formatFlags & 0x40) data = data.subarray(1); // group id
+      if (formatFlags & 0x01) data = data.subarray(4); // data length indicator
+      if (formatFlags & 0x02) data = removeUnsynchronisation(data);
+    } else {
+      if (formatFlags & 0xC0) continue;
+      if (formatFlags & 0x20) data = data.subarray(1);
+    }
+    frames.push({ id, data });
+  }
+  return frames;
+};
+
+/**
+ * Frames of the tag at the start of bytes: { version, frames: [{ id, data }] },
+ * or null when bytes do not start with a readable tag
+ */
+export const parseId3 = (bytes) => {
+  const tagSize = getId3TagSize(bytes);
+  const version = bytes[3];
+  if (!tagSize || (version !== 3 && version !== 4)) return null;
+
+  const flags = bytes[5];
+  let body = bytes.subarray(HEADER_SIZE, Math.min(bytes.length, tagSize));
+  // v2.3 unsynchronises the whole tag, v2.4 each frame
+  if (version === 3 && flags & 0x80) body = removeUnsynchronisation(body);
+
+  let start = 0;
+  if (flags & 0x40) {
+    start = version === 4 ? readSynchsafe(body, 0) : readUint32(body, 0) + 4;
+  }
+  return { version, frames: parseFrames(body, start, body.length, version) };
+};
+
+/**
+ * Read and parse the tag at the start of a file through a byte reader
+ * (utils/byteReader), or null when the file has none
+ */
+export const readId3Tag = async (reader) => {
+  const header = await reader.read(0, HEADER_SIZE);
+  const tagSize = getId3TagSize(header);
+  if (!tagSize) return null;
+  return parseId3(await reader.read(0, Math.min(tagSize, MAX_TAG_BYTES)));
+};
+
+/**
+ * The tag of a player item's audio ({ key, streamUrl, authToken }), or null
+ * when it has none. Callers asking while a read of the same stream is under
+ * way share it; it is cancelled once every one of them has aborted. Nothing
+ * is kept afterwards - callers cache what they take from the tag.
+ */
+export const loadId3Tag = (item, { signal } = {}) => {
+  const { streamUrl } = item;
+  let read = reads.get(streamUrl);
+  if (!read) {
+    const controller = new AbortController();
+    read = { controller, callers: 0 };
+    read.promise = createByteReader(item, { signal: controller.signal })
+      .then(readId3Tag)
+      .finally(() => { if (reads.get(streamUrl) === read) reads.delete(streamUrl); });
+    reads.set(streamUrl, read);
+  }
+  read.callers += 1;
+
+  return new Promise((resolve, reject) => {
+    const handleAbort = () => {
+      reject(new DOMException('The tag read was aborted', 'AbortError'));
+      read.callers -= 1;
+      if (read.callers === 0) {
+        if (reads.get(streamUrl) === read) reads.delete(streamUrl);
+        read.controller.abort();
+      }
+    };
+    if (signal?.aborted) {
+      handleAbort();
+      return;
+    }
+    signal?.addEventListener('abort', handleAbort, { once: true });
+    read.promise.then(resolve, reject).finally(() => signal?.removeEventListener('abort', handleAbort));
+  });
+};
+
+const decodeText = (bytes, encoding) => {
+  let label = TEXT_ENCODINGS[encoding] || TEXT_ENCODINGS[0];
+  // UTF-16 with a byte order mark; TextDecoder only honours a little-endian one
+  if (encoding === 1 && bytes[0] === 0xFE && bytes[1] === 0xFF) {
+    label = 'utf-16be';
+    bytes = bytes.subarray(2);
+  }
+  return new TextDecoder(label).decode(bytes).replace(/\0+$/, '');
+};
+
+/**
+ * A string ending in the encoding's terminator (one zero byte, or two for
+ * UTF-16): { text, next } where next is the offset after the terminator
+ */
+export const readTerminatedString = (bytes, offset, encoding = 0) => {
+  const wide = encoding === 1 || encoding === 2;
+  let end = offset;
+  while (end < bytes.length && (wide ? bytes[end] !== 0 || bytes[end + 1] !== 0 : bytes[end] !== 0)) {
+    end += wide ? 2 : 1;
+  }
+  return {
+    text: decodeText(bytes.subarray(offset, end), encoding),
+    next: Math.min(bytes.length, end + (wide ? 2 : 1))
+  };
+};
+
+/**
+ * Value of a text frame (TIT2, TPE1, ...); v2.4 lists several values
+ * separated by zero bytes, which are joined with " / "
+ */
+export const readTextFrame = (data) => {
+  if (!data || data.length < 2) return '';
+  return decodeText(data.subarray(1), data[0]).split('\0').filter(Boolean).join(' / ').trim();
+};
+
+export const getTextFrame = (tag, id) => readTextFrame(tag.frames.find(frame => frame.id === id)?.data);
+
+/**
+ * The tag's cover picture as { mimeType, data }: the front cover if there is
+ * one, else the first picture; null when there are none
+ */
+export const getId3Picture = (tag) => {
+  const pictures = tag.frames.filter(frame => frame.id === 'APIC').map((frame) => {
+    const encoding = frame.data[0];
+    const mime = readTerminatedString(frame.data, 1);
+    const type = frame.data[mime.next];
+    const description = readTerminatedString(frame.data, mime.next + 1, encoding);
+    // "-->" means the picture is a URL, not image data
+    if (mime.text === '-->' || description.next >= frame.data.length) return null;
+    const mimeType = mime.text.includes('/') ? mime.text : `image/${(mime.text || 'jpeg').toLowerCase()}`;
+    return { type, mimeType, data: frame.data.subarray(description.next) };
+  }).filter(Boolean);
+
+  const picture = pictures.find(item => item.type === FRONT_COVER) || pictures[0];
+  return picture ? { mimeType: picture.mimeType, data: picture.data } : null;
+};
+
+/**
+ * Chapters of a tag as [{ id, title, start, end }] in seconds, in table of
+ * contents order when the tag has one
+ */
+export const getId3Chapters = (tag) => {
+  const chapters = tag.frames.filter(frame => frame.id === 'CHAP').map((frame) => {
+    const { text: id, next } = readTerminatedString(frame.data, 0);
+    if (next + 16 > frame.data.length) return null;
+    const subframes = { version: tag.version, frames: parseFrames(frame.data, next + 16, frame.data.length, tag.version) };
+    return {
+      id,
+      title: getTextFrame(subframes, 'TIT2'),
+      start: readUint32(frame.data, next) / 1000,
+      end: readUint32(frame.data, next + 4) / 1000
+    };
+  }).filter(Boolean);
+
+  // CTOC: element id, flags (0x02 top level), entry count, child element ids
+  const tables = tag.frames.filter(frame => frame.id === 'CTOC').map((frame) => {
+    const { next } = readTerminatedString(frame.data, 0);
+    const childIds = [];
+    let offset = next + 2;
+    for (let i = 0; i < frame.data[next + 1] && offset < frame.data.length; i++) {
+      const child = readTerminatedString(frame.data, offset);
+      childIds.push(child.text);
+      offset = child.next;
+    }
+    return { topLevel: !!(frame.data[next] & 0x02), childIds };
+  });
+  const table = tables.find(toc => toc.topLevel) || tables[0];
+
+  if (table) {
+    const ordered = table.childIds.map(id => chapters.find(chapter => chapter.id === id)).filter(Boolean);
+    if (ordered.length > 0) return ordered;
+  }
+  return chapters.sort((a, b) => a.start - b.start);
+};
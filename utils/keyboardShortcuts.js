@@ -0,0 +1,72 @@
+/**
+ * Keyboard shortcuts for the audio player
+ * Maps a keydown event to a player action. Keys typed into form fields, and
+ * Space/Enter on buttons, are left alone so normal controls keep working.
+ */
+
+export const KEYBOARD_SHORTCUTS = [
+  { keys: 'Space / K', description: 'Play or pause' },
+  { keys: 'J / ←', description: 'Skip back' },
+  { keys: 'L / →', description: 'Skip forward' },
+  { keys: 'Shift + ↑ / →', description: 'Faster playback' },
+  { keys: 'Shift + ↓ / ←', description: 'Slower playback' },
+  { keys: 'M', description: 'Mute or unmute' },
+  { keys: '0 – 9', description: 'Jump to 0% – 90%' },
+  { keys: 'Home / End', description: 'Jump to start / end' }
+];
+
+const EDITABLE_TAGS = ['INPUT', 'TEXTAREA', 'SELECT'];
+
+/**
+ * Returns { action, value } for a keydown event, or null when the key is
+ * not a player shortcut. Actions: togglePlay, skipBackward, skipForward,
+ * faster, slower, toggleMute, jumpToFraction (value 0-0.9), jumpToStart,
+ * jumpToEnd.
+ */
+export const getShortcutAction = (event) => {
+  if (event.ctrlKey || event.metaKey || event.altKey) return null;
+
+  const target = event.target;
+  if (target && (EDITABLE_TAGS.includes(target.tagName) || target.isContentEditable)) return null;
+  if (target && target.tagName === 'BUTTON' && (event.key === ' ' || event.key === 'Enter')) return null;
+
+  if (event.shiftKey) {
+    switch (event.key) {
+      case 'ArrowUp':
+      case 'ArrowRight':
+        return { action: 'faster' };
+      case 'ArrowDown':
+      case 'ArrowLeft':
+        return { action: 'slower' };
+      default:
+        return null;
+    }
+  }
+
+  switch (event.key) {
+    case ' ':
+    case 'k':
+    case 'K':
+      return { action: 'togglePlay' };
+    case 'j':
+    case 'J':
+    case 'ArrowLeft':
+      return { action: 'skipBackward' };
+    case 'l':
+    case 'L':
+    case 'ArrowRight':
+      return { action: 'skipForward' };
+    case 'm':
+    case 'M':
+      return { action: 'toggleMute' };
+    case 'Home':
+      return { action: 'jumpToStart' };
+    case 'End':
+      return { action: 'jumpToEnd' };
+    default:
+      if (/^[0-9]$/.test(event.key)) {
+        return { action: 'jumpToFraction', value: parseInt(event.key, 10) / 10 };
+      }
+      return null;
+  }
+};
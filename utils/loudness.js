@@ -0,0 +1,134 @@
+/**
+ * Loudness normalisation
+ * Measures how loud each chapter is while it plays and turns that into a
+ * gain correction per book, so one narrator is not much louder than the next.
+ *
+ * Loudness is the RMS level of the unprocessed audio in dBFS, leaving out
+ * silence. Measurements are stored per chapter (by item key) under the book
+ * in localStorage; the book's correction brings the average of its chapters
+ * to TARGET_LOUDNESS_DB and applies to chapters not measured yet as well.
+ */
+
+import { logger, LOG_CATEGORIES } from './config';
+
+const STORAGE_KEY = 'audioPlayer.loudness';
+// ACX asks audiobooks to sit between -23 and -18 dB RMS
+export const TARGET_LOUDNESS_DB = -20;
+export const MAX_BOOST_DB = 12;
+export const MAX_CUT_DB = 12;
+
+const SAMPLE_INTERVAL_MS = 250;
+const REPORT_INTERVAL_MS = 5000;
+const SILENCE_GATE_DB = -50; // quieter windows are pauses, not narration
+const MIN_MEASURED_SECONDS = 10; // of narration before a chapter counts
+const MAX_CHAPTER_SECONDS = 600; // later measurements keep nudging the result
+
+const toDb = (power) => 10 * Math.log10(power);
+
+const readMeasurements = () => {
+  if (typeof window === 'undefined') return {};
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (err) {
+    return {};
+  }
+};
+
+const writeMeasurements = (measurements) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(measurements));
+  } catch (err) {
+    logger.error(LOG_CATEGORIES.PLAYBACK, 'Failed to store loudness measurements', { error: err.message });
+  }
+};
+
+/**
+ * Add a measurement ({ power, seconds }: mean square level over that much
+ * narration) to a chapter of a book
+ */
+export const recordLoudness = (bookId, itemKey, { power, seconds }) => {
+  if (!seconds || !(power > 0)) return;
+  const measurements = readMeasurements();
+  const book = measurements[bookId] || { chapters: {} };
+  const previous = book.chapters[itemKey] || { power: 0, seconds: 0 };
+  const total = previous.seconds + seconds;
+
+  book.chapters[itemKey] = {
+    power: (previous.power * previous.seconds + power * seconds) / total,
+    seconds: Math.min(total, MAX_CHAPTER_SECONDS)
+  };
+  measurements[bookId] = book;
+  writeMeasurements(measurements);
+};
+
+/**
+ * Correction in dB for a book, 0 until enough of it has been measured
+ */
+export const getLoudnessCorrection = (bookId) => {
+  const book = readMeasurements()[bookId];
+  if (!book) return 0;
+
+  let weightedPower = 0;
+  let seconds = 0;
+  Object.values(book.chapters).forEach((chapter) => {
+    if (chapter.seconds < MIN_MEASURED_SECONDS) return;
+    weightedPower += chapter.power * chapter.seconds;
+    seconds += chapter.seconds;
+  });
+  if (seconds === 0) return 0;
+
+  const correction = TARGET_LOUDNESS_DB - toDb(weightedPower / seconds);
+  return Math.min(MAX_BOOST_DB, Math.max(-MAX_CUT_DB, correction));
+};
+
+/**
+ * Measure the analyser's signal while audio plays. onMeasure({ power,
+ * seconds }) is called every few seconds with what was measured since the
+ * last call. Returns a function that stops measuring (and reports the rest).
+ */
+export const startLoudnessMeter = (audio, analyser, onMeasure) => {
+  const samples = new Float32Array(analyser.fftSize);
+  let powerSum = 0;
+  let windows = 0;
+  let lastMediaTime = audio.currentTime;
+  let measuredSeconds = 0;
+
+  const sample = () => {
+    const advanced = audio.currentTime - lastMediaTime;
+    lastMediaTime = audio.currentTime;
+    if (audio.paused || advanced <= 0 || advanced > 1) return;
+
+    analyser.getFloatTimeDomainData(samples);
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) {
+      sum += samples[i] * samples[i];
+    }
+    const power = sum / samples.length;
+    if (power === 0 || toDb(power) < SILENCE_GATE_DB) return;
+
+    powerSum += power;
+    windows += 1;
+    // Each window stands for the narration played since the last sample
+    measuredSeconds += advanced;
+  };
+
+  const report = () => {
+    if (windows === 0) return;
+    onMeasure({ power: powerSum / windows, seconds: measuredSeconds });
+    powerSum = 0;
+    windows = 0;
+    measuredSeconds = 0;
+  };
+
+  const sampleInterval = setInterval(sample, SAMPLE_INTERVAL_MS);
+  const reportInterval = setInterval(report, REPORT_INTERVAL_MS);
+  logger.debug(LOG_CATEGORIES.PLAYBACK, 'Loudness meter started');
+
+  return () => {
+    clearInterval(sampleInterval);
+    clearInterval(reportInterval);
+    report();
+  };
+};
+
+export const formatCorrection = (db) => `${db >= 0 ? '+' : ''}${db.toFixed(1)} dB`;
@@ -0,0 +1,93 @@
+/**
+ * Media Session API helpers
+ * Publishes now-playing metadata and wires lock-screen, notification and
+ * hardware media keys to the player. The session is global to the page, so
+ * the player that last started playback owns it.
+ */
+
+import { logger, LOG_CATEGORIES } from './config';
+
+const ACTIONS = ['play', 'pause', 'seekbackward', 'seekforward', 'seekto', 'previoustrack', 'nexttrack', 'stop'];
+
+let currentOwner = null;
+
+export const isMediaSessionSupported = () =>
+  typeof navigator !== 'undefined' && 'mediaSession' in navigator;
+
+const toArtwork = (artwork) => {
+  if (!artwork) return [];
+  if (Array.isArray(artwork)) return artwork;
+  return [{ src: artwork, sizes: '512x512' }];
+};
+
+/**
+ * Take over the media session for a player.
+ * metadata: { title, artist, album, artwork }
+ * handlers: { play, pause, seekbackward, seekforward, seekto, previoustrack, nexttrack }
+ * Missing handlers are cleared so the OS hides the matching buttons.
+ */
+export const claimMediaSession = (owner, metadata, handlers) => {
+  if (!isMediaSessionSupported()) return;
+  currentOwner = owner;
+
+  try {
+    navigator.mediaSession.metadata = new window.MediaMetadata({
+      title: metadata.title || '',
+      artist: metadata.artist || '',
+      album: metadata.album || '',
+      artwork: toArtwork(metadata.artwork)
+    });
+  } catch (err) {
+    logger.warn(LOG_CATEGORIES.PLAYBACK, 'Could not set media session metadata', { error: err.message });
+  }
+
+  ACTIONS.forEach(action => {
+    try {
+      navigator.mediaSession.setActionHandler(action, handlers[action] || null);
+    } catch (err) {
+      // Older browsers throw for actions they don't know (e.g. seekto)
+      logger.debug(LOG_CATEGORIES.PLAYBACK, `Media session action not supported: ${action}`);
+    }
+  });
+};
+
+export const ownsMediaSession = (owner) => currentOwner === owner;
+
+export const setMediaPlaybackState = (owner, state) => {
+  if (!isMediaSessionSupported() || currentOwner !== owner) return;
+  navigator.mediaSession.playbackState = state;
+};
+
+/**
+ * Keep the lock-screen scrubber in sync. Ignored until the duration is known.
+ */
+export const updateMediaPositionState = (owner, { duration, position, playbackRate }) => {
+  if (!isMediaSessionSupported() || currentOwner !== owner) return;
+  if (!navigator.mediaSession.setPositionState) return;
+  if (!Number.isFinite(duration) || duration <= 0) return;
+
+  try {
+    navigator.mediaSession.setPositionState({
+      duration,
+      position: Math.min(Math.max(0, position || 0), duration),
+      playbackRate: playbackRate || 1
+    });
+  } catch (err) {
+    logger.debug(LOG_CATEGORIES.PLAYBACK, 'Could not update media position state', { error: err.message });
+  }
+};
+
+export const releaseMediaSession = (owner) => {
+  if (!isMediaSessionSupported() || currentOwner !== owner) return;
+  currentOwner = null;
+
+  navigator.mediaSession.metadata = null;
+  navigator.mediaSession.playbackState = 'none';
+  ACTIONS.forEach(action => {
+    try {
+      navigator.mediaSession.setActionHandler(action, null);
+    } catch (err) {
+      // Unsupported action - nothing to clear
+    }
+  });
+};
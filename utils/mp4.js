@@ -0,0 +1,196 @@
+/**
+ * MP4 chapters
+ * Reads the chapter list of an M4A/M4B through a byte reader
+ * (utils/byteReader). Both kinds of MP4 chapters are understood:
+ * - Nero chapters: a moov/udta/chpl box with start times and titles.
+ * - QuickTime chapters: a text track that another track points to with a
+ *   tref/chap box; each sample is one chapter title. The titles live in
+ *   mdat, so they are read separately.
+ * Only the boxes needed are fetched: the top-level headers until moov is
+ * found, then moov itself.
+ */
+
+const MAX_MOOV_BYTES = 16 * 1024 * 1024;
+const MAX_TOP_LEVEL_BOXES = 64;
+const MAX_TITLE_SPAN_BYTES = 1024 * 1024; // titles closer together than this are read in one go
+const NERO_TIME_UNITS = 10000000; // chpl times are in 100ns
+
+const readUint32 = (bytes, offset) =>
+  ((bytes[offset] << 24) >>> 0) + (bytes[offset + 1] << 16) + (bytes[offset + 2] << 8) + bytes[offset + 3];
+
+const readUint64 = (bytes, offset) => readUint32(bytes, offset) * 4294967296 + readUint32(bytes, offset + 4);
+
+const readType = (bytes, offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+
+// { type, start, end, contentStart } of the box at offset, or null past the end
+const readBoxHeader = (bytes, offset, limit = bytes.length) => {
+  if (offset + 8 > limit) return null;
+  let size = readUint32(bytes, offset);
+  let headerSize = 8;
+  if (size === 1) {
+    size = readUint64(bytes, offset + 8);
+    headerSize = 16;
+  } else if (size === 0) {
+    size = limit - offset;
+  }
+  if (size < headerSize) return null;
+  return { type: readType(bytes, offset + 4), start: offset, end: offset + size, contentStart: offset + headerSize };
+};
+
+const listChildren = (bytes, box) => {
+  const children = [];
+  let offset = box.contentStart;
+  let child;
+  while ((child = readBoxHeader(bytes, offset, box.end))) {
+    children.push(child);
+    offset = child.end;
+  }
+  return children;
+};
+
+// The box at a path of types below box, e.g. findBox(bytes, moov, ['udta', 'chpl'])
+const findBox = (bytes, box, path) => path.reduce(
+  (parent, type) => (parent ? listChildren(bytes, parent).find(child => child.type === type) || null : null),
+  box
+);
+
+export const isMp4 = (head) => head.length >= 8 && readType(head, 4) === 'ftyp';
+
+const readNeroChapters = (moov, moovBox) => {
+  const chpl = findBox(moov, moovBox, ['udta', 'chpl']);
+  if (!chpl) return null;
+
+  const version = moov[chpl.contentStart];
+  let offset = chpl.contentStart + 4 + (version >= 1 ? 4 : 0);
+  const count = moov[offset];
+  offset += 1;
+  const decoder = new TextDecoder('utf-8');
+  const chapters = [];
+  for (let i = 0; i < count && offset + 9 <= chpl.end; i++) {
+    const start = readUint64(moov, offset) / NERO_TIME_UNITS;
+    const titleLength = moov[offset + 8];
+    const title = decoder.decode(moov.subarray(offset + 9, offset + 9 + titleLength));
+    chapters.push({ title, start });
+    offset += 9 + titleLength;
+  }
+  return chapters.length > 0 ? chapters : null;
+};
+
+const getTrackId = (moov, trak) => {
+  const tkhd = findBox(moov, trak, ['tkhd']);
+  if (!tkhd) return null;
+  // version 1 has 64-bit creation/modification times
+  return readUint32(moov, tkhd.contentStart + (moov[tkhd.contentStart] === 1 ? 20 : 12));
+};
+
+// Sample times (in seconds) and file positions of a track
+const readSampleTable = (moov, trak) => {
+  const mdhd = findBox(moov, trak, ['mdia', 'mdhd']);
+  const stbl = findBox(moov, trak, ['mdia', 'minf', 'stbl']);
+  if (!mdhd || !stbl) return null;
+  const timescale = readUint32(moov, mdhd.contentStart + (moov[mdhd.contentStart] === 1 ? 20 : 12));
+  const boxes = Object.fromEntries(listChildren(moov, stbl).map(box => [box.type, box]));
+  const chunkOffsetBox = boxes.stco || boxes.co64;
+  if (!timescale || !boxes.stts || !boxes.stsz || !boxes.stsc || !chunkOffsetBox) return null;
+
+  // stts: runs of (sample count, duration)
+  const times = [];
+  let time = 0;
+  const entryCount = readUint32(moov, boxes.stts.contentStart + 4);
+  for (let i = 0; i < entryCount; i++) {
+    const count = readUint32(moov, boxes.stts.contentStart + 8 + i * 8);
+    const delta = readUint32(moov, boxes.stts.contentStart + 12 + i * 8);
+    for (let j = 0; j < count; j++) {
+      times.push(time / timescale);
+      time += delta;
+    }
+  }
+
+  // stsz: one size for all samples, or a size per sample
+  const fixedSize = readUint32(moov, boxes.stsz.contentStart + 4);
+  const sampleCount = readUint32(moov, boxes.stsz.contentStart + 8);
+  const sizes = Array.from({ length: sampleCount }, (_, i) => (
+    fixedSize || readUint32(moov, boxes.stsz.contentStart + 12 + i * 4)
+  ));
+
+  // stco / co64: where each chunk starts
+  const isLarge = chunkOffsetBox.type === 'co64';
+  const chunkCount = readUint32(moov, chunkOffsetBox.contentStart + 4);
+  const chunkOffsets = Array.from({ length: chunkCount }, (_, i) => (isLarge
+    ? readUint64(moov, chunkOffsetBox.contentStart + 8 + i * 8)
+    : readUint32(moov, chunkOffsetBox.contentStart + 8 + i * 4)));
+
+  // stsc: runs of (first chunk, samples per chunk) - samples follow each other within a chunk
+  const runCount = readUint32(moov, boxes.stsc.contentStart + 4);
+  const runs = Array.from({ length: runCount }, (_, i) => ({
+    firstChunk: readUint32(moov, boxes.stsc.contentStart + 8 + i * 12),
+    samplesPerChunk: readUint32(moov, boxes.stsc.contentStart + 12 + i * 12)
+  }));
+  const positions = [];
+  for (let chunk = 1, run = 0; chunk <= chunkCount && positions.length < sampleCount; chunk++) {
+    if (run + 1 < runs.length && runs[run + 1].firstChunk <= chunk) run++;
+    let position = chunkOffsets[chunk - 1];
+    for (let i = 0; i < runs[run].samplesPerChunk && positions.length < sampleCount; i++) {
+      positions.push({ offset: position, size: sizes[positions.length] });
+      position += sizes[positions.length - 1];
+    }
+  }
+
+  return positions.map((position, i) => ({ ...position, time: times[i] ?? 0 }));
+};
+
+// A text sample: 16-bit length, then UTF-8 or (with a BOM) UTF-16 text
+const decodeTitle = (bytes) => {
+  const length = (bytes[0] << 8) | bytes[1];
+  const text = bytes.subarray(2, 2 + length);
+  return text[0] === 0xFE && text[1] === 0xFF
+    ? new TextDecoder('utf-16be').decode(text.subarray(2))
+    : new TextDecoder('utf-8').decode(text);
+};
+
+const readQuickTimeChapters = async (moov, moovBox, reader) => {
+  const traks = listChildren(moov, moovBox).filter(box => box.type === 'trak');
+  const chap = traks.map(trak => findBox(moov, trak, ['tref', 'chap'])).find(Boolean);
+  if (!chap) return null;
+  const chapterTrackId = readUint32(moov, chap.contentStart);
+  const chapterTrak = traks.find(trak => getTrackId(moov, trak) === chapterTrackId);
+  const samples = chapterTrak && readSampleTable(moov, chapterTrak);
+  if (!samples?.length) return null;
+
+  const first = Math.min(...samples.map(sample => sample.offset));
+  const last = Math.max(...samples.map(sample => sample.offset + sample.size));
+  const span = last - first <= MAX_TITLE_SPAN_BYTES ? await reader.read(first, last - first) : null;
+
+  const chapters = [];
+  for (const sample of samples) {
+    const bytes = span
+      ? span.subarray(sample.offset - first, sample.offset - first + sample.size)
+      : await reader.read(sample.offset, sample.size);
+    chapters.push({ title: decodeTitle(bytes), start: sample.time });
+  }
+  return chapters;
+};
+
+/**
+ * Chapters of an MP4 file as [{ title, start }] (seconds), or null when it
+ * has none
+ */
+export const readMp4Chapters = async (reader) => {
+  let offset = 0;
+  for (let i = 0; i < MAX_TOP_LEVEL_BOXES; i++) {
+    const header = await reader.read(offset, 16);
+    const box = readBoxHeader(header, 0, header.length >= 16 ? Infinity : header.length);
+    if (!box) return null;
+    if (box.type === 'moov') {
+      const size = box.end - box.start;
+      if (size > MAX_MOOV_BYTES) return null;
+      const moov = await reader.read(offset, size);
+      const moovBox = readBoxHeader(moov, 0);
+      return readNeroChapters(moov, moovBox) || readQuickTimeChapters(moov, moovBox, reader);
+    }
+    // A size of 0 means the box runs to the end of the file
+    if (readUint32(header, 0) === 0) return null;
+    offset += box.end - box.start;
+  }
+  return null;
+};
@@ -0,0 +1,163 @@
+/**
+ * Offline audiobook storage
+ * Keeps downloaded intro/chapter audio and its metadata in IndexedDB so the
+ * player can use it again without the network. Metadata and audio live in
+ * separate stores so listing the library never loads the blobs.
+ */
+
+import { logger, LOG_CATEGORIES } from './config';
+import { sessionLogger } from './logger';
+import { apiRequest } from './apiClient';
+
+const DB_NAME = 'audio-player-offline';
+const DB_VERSION = 1;
+const ITEMS_STORE = 'items';
+const AUDIO_STORE = 'audio';
+
+let dbPromise = null;
+
+export const isOfflineStorageAvailable = () =>
+  typeof window !== 'undefined' && 'indexedDB' in window;
+
+/**
+ * Storage key for a book intro or chapter, e.g. "chapter:4" or "bookintro:1"
+ */
+export const getOfflineKey = ({ bookId, chapterId }) =>
+  chapterId ? `chapter:${chapterId}` : `bookintro:${bookId}`;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(ITEMS_STORE)) {
+          const items = db.createObjectStore(ITEMS_STORE, { keyPath: 'key' });
+          items.createIndex('bookId', 'bookId');
+        }
+        if (!db.objectStoreNames.contains(AUDIO_STORE)) {
+          db.createObjectStore(AUDIO_STORE);
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error);
+});
+
+/**
+ * Store audio plus its metadata (bookId, chapterId, titles, duration, ...)
+ */
+export const saveOfflineAudio = async (metadata, blob) => {
+  const db = await openDatabase();
+  const key = metadata.key || getOfflineKey(metadata);
+  const item = {
+    ...metadata,
+    key,
+    mimeType: blob.type || 'audio/mpeg',
+    size: blob.size,
+    savedAt: new Date().toISOString()
+  };
+
+  const tx = db.transaction([ITEMS_STORE, AUDIO_STORE], 'readwrite');
+  tx.objectStore(ITEMS_STORE).put(item);
+  tx.objectStore(AUDIO_STORE).put(blob, key);
+  await transactionDone(tx);
+
+  logger.info(LOG_CATEGORIES.NETWORK, 'Audio saved for offline playback', {
+    key,
+    size: Math.round(blob.size / 1024) + 'KB'
+  });
+  return item;
+};
+
+/**
+ * Metadata for one saved item, or null when it is not stored
+ */
+export const getOfflineItem = async (key) => {
+  if (!isOfflineStorageAvailable()) return null;
+  const db = await openDatabase();
+  const item = await requestToPromise(db.transaction(ITEMS_STORE).objectStore(ITEMS_STORE).get(key));
+  return item || null;
+};
+
+/**
+ * Saved audio blob for a key, or null when it is not stored
+ */
+export const getOfflineAudio = async (key) => {
+  if (!isOfflineStorageAvailable()) return null;
+  const db = await openDatabase();
+  const blob = await requestToPromise(db.transaction(AUDIO_STORE).objectStore(AUDIO_STORE).get(key));
+  return blob || null;
+};
+
+/**
+ * All saved items (metadata only), newest first
+ */
+export const listOfflineItems = async () => {
+  if (!isOfflineStorageAvailable()) return [];
+  const db = await openDatabase();
+  const items = await requestToPromise(db.transaction(ITEMS_STORE).objectStore(ITEMS_STORE).getAll());
+  return items.sort((a, b) => (b.savedAt || '').localeCompare(a.savedAt || ''));
+};
+
+export const deleteOfflineItem = async (key) => {
+  const db = await openDatabase();
+  const tx = db.transaction([ITEMS_STORE, AUDIO_STORE], 'readwrite');
+  tx.objectStore(ITEMS_STORE).delete(key);
+  tx.objectStore(AUDIO_STORE).delete(key);
+  await transactionDone(tx);
+  logger.info(LOG_CATEGORIES.NETWORK, 'Offline audio deleted', { key });
+};
+
+/**
+ * Download a stream URL and store it for offline playback.
+ * onProgress receives (receivedBytes, totalBytes) while the body is read.
+ */
+export const downloadForOffline = async (url, { authToken, metadata, onProgress, signal } = {}) => {
+  try {
+    const response = await apiRequest(url, { authToken: authToken || null, signal, responseType: 'response' });
+    const totalBytes = parseInt(response.headers.get('Content-Length'), 10) || 0;
+
+    const mimeType = (response.headers.get('Content-Type') || 'audio/mpeg').split(';')[0].trim();
+    let blob;
+
+    if (response.body && onProgress) {
+      const reader = response.body.getReader();
+      const chunks = [];
+      let receivedBytes = 0;
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        receivedBytes += value.byteLength;
+        onProgress(receivedBytes, totalBytes);
+      }
+      blob = new Blob(chunks, { type: mimeType });
+    } else {
+      blob = await response.blob();
+    }
+
+    return saveOfflineAudio(metadata, blob);
+  } catch (err) {
+    if (err.name !== 'AbortError') {
+      sessionLogger.trackError(err, { operation: 'offline_download', url });
+    }
+    throw err;
+  }
+};
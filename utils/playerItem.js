@@ -0,0 +1,55 @@
+/**
+ * Player items
+ * Everything the shared player needs to load, resume and sync one book intro
+ * or chapter. AudioPlayer and ChapterPlayer build items the same way so an
+ * item started on one page is recognised (by key) on another.
+ */
+
+import { config } from './config';
+import { getOfflineKey } from './offlineStorage';
+
+const DEFAULT_API_BASE_URL = config.apiBaseUrl;
+
+/**
+ * chapter is a normalised chapter (see utils/chapters) or null for a book intro.
+ * streamUrl / progressUrl override the URLs derived from the chapter or book.
+ */
+export const createPlayerItem = ({
+  bookId,
+  chapterId = null,
+  chapter = null,
+  apiBaseUrl = DEFAULT_API_BASE_URL,
+  authToken = null,
+  streamUrl = null,
+  progressUrl = null,
+  bookTitle = null,
+  author = null,
+  artwork = null,
+  trackControls = null, // { previous, next } when the view handles prev/next itself
+  smartRewind = true // Rewind a little on play after a pause (see utils/smartRewind)
+}) => {
+  const id = chapter?.id || chapterId || null;
+  const base = id
+    ? `${apiBaseUrl}/audioStreaming/chapters/${id}`
+    : `${apiBaseUrl}/audioStreaming/bookintro/${bookId}`;
+  const readProgressUrl = progressUrl || chapter?.progressUrl || `${base}/progress`;
+
+  return {
+    key: getOfflineKey({ bookId, chapterId: id }),
+    bookId,
+    chapterId: id,
+    chapter,
+    title: chapter?.title || (id ? `Chapter ${chapter?.number || id}` : bookTitle || `Book #${bookId}`),
+    bookTitle,
+    author,
+    artwork,
+    streamUrl: streamUrl || chapter?.streamUrl || `${base}/audio`,
+    progressUrl: readProgressUrl,
+    // Chapters may post progress to a separate update_progress endpoint
+    progressUpdateUrl: progressUrl || chapter?.progressUpdateUrl || readProgressUrl,
+    durationHint: chapter?.duration || 0,
+    authToken,
+    trackControls,
+    smartRewind
+  };
+};
@@ -0,0 +1,284 @@
+/**
+ * Durable progress queue
+ * Progress updates that cannot be POSTed (offline, server errors) are kept in
+ * localStorage and replayed in order once connectivity returns. Before an
+ * entry is replayed the server's copy is checked and the newer of the two,
+ * by timestamp, wins.
+ */
+
+import { logger, LOG_CATEGORIES } from './config';
+import { api, ApiError } from './apiClient';
+
+const STORAGE_KEY = 'audioPlayer.progressQueue';
+const MAX_ENTRIES = 200;
+const MAX_ATTEMPTS = 8;
+const MAX_RETRY_DELAY = 60000;
+
+export const SYNC_STATUS = {
+  SYNCED: 'synced',
+  PENDING: 'pending',
+  FAILED: 'failed'
+};
+
+const listeners = new Set();
+let flushPromise = null;
+let retryTimer = null;
+let offlineRetries = 0;
+
+const readQueue = () => {
+  if (typeof window === 'undefined') return [];
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch (err) {
+    logger.warn(LOG_CATEGORIES.PROGRESS, 'Progress queue unreadable, starting fresh', { error: err.message });
+    return [];
+  }
+};
+
+const writeQueue = (queue) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(queue));
+  } catch (err) {
+    logger.error(LOG_CATEGORIES.PROGRESS, 'Failed to persist progress queue', { error: err.message });
+  }
+  listeners.forEach(listener => listener(queue));
+};
+
+// Server progress may carry its timestamp under different names
+export const getServerTimestamp = (progress) => {
+  const value = progress?.updated_at || progress?.last_updated || progress?.client_timestamp;
+  const time = value ? Date.parse(value) : NaN;
+  return Number.isNaN(time) ? null : time;
+};
+
+const isRetryableStatus = (status) => status >= 500 || status === 401 || status === 408 || status === 429;
+
+/**
+ * Add a progress update for a progress URL. body holds position, duration,
+ * playback_speed, status and client_timestamp.
+ */
+export const enqueueProgress = (url, body) => {
+  const queue = readQueue();
+  queue.push({
+    id: `${Date.now()}-${Math.random().toString(36).substr(2, 6)}`,
+    url,
+    body,
+    attempts: 0,
+    status: SYNC_STATUS.PENDING
+  });
+
+  // Oldest entries go first if the queue grows past the limit
+  writeQueue(queue.slice(-MAX_ENTRIES));
+  logger.info(LOG_CATEGORIES.PROGRESS, 'Progress update queued', { url, position: body.position, queued: queue.length });
+};
+
+export const hasQueuedProgress = (url) => readQueue().some(entry => entry.url === url);
+
+/**
+ * Most recent queued update for a URL, used to prefer local progress over an
+ * older server value when resuming
+ */
+export const getLatestQueuedProgress = (url) => {
+  const entries = readQueue().filter(entry => entry.url === url);
+  return entries.length > 0 ? entries[entries.length - 1].body : null;
+};
+
+/**
+ * Sync state for one progress URL: failed beats pending beats synced
+ */
+export const getSyncStatus = (url) => {
+  const entries = readQueue().filter(entry => entry.url === url);
+  if (entries.some(entry => entry.status === SYNC_STATUS.FAILED)) return SYNC_STATUS.FAILED;
+  if (entries.length > 0) return SYNC_STATUS.PENDING;
+  return SYNC_STATUS.SYNCED;
+};
+
+/**
+ * Pick whichever of the server progress and the newest queued local update
+ * is more recent. Returns progress in the server's shape.
+ */
+export const preferNewerProgress = (serverProgress, localProgress) => {
+  if (!localProgress) return serverProgress;
+
+  const serverTime = getServerTimestamp(serverProgress);
+  if (serverProgress && serverTime !== null && serverTime > Date.parse(localProgress.client_timestamp)) {
+    return serverProgress;
+  }
+
+  const completion = localProgress.duration > 0
+    ? Math.min(100, (localProgress.position / localProgress.duration) * 100)
+    : parseFloat(serverProgress?.completion_percentage) || 0;
+
+  return {
+    ...serverProgress,
+    position: localProgress.position,
+    playback_speed: localProgress.playback_speed,
+    completion_percentage: localProgress.status === 'completed' ? 100 : completion,
+    is_finished: localProgress.status === 'completed',
+    updated_at: localProgress.client_timestamp
+  };
+};
+
+export const subscribeToProgressQueue = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Put failed entries back into the pending state so the next flush retries them
+ */
+export const retryFailedProgress = (authToken) => {
+  writeQueue(readQueue().map(entry => ({ ...entry, status: SYNC_STATUS.PENDING, attempts: 0 })));
+  return flushProgressQueue(authToken);
+};
+
+// The queue has its own retry schedule, so requests here are not retried
+const fetchServerProgress = async (url, authToken) => {
+  try {
+    const data = await api.get(url, { authToken, retries: 0 });
+    return data?.progress || null;
+  } catch (err) {
+    if (err instanceof ApiError && !err.isNetworkError) return null;
+    throw err;
+  }
+};
+
+const sendEntry = async (entry, authToken, serverProgressCache) => {
+  if (!serverProgressCache.has(entry.url)) {
+    serverProgressCache.set(entry.url, await fetchServerProgress(entry.url, authToken));
+  }
+
+  const serverTime = getServerTimestamp(serverProgressCache.get(entry.url));
+  const clientTime = Date.parse(entry.body.client_timestamp);
+  if (serverTime !== null && serverTime > clientTime) {
+    logger.info(LOG_CATEGORIES.PROGRESS, 'Dropping queued progress, server copy is newer', {
+      url: entry.url,
+      queuedPosition: entry.body.position,
+      serverTimestamp: new Date(serverTime).toISOString()
+    });
+    return { ok: true };
+  }
+
+  try {
+    await api.post(entry.url, entry.body, { authToken, responseType: 'text' });
+  } catch (err) {
+    // Network errors propagate so the flush is deferred without using up attempts
+    if (!(err instanceof ApiError) || err.isNetworkError) throw err;
+    return { ok: false, retryable: isRetryableStatus(err.status), status: err.status };
+  }
+
+  // Later entries for the same URL only need to beat what we just sent
+  serverProgressCache.set(entry.url, { ...entry.body, updated_at: entry.body.client_timestamp });
+  return { ok: true };
+};
+
+/**
+ * POST a progress update, queueing it when it cannot be delivered. Updates
+ * for a URL that still has queued entries wait behind them to keep the order.
+ * Resolves true when the server accepted the update right away.
+ */
+export const postProgress = async (url, authToken, body) => {
+  logger.debug(LOG_CATEGORIES.PROGRESS, 'Updating progress', body);
+
+  if (hasQueuedProgress(url)) {
+    enqueueProgress(url, body);
+    flushProgressQueue(authToken);
+    return false;
+  }
+
+  try {
+    const result = await api.post(url, body, { authToken });
+    logger.info(LOG_CATEGORIES.PROGRESS, 'Progress updated successfully', result);
+    return true;
+  } catch (err) {
+    logger.error(LOG_CATEGORIES.PROGRESS, 'Progress update failed', {
+      status: err.status,
+      error: {
+        name: err.name,
+        message: err.message
+      },
+      errorResponse: err.data,
+      requestBody: body
+    });
+  }
+
+  // Keep the position so it can be replayed when the connection returns
+  enqueueProgress(url, body);
+  flushProgressQueue(authToken);
+  return false;
+};
+
+const scheduleRetry = (authToken, attempts) => {
+  if (retryTimer) clearTimeout(retryTimer);
+  const delay = Math.min(MAX_RETRY_DELAY, 1000 * Math.pow(2, Math.max(1, attempts)));
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    flushProgressQueue(authToken);
+  }, delay);
+};
+
+/**
+ * Replay queued updates in order. Stops at the first retryable failure so
+ * later positions never overtake earlier ones. Being offline never counts
+ * towards an entry's attempts - only server errors can mark it failed.
+ * Failed entries are dropped once a newer position for their URL syncs.
+ */
+export const flushProgressQueue = (authToken) => {
+  if (!authToken || typeof window === 'undefined') return Promise.resolve();
+  if (flushPromise) return flushPromise;
+  // The 'online' event triggers the next flush
+  if (navigator.onLine === false) return Promise.resolve();
+
+  flushPromise = (async () => {
+    const serverProgressCache = new Map();
+    let queue = readQueue();
+    if (queue.length === 0) return;
+
+    logger.info(LOG_CATEGORIES.PROGRESS, 'Replaying queued progress updates', { count: queue.length });
+
+    for (const entry of queue.filter(item => item.status === SYNC_STATUS.PENDING)) {
+      let result;
+      try {
+        result = await sendEntry(entry, authToken, serverProgressCache);
+      } catch (err) {
+        // Network error - still offline, try again later without using up attempts
+        offlineRetries += 1;
+        logger.debug(LOG_CATEGORIES.PROGRESS, 'Progress replay deferred, network unavailable', { error: err.message });
+        scheduleRetry(authToken, offlineRetries);
+        return;
+      }
+
+      offlineRetries = 0;
+      queue = readQueue();
+      if (result.ok) {
+        // Failed updates for the same URL are superseded by this one - no point retrying them
+        const syncedAt = Date.parse(entry.body.client_timestamp);
+        writeQueue(queue.filter(item => item.id !== entry.id && !(item.url === entry.url &&
+          item.status === SYNC_STATUS.FAILED && Date.parse(item.body.client_timestamp) <= syncedAt)));
+        continue;
+      }
+
+      const attempts = entry.attempts + 1;
+      const failed = !result.retryable || attempts >= MAX_ATTEMPTS;
+      writeQueue(queue.map(item => item.id === entry.id
+        ? { ...item, attempts, status: failed ? SYNC_STATUS.FAILED : SYNC_STATUS.PENDING }
+        : item));
+
+      logger.warn(LOG_CATEGORIES.PROGRESS, 'Queued progress update not sent', {
+        url: entry.url,
+        attempts,
+        failed,
+        status: result.status
+      });
+
+      if (!failed) {
+        scheduleRetry(authToken, attempts);
+        return;
+      }
+    }
+  })().finally(() => {
+    flushPromise = null;
+  });
+
+  return flushPromise;
+};
@@ -0,0 +1,137 @@
+/**
+ * Sections within a file
+ * A book intro or single-file audiobook can hold many sections. They are
+ * read from, in order of preference:
+ * - a JSON sidecar next to the stream (".../audio" → ".../sections"):
+ *   { sections | chapters | markers: [{ title, start, end? }] } or a plain
+ *   array, times in seconds or "hh:mm:ss", or start_ms / end_ms;
+ * - ID3v2 CHAP/CTOC frames at the start of an MP3 (utils/id3);
+ * - MP4 chapters, Nero or QuickTime (utils/mp4).
+ * Embedded chapters are read with Range requests (or from the offline copy),
+ * so only the metadata is downloaded.
+ *
+ * Sections come out as [{ title, start, end }] in seconds, sorted by start;
+ * end is null for the last one when the file's duration is not known.
+ */
+
+import { logger, LOG_CATEGORIES } from './config';
+import { api, isAbortError } from './apiClient';
+import { createByteReader } from './byteReader';
+import { loadId3Tag, getId3Chapters } from './id3';
+import { isMp4, readMp4Chapters } from './mp4';
+import { parseTimestamp } from './transcript';
+
+// "Previous section" within this many seconds of a section's start goes to the one before
+export const SECTION_RESTART_SECONDS = 3;
+
+// Sections by stream URL for the life of the page
+const cache = new Map();
+
+/**
+ * Where the sections sidecar for a stream URL would be
+ */
+export const getSectionsUrl = (streamUrl) => {
+  const [path, query] = streamUrl.split('?');
+  const sectionsPath = /\/audio$/.test(path) ? path.replace(/\/audio$/, '/sections') : `${path}.sections.json`;
+  return query ? `${sectionsPath}?${query}` : sectionsPath;
+};
+
+const readTime = (entry, name) => {
+  const ms = entry[`${name}_ms`] ?? entry[`${name}Ms`];
+  if (ms !== undefined) return Number(ms) / 1000;
+  return parseTimestamp(entry[name] ?? entry[`${name}_time`] ?? entry[`${name}Time`]);
+};
+
+/**
+ * Sections in the shape described above, from any list of { title, start, end? }
+ */
+export const normalizeSections = (entries, duration = null) => {
+  const sorted = entries
+    .filter(entry => Number.isFinite(entry.start) && entry.start >= 0)
+    .sort((a, b) => a.start - b.start);
+  const sections = sorted.map((entry, index) => {
+    const nextStart = sorted[index + 1]?.start ?? duration ?? null;
+    return {
+      title: (entry.title || '').trim() || `Section ${index + 1}`,
+      start: entry.start,
+      // Some writers leave end at 0 or 0xFFFFFFFF ms - the next start is safer
+      end: Number.isFinite(entry.end) && entry.end > entry.start && (nextStart === null || entry.end <= nextStart)
+        ? entry.end
+        : nextStart
+    };
+  });
+  // A single section is just the file
+  return sections.length > 1 ? sections : null;
+};
+
+/**
+ * Sections from a sidecar's JSON
+ */
+export const parseSectionsJson = (data) => {
+  const entries = Array.isArray(data) ? data : data?.sections || data?.chapters || data?.markers;
+  if (!Array.isArray(entries)) return null;
+  return normalizeSections(entries.map(entry => ({
+    title: String(entry.title ?? entry.name ?? ''),
+    start: readTime(entry, 'start'),
+    end: readTime(entry, 'end')
+  })));
+};
+
+const readEmbeddedSections = async (item, signal) => {
+  const tag = await loadId3Tag(item, { signal });
+  if (tag) return normalizeSections(getId3Chapters(tag));
+
+  const reader = await createByteReader(item, { signal });
+  if (!isMp4(await reader.read(0, 16))) return null;
+  const chapters = await readMp4Chapters(reader);
+  return chapters ? normalizeSections(chapters) : null;
+};
+
+/**
+ * Sections of a player item ({ key, streamUrl, authToken }), or null when
+ * it has none. sectionsUrl overrides the location of the sidecar.
+ */
+export const loadSections = async (item, { sectionsUrl = null, signal } = {}) => {
+  const { streamUrl, authToken } = item;
+  if (!streamUrl) return null;
+  const cacheKey = `${streamUrl} ${sectionsUrl || ''}`;
+  if (cache.has(cacheKey)) return cache.get(cacheKey);
+
+  let sections = null;
+  // Only cache an answer that was not cut short by an error
+  let complete = true;
+  try {
+    sections = parseSectionsJson(await api.get(sectionsUrl || getSectionsUrl(streamUrl), { authToken, signal, retries: 0 }));
+  } catch (err) {
+    if (isAbortError(err)) throw err;
+    if (err.status !== 404) {
+      complete = false;
+      logger.warn(LOG_CATEGORIES.NETWORK, 'Could not load sections', { url: streamUrl, error: err.message });
+    }
+  }
+
+  if (!sections) {
+    try {
+      sections = await readEmbeddedSections(item, signal);
+    } catch (err) {
+      if (isAbortError(err)) throw err;
+      complete = false;
+      logger.debug(LOG_CATEGORIES.NETWORK, 'No embedded chapter markers read', { url: streamUrl, error: err.message });
+    }
+  }
+
+  if (complete || sections) cache.set(cacheKey, sections);
+  logger.debug(LOG_CATEGORIES.PLAYBACK, 'Sections loaded', { url: streamUrl, count: sections?.length || 0 });
+  return sections;
+};
+
+/**
+ * Index of the section playing at time, -1 before the first
+ */
+export const findSectionIndex = (sections, time) => {
+  let found = -1;
+  sections.forEach((section, index) => {
+    if (section.start <= time + 0.01) found = index;
+  });
+  return found;
+};
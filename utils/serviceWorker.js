@@ -0,0 +1,34 @@
+/**
+ * Removal of the audio authentication service worker
+ * Earlier versions registered /audio-auth-sw.js to add a Bearer token to
+ * audio requests. Sessions are cookies now, but browsers keep a registered
+ * worker - and the token it stored in Cache Storage - until told otherwise.
+ */
+
+import { logger, LOG_CATEGORIES } from './config';
+
+const LEGACY_SCRIPT_PATH = '/audio-auth-sw.js';
+const LEGACY_CACHE = 'audio-auth-sw';
+
+const isLegacyWorker = (registration) =>
+  [registration.active, registration.waiting, registration.installing]
+    .some(worker => worker && new URL(worker.scriptURL).pathname === LEGACY_SCRIPT_PATH);
+
+/**
+ * Unregister the old worker and delete its token cache, if this browser has them
+ */
+export const unregisterAudioServiceWorker = async () => {
+  if (typeof window === 'undefined' || !('serviceWorker' in navigator)) return;
+
+  try {
+    const registrations = await navigator.serviceWorker.getRegistrations();
+    const legacy = registrations.filter(isLegacyWorker);
+    await Promise.all(legacy.map(registration => registration.unregister()));
+    if (window.caches) await window.caches.delete(LEGACY_CACHE);
+    if (legacy.length > 0) {
+      logger.info(LOG_CATEGORIES.INIT, 'Audio service worker unregistered', { count: legacy.length });
+    }
+  } catch (err) {
+    logger.warn(LOG_CATEGORIES.INIT, 'Could not unregister audio service worker', { error: err.message });
+  }
+};
@@ -0,0 +1,107 @@
+/**
+ * Silence trimming
+ * Watches the audio graph's analyser and plays long pauses in the narration
+ * faster, then drops back to the listener's speed as soon as speech returns.
+ * Speeding up (rather than seeking past) keeps buffering and progress intact.
+ *
+ * The check runs on a timer, which browsers slow to once a second in hidden
+ * tabs - too coarse to catch the start of speech - so trimming pauses while
+ * the page is hidden.
+ */
+
+import { logger, LOG_CATEGORIES } from './config';
+
+const CHECK_INTERVAL_MS = 40;
+const SILENCE_THRESHOLD_DB = -45;
+const MIN_SILENCE_SECONDS = 0.35; // shorter gaps are part of natural speech
+const SILENCE_SPEEDUP = 3;
+// Browsers mute or refuse rates outside roughly 0.25x - 4x
+const MAX_SILENCE_RATE = 4;
+
+// Level of the analyser's current window in dBFS
+const measureLevel = (analyser, samples) => {
+  analyser.getFloatTimeDomainData(samples);
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) {
+    sum += samples[i] * samples[i];
+  }
+  const rms = Math.sqrt(sum / samples.length);
+  return rms > 0 ? 20 * Math.log10(rms) : -Infinity;
+};
+
+/**
+ * Start trimming silence on audio using the graph's analyser. The listener's
+ * speed is read from audio.defaultPlaybackRate. onTimeSaved(seconds) is
+ * called as wall-clock time is saved. Returns a function that stops trimming
+ * and restores the normal speed.
+ */
+export const startSilenceTrimming = (audio, analyser, onTimeSaved) => {
+  const samples = new Float32Array(analyser.fftSize);
+  let silentFor = 0; // seconds of media below the threshold
+  let speeding = false;
+  let lastMediaTime = audio.currentTime;
+
+  const restoreSpeed = () => {
+    if (!speeding) return;
+    speeding = false;
+    audio.playbackRate = audio.defaultPlaybackRate;
+  };
+
+  const check = () => {
+    const mediaTime = audio.currentTime;
+    const advanced = mediaTime - lastMediaTime;
+    lastMediaTime = mediaTime;
+
+    if (audio.paused || document.hidden) {
+      silentFor = 0;
+      restoreSpeed();
+      return;
+    }
+    // A seek moved the position - start measuring afresh
+    if (advanced < 0 || advanced > 1) {
+      silentFor = 0;
+      return;
+    }
+
+    const baseRate = audio.defaultPlaybackRate || 1;
+    if (speeding && advanced > 0) {
+      // Real time taken at the fast rate vs. what the same stretch takes at the listener's speed
+      onTimeSaved(advanced / baseRate - advanced / audio.playbackRate);
+    }
+
+    if (measureLevel(analyser, samples) > SILENCE_THRESHOLD_DB) {
+      silentFor = 0;
+      restoreSpeed();
+      return;
+    }
+
+    silentFor += advanced;
+    const fastRate = Math.min(MAX_SILENCE_RATE, baseRate * SILENCE_SPEEDUP);
+    if (silentFor >= MIN_SILENCE_SECONDS && fastRate > baseRate) {
+      speeding = true;
+      // Re-applied each time in case the listener changed speed meanwhile
+      if (audio.playbackRate !== fastRate) audio.playbackRate = fastRate;
+    }
+  };
+
+  const interval = setInterval(check, CHECK_INTERVAL_MS);
+  logger.debug(LOG_CATEGORIES.PLAYBACK, 'Silence trimming started');
+
+  return () => {
+    clearInterval(interval);
+    restoreSpeed();
+    logger.debug(LOG_CATEGORIES.PLAYBACK, 'Silence trimming stopped');
+  };
+};
+
+/**
+ * "1h 4m", "3m 12s" or "45s"
+ */
+export const formatTimeSaved = (seconds) => {
+  const total = Math.floor(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m ${total % 60}s`;
+  return `${total}s`;
+};
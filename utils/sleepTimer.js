@@ -0,0 +1,80 @@
+/**
+ * Sleep timer helpers
+ * Presets, fade-out timing and shake detection for the bedtime sleep timer.
+ * The countdown itself lives in the player so it can pause with playback.
+ */
+
+import { logger, LOG_CATEGORIES } from './config';
+
+export const SLEEP_TIMER_PRESETS = [5, 15, 30, 60]; // minutes
+export const SLEEP_TIMER_MODES = {
+  MINUTES: 'minutes',
+  END_OF_CHAPTER: 'chapter'
+};
+export const FADE_OUT_SECONDS = 10;
+export const SLEEP_TIMER_EXTENSION_SECONDS = 5 * 60;
+
+const SHAKE_THRESHOLD = 15; // m/s² change between samples
+const SHAKE_COOLDOWN = 1500;
+
+export const isDeviceMotionSupported = () =>
+  typeof window !== 'undefined' && 'DeviceMotionEvent' in window;
+
+/**
+ * iOS only delivers devicemotion events after the user grants permission,
+ * and the prompt can only be shown from a user gesture (e.g. picking a timer).
+ * Resolves true when motion events will be delivered.
+ */
+export const requestMotionPermission = async () => {
+  if (!isDeviceMotionSupported()) return false;
+  if (typeof window.DeviceMotionEvent.requestPermission !== 'function') return true;
+
+  try {
+    return (await window.DeviceMotionEvent.requestPermission()) === 'granted';
+  } catch (err) {
+    logger.debug(LOG_CATEGORIES.UI, 'Motion permission not granted', { error: err.message });
+    return false;
+  }
+};
+
+/**
+ * Call onShake when the device is shaken. Returns a cleanup function.
+ */
+export const watchForShake = (onShake) => {
+  if (!isDeviceMotionSupported()) return () => {};
+
+  let last = null;
+  let lastShake = 0;
+
+  const handleMotion = (event) => {
+    const acceleration = event.accelerationIncludingGravity || event.acceleration;
+    if (!acceleration || acceleration.x === null) return;
+
+    const current = { x: acceleration.x, y: acceleration.y, z: acceleration.z };
+    if (last) {
+      const change = Math.abs(current.x - last.x) + Math.abs(current.y - last.y) + Math.abs(current.z - last.z);
+      const now = Date.now();
+      if (change > SHAKE_THRESHOLD && now - lastShake > SHAKE_COOLDOWN) {
+        lastShake = now;
+        onShake();
+      }
+    }
+    last = current;
+  };
+
+  window.addEventListener('devicemotion', handleMotion);
+  return () => window.removeEventListener('devicemotion', handleMotion);
+};
+
+/**
+ * Countdown label, e.g. "14:05" or "1:00:00"
+ */
+export const formatSleepRemaining = (seconds) => {
+  const total = Math.max(0, Math.ceil(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+    : `${minutes}:${secs}`;
+};
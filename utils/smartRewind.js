@@ -0,0 +1,79 @@
+/**
+ * Smart rewind
+ * After a pause, playback picks up a little earlier so the listener finds
+ * their place again - the longer the pause, the further back. When each item
+ * was paused is kept in localStorage by item key, so a pause still counts
+ * after a reload.
+ */
+
+import { logger, LOG_CATEGORIES } from './config';
+
+const STORAGE_KEY = 'audioPlayer.pausedAt';
+const MAX_ENTRIES = 100;
+
+// Seconds to rewind by how long playback was paused (longest pause first)
+export const SMART_REWIND_STEPS = [
+  { pausedFor: 24 * 60 * 60, rewind: 30 },
+  { pausedFor: 60 * 60, rewind: 10 },
+  { pausedFor: 60, rewind: 5 },
+  { pausedFor: 0, rewind: 2 }
+];
+
+const readPauses = () => {
+  if (typeof window === 'undefined') return {};
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (err) {
+    return {};
+  }
+};
+
+const writePauses = (pauses) => {
+  try {
+    // Only the most recent pauses matter
+    const entries = Object.entries(pauses)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_ENTRIES);
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(Object.fromEntries(entries)));
+  } catch (err) {
+    logger.error(LOG_CATEGORIES.PLAYBACK, 'Failed to store pause time', { error: err.message });
+  }
+};
+
+/**
+ * Remember that an item was paused at time (ms). An earlier time than the
+ * one already stored is ignored, so a server timestamp can be offered too.
+ */
+export const recordPause = (key, time = Date.now()) => {
+  if (!key || !Number.isFinite(time)) return;
+  const pauses = readPauses();
+  if (pauses[key] >= time) return;
+  pauses[key] = time;
+  writePauses(pauses);
+};
+
+export const clearPause = (key) => {
+  const pauses = readPauses();
+  if (!(key in pauses)) return;
+  delete pauses[key];
+  writePauses(pauses);
+};
+
+/**
+ * Seconds to rewind after a pause of pausedFor seconds
+ */
+export const getSmartRewindSeconds = (pausedFor) => {
+  if (!Number.isFinite(pausedFor) || pausedFor < 0) return 0;
+  return SMART_REWIND_STEPS.find(step => pausedFor >= step.pausedFor).rewind;
+};
+
+/**
+ * How far to rewind an item that is about to play, based on when it was
+ * paused. The pause is used up either way. Returns 0 when it was not paused.
+ */
+export const takeSmartRewind = (key) => {
+  const pausedAt = readPauses()[key];
+  if (!pausedAt) return 0;
+  clearPause(key);
+  return getSmartRewindSeconds((Date.now() - pausedAt) / 1000);
+};
@@ -0,0 +1,99 @@
+/**
+ * Track metadata
+ * Title, artist (author or narrator), album and cover art from the ID3v2 tag
+ * at the start of an MP3 (utils/id3), read with Range requests or from the
+ * offline copy. Players fall back to the book/chapter fields from the API
+ * for anything the file does not say.
+ */
+
+import { logger, LOG_CATEGORIES } from './config';
+import { isAbortError } from './apiClient';
+import { loadId3Tag, getTextFrame, getId3Picture } from './id3';
+
+// Covers are kept as object URLs, so only the most recent tracks stay cached
+const MAX_CACHED = 10;
+
+// Metadata by stream URL, oldest first
+const cache = new Map();
+
+// How many views and players are showing each stream URL's metadata. Those
+// entries stay cached - and their covers valid - until the last one lets go.
+const retained = new Map();
+
+const evictUnused = () => {
+  for (const [streamUrl, metadata] of cache) {
+    if (cache.size <= MAX_CACHED) return;
+    if (retained.has(streamUrl)) continue;
+    cache.delete(streamUrl);
+    metadata?.artwork?.forEach(image => URL.revokeObjectURL(image.src));
+  }
+};
+
+const remember = (streamUrl, metadata) => {
+  cache.set(streamUrl, metadata);
+  evictUnused();
+};
+
+/**
+ * Keep the metadata of a stream URL (and its cover's object URL) alive while
+ * it is on screen or on the lock screen. Returns the function that lets go.
+ */
+export const retainTrackMetadata = (streamUrl) => {
+  retained.set(streamUrl, (retained.get(streamUrl) || 0) + 1);
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    const count = retained.get(streamUrl) - 1;
+    if (count > 0) {
+      retained.set(streamUrl, count);
+    } else {
+      retained.delete(streamUrl);
+      evictUnused();
+    }
+  };
+};
+
+/**
+ * { title, artist, album, artwork } from a tag, with artwork a MediaImage
+ * list pointing at an object URL of the cover; null when the tag says none
+ * of these
+ */
+export const getTagMetadata = (tag) => {
+  const picture = getId3Picture(tag);
+  const metadata = {
+    title: getTextFrame(tag, 'TIT2') || null,
+    // Lead performer, falling back to the album artist
+    artist: getTextFrame(tag, 'TPE1') || getTextFrame(tag, 'TPE2') || null,
+    album: getTextFrame(tag, 'TALB') || null,
+    artwork: picture
+      ? [{ src: URL.createObjectURL(new Blob([picture.data], { type: picture.mimeType })), type: picture.mimeType }]
+      : null
+  };
+  return Object.values(metadata).some(Boolean) ? metadata : null;
+};
+
+/**
+ * Embedded metadata of a player item ({ key, streamUrl, authToken }), or
+ * null when its file has no ID3 tag (MP4s and others) or cannot be read
+ */
+export const loadTrackMetadata = async (item, { signal } = {}) => {
+  const { streamUrl } = item;
+  if (!streamUrl) return null;
+  if (cache.has(streamUrl)) return cache.get(streamUrl);
+
+  let tag;
+  try {
+    tag = await loadId3Tag(item, { signal });
+  } catch (err) {
+    if (isAbortError(err)) throw err;
+    logger.debug(LOG_CATEGORIES.NETWORK, 'No track metadata read', { url: streamUrl, error: err.message });
+    return null;
+  }
+
+  // Another caller may have finished first
+  if (!cache.has(streamUrl)) remember(streamUrl, tag ? getTagMetadata(tag) : null);
+  const metadata = cache.get(streamUrl);
+  logger.debug(LOG_CATEGORIES.PLAYBACK, 'Track metadata loaded', { url: streamUrl, found: !!metadata });
+  return metadata;
+};
@@ -0,0 +1,196 @@
+/**
+ * Transcripts
+ * Loads a chapter's transcript and turns it into cues the transcript panel
+ * can follow along with:
+ *
+ *   [{ start, end, text, speaker?, words?: [{ start, end, text }] }]   // seconds, sorted by start
+ *
+ * Two formats are accepted, told apart by their content:
+ * - WebVTT. Cue settings, NOTE/STYLE/REGION blocks and markup are dropped;
+ *   a <v Speaker> tag becomes the cue's speaker.
+ * - JSON: { cues | segments | sentences: [{ start, end, text, words? }] },
+ *   a plain array of those, or { words: [{ start, end, word | text }] },
+ *   which is grouped into sentences at . ! and ?. Times are seconds or
+ *   "hh:mm:ss.mmm" strings, under start/end or start_time/end_time.
+ *
+ * By default the transcript sits next to the stream (".../audio" →
+ * ".../transcript"); a 404 there just means the chapter has none.
+ */
+
+import { logger, LOG_CATEGORIES } from './config';
+import { api } from './apiClient';
+
+const TIMING_PATTERN = /^((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s+-->\s+((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})/;
+const SENTENCE_END = /[.!?]["')\]]*$/;
+const MAX_WORDS_PER_SENTENCE = 40; // transcripts without punctuation still get lines
+
+// Transcripts by URL for the life of the page
+const cache = new Map();
+
+/**
+ * Where the transcript for a stream URL would be
+ */
+export const getTranscriptUrl = (streamUrl) => {
+  if (!streamUrl) return null;
+  const [path, query] = streamUrl.split('?');
+  const transcriptPath = /\/audio$/.test(path) ? path.replace(/\/audio$/, '/transcript') : `${path}.vtt`;
+  return query ? `${transcriptPath}?${query}` : transcriptPath;
+};
+
+// "01:02:03.450", "02:03.450" or "02:03,450" (SRT-style) to seconds
+export const parseTimestamp = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string') return NaN;
+  return value.trim().replace(',', '.').split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+};
+
+const decodeEntities = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&amp;/g, '&');
+
+/**
+ * Cues from a WebVTT file
+ */
+export const parseWebVTT = (text) => {
+  const blocks = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n{2,}/);
+  const cues = [];
+
+  blocks.forEach((block) => {
+    const lines = block.split('\n').filter(line => line.trim() !== '');
+    const timingIndex = lines.findIndex(line => TIMING_PATTERN.test(line.trim()));
+    // The header and NOTE/STYLE/REGION blocks have no timing line
+    if (timingIndex === -1 || timingIndex > 1) return;
+
+    const [, start, end] = lines[timingIndex].trim().match(TIMING_PATTERN);
+    const payload = lines.slice(timingIndex + 1).join('\n');
+    const speaker = payload.match(/<v(?:\.[^\s>]*)?\s+([^>]+)>/)?.[1]?.trim() || null;
+    const cueText = decodeEntities(payload.replace(/<[^>]*>/g, '')).replace(/\s*\n\s*/g, ' ').trim();
+    if (!cueText) return;
+
+    cues.push({ start: parseTimestamp(start), end: parseTimestamp(end), text: cueText, ...(speaker && { speaker }) });
+  });
+
+  return cues.sort((a, b) => a.start - b.start);
+};
+
+const toTimedEntry = (entry) => {
+  const start = parseTimestamp(entry.start ?? entry.start_time ?? entry.startTime);
+  const end = parseTimestamp(entry.end ?? entry.end_time ?? entry.endTime);
+  const text = String(entry.text ?? entry.word ?? '').trim();
+  return Number.isFinite(start) && text ? { start, end: Number.isFinite(end) ? end : start, text } : null;
+};
+
+const wordsToCues = (words) => {
+  const cues = [];
+  let current = [];
+  const flush = () => {
+    if (current.length === 0) return;
+    cues.push({
+      start: current[0].start,
+      end: current[current.length - 1].end,
+      text: current.map(word => word.text).join(' '),
+      words: current
+    });
+    current = [];
+  };
+
+  words.forEach((word) => {
+    current.push(word);
+    if (SENTENCE_END.test(word.text) || current.length >= MAX_WORDS_PER_SENTENCE) flush();
+  });
+  flush();
+  return cues;
+};
+
+/**
+ * Cues from a JSON transcript
+ */
+export const parseTranscriptJson = (data) => {
+  const entries = Array.isArray(data) ? data : data?.cues || data?.segments || data?.sentences;
+  let cues;
+  if (Array.isArray(entries)) {
+    cues = entries.map((entry) => {
+      const cue = toTimedEntry(entry);
+      if (!cue) return null;
+      const words = Array.isArray(entry.words) ? entry.words.map(toTimedEntry).filter(Boolean) : [];
+      return {
+        ...cue,
+        ...(entry.speaker && { speaker: String(entry.speaker) }),
+        ...(words.length > 0 && { words })
+      };
+    }).filter(Boolean);
+  } else if (Array.isArray(data?.words)) {
+    cues = wordsToCues(data.words.map(toTimedEntry).filter(Boolean).sort((a, b) => a.start - b.start));
+  } else {
+    return null;
+  }
+  return cues.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Cues from a transcript in either format, or null if it is neither
+ */
+export const parseTranscript = (text) => {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    try {
+      return parseTranscriptJson(JSON.parse(trimmed));
+    } catch (err) {
+      return null;
+    }
+  }
+  return /^\uFEFF?WEBVTT/.test(trimmed) ? parseWebVTT(trimmed) : null;
+};
+
+/**
+ * Cues for a transcript URL, or null when there is no transcript there
+ */
+export const loadTranscript = async (url, { authToken, signal } = {}) => {
+  if (!url) return null;
+  if (cache.has(url)) return cache.get(url);
+
+  let cues = null;
+  try {
+    const text = await api.get(url, { authToken, signal, responseType: 'text' });
+    cues = parseTranscript(text);
+    if (!cues) logger.warn(LOG_CATEGORIES.NETWORK, 'Transcript is neither WebVTT nor JSON', { url });
+  } catch (err) {
+    if (err.status !== 404) throw err;
+  }
+
+  const transcript = cues?.length ? cues : null;
+  cache.set(url, transcript);
+  logger.debug(LOG_CATEGORIES.NETWORK, 'Transcript loaded', { url, cues: transcript?.length || 0 });
+  return transcript;
+};
+
+/**
+ * Index of the cue being spoken at time (the last one started, while it
+ * lasts), or -1 between cues
+ */
+export const findCueIndex = (cues, time) => {
+  let low = 0;
+  let high = cues.length - 1;
+  let found = -1;
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    if (cues[middle].start <= time) {
+      found = middle;
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return found !== -1 && time < cues[found].end ? found : -1;
+};
+
+/**
+ * Indexes of the cues containing query, ignoring case
+ */
+export const searchCues = (cues, query) => {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return [];
+  return cues.flatMap((cue, index) => (cue.text.toLowerCase().includes(needle) ? [index] : []));
+};
@@ -0,0 +1,136 @@
+/**
+ * Waveform peaks
+ * Amplitude overview of a track for the progress bar, as WAVEFORM_BARS
+ * values from 0 to 1.
+ *
+ * A peaks file next to the stream (".../audio" → ".../peaks") is used when
+ * the backend has one - audiowaveform JSON ({ bits, channels, data: [min,
+ * max, ...] }), { peaks: [...] } or a plain array. Otherwise the offline
+ * copy, if there is one, is decoded in the browser - only up to
+ * MAX_DECODE_BYTES, since decoding holds the whole track in memory. Streamed
+ * items are never downloaded a second time just for a waveform; without
+ * peaks the progress bar shows the buffered ranges instead.
+ */
+
+import { logger, LOG_CATEGORIES } from './config';
+import { api, isAbortError } from './apiClient';
+import { getOfflineAudio } from './offlineStorage';
+
+export const WAVEFORM_BARS = 120;
+const MAX_DECODE_BYTES = 30 * 1024 * 1024;
+const DECODE_SAMPLE_RATE = 8000; // plenty for an overview, and a quarter of the memory
+
+// Peaks by stream URL for the life of the page
+const cache = new Map();
+
+/**
+ * Where the peaks file for a stream URL would be
+ */
+export const getPeaksUrl = (streamUrl) => {
+  const [path, query] = streamUrl.split('?');
+  const peaksPath = /\/audio$/.test(path) ? path.replace(/\/audio$/, '/peaks') : `${path}.peaks.json`;
+  return query ? `${peaksPath}?${query}` : peaksPath;
+};
+
+// Largest value in each of `bars` equal slices, scaled so the loudest bar is 1
+const toBars = (values, bars = WAVEFORM_BARS) => {
+  if (!values.length) return null;
+  const result = [];
+  for (let bar = 0; bar < bars; bar++) {
+    const start = Math.floor((bar / bars) * values.length);
+    const end = Math.max(start + 1, Math.floor(((bar + 1) / bars) * values.length));
+    // A loop rather than Math.max(...): long peak lists overflow the call stack
+    let peak = 0;
+    for (let i = start; i < end; i++) {
+      if (values[i] > peak) peak = values[i];
+    }
+    result.push(peak);
+  }
+  const max = result.reduce((largest, value) => Math.max(largest, value), 0);
+  return max > 0 ? result.map(value => value / max) : result;
+};
+
+/**
+ * Peak amplitudes from any of the supported peaks formats
+ */
+export const parsePeaks = (data) => {
+  if (Array.isArray(data) || Array.isArray(data?.peaks)) {
+    return toBars((Array.isArray(data) ? data : data.peaks).map(value => Math.abs(Number(value) || 0)));
+  }
+  if (Array.isArray(data?.data)) {
+    // audiowaveform: min/max pairs per pixel, one pair per channel
+    const step = 2 * (data.channels || 1);
+    const values = [];
+    for (let i = 0; i + 1 < data.data.length; i += step) {
+      let peak = 0;
+      for (let j = i; j < i + step && j < data.data.length; j++) {
+        peak = Math.max(peak, Math.abs(data.data[j]));
+      }
+      values.push(peak);
+    }
+    return toBars(values);
+  }
+  return null;
+};
+
+const decodePeaks = async (arrayBuffer) => {
+  const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  if (!OfflineContext) return null;
+
+  const context = new OfflineContext(1, 1, DECODE_SAMPLE_RATE);
+  const buffer = await context.decodeAudioData(arrayBuffer);
+  const samplesPerBar = Math.max(1, Math.floor(buffer.length / WAVEFORM_BARS));
+  const values = new Array(Math.ceil(buffer.length / samplesPerBar)).fill(0);
+
+  for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+    const samples = buffer.getChannelData(channel);
+    for (let i = 0; i < samples.length; i++) {
+      const value = Math.abs(samples[i]);
+      const bar = Math.floor(i / samplesPerBar);
+      if (value > values[bar]) values[bar] = value;
+    }
+  }
+  return toBars(values);
+};
+
+const readOfflineForDecoding = (blob, key) => {
+  if (blob.size > MAX_DECODE_BYTES) {
+    logger.debug(LOG_CATEGORIES.PLAYBACK, 'Offline copy too large to decode for a waveform', { key, size: blob.size });
+    return null;
+  }
+  return blob.arrayBuffer();
+};
+
+/**
+ * Peaks for a player item ({ key, streamUrl, authToken }), or null when
+ * there is neither a peaks file nor an offline copy that can be decoded here.
+ * peaksUrl overrides the location of the peaks file.
+ */
+export const loadWaveform = async (item, { peaksUrl = null, signal } = {}) => {
+  const { key, streamUrl, authToken } = item;
+  if (!streamUrl) return null;
+  if (cache.has(streamUrl)) return cache.get(streamUrl);
+
+  let peaks = null;
+  try {
+    const data = await api.get(peaksUrl || getPeaksUrl(streamUrl), { authToken, signal, retries: 0 });
+    peaks = parsePeaks(data);
+  } catch (err) {
+    if (isAbortError(err)) throw err;
+    logger.debug(LOG_CATEGORIES.NETWORK, 'No peaks file', { url: streamUrl, error: err.message });
+  }
+
+  if (!peaks) {
+    try {
+      const offlineBlob = await getOfflineAudio(key);
+      const arrayBuffer = offlineBlob ? await readOfflineForDecoding(offlineBlob, key) : null;
+      if (arrayBuffer) peaks = await decodePeaks(arrayBuffer);
+    } catch (err) {
+      if (isAbortError(err)) throw err;
+      logger.warn(LOG_CATEGORIES.PLAYBACK, 'Could not compute waveform', { url: streamUrl, error: err.message });
+    }
+  }
+
+  if (peaks) cache.set(streamUrl, peaks);
+  return peaks;
+};